@@ -0,0 +1,53 @@
+import { db } from '../storage/index.js';
+import { parsePageParams, paginateList } from '../utils/pagination.js';
+
+// Audit entries are always listed newest first
+const AUDIT_SORTS = {
+  newest: { order: 'desc', value: entry => entry.timestamp }
+};
+
+// A bare date as the end of a range covers that whole day
+const toRangeEnd = (value) => (/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value);
+
+// Query the audit log (Admin only)
+// Filters: actor (uid), targetType, targetId, action, from, to (dates or
+// ISO timestamps)
+export const getAuditLog = async (req, res) => {
+  try {
+    const { actor, targetType, targetId, action, from, to } = req.query;
+    
+    const paging = parsePageParams(req.query, {
+      sorts: AUDIT_SORTS,
+      defaultSort: 'newest',
+      defaultLimit: 50
+    });
+    if (paging.error) {
+      return res.status(400).json({ error: paging.error });
+    }
+    
+    // The date range is applied by the database, the rest in memory
+    let query = db.ref('auditLog').orderByChild('timestamp');
+    if (from) query = query.startAt(from);
+    if (to) query = query.endAt(toRangeEnd(to));
+    
+    const snapshot = await query.once('value');
+    const entries = [];
+    snapshot.forEach((child) => {
+      entries.push({ entryId: child.key, ...child.val() });
+    });
+    
+    const matches = entries.filter(entry => (
+      (!actor || entry.actorId === actor) &&
+      (!targetType || entry.targetType === targetType) &&
+      (!targetId || entry.targetId === targetId) &&
+      (!action || entry.action === action)
+    ));
+    
+    const { items, page } = paginateList(matches, { sorts: AUDIT_SORTS, ...paging }, entry => entry.entryId);
+    
+    res.json({ entries: items, page });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: 'Failed to retrieve audit log' });
+  }
+};
@@ -1,9 +1,13 @@
-import { auth, db } from '../config/firebase.js';
+import { auth, db } from '../storage/index.js';
+import { isAdmin } from '../utils/roles.js';
+import { recordAudit } from '../utils/audit.js';
+import { REGIONS, normalizeRegion } from '../utils/releaseEntries.js';
 
 // Create user
 export const createUser = async (req, res) => {
   try {
-    const { email, password, username, isAdmin } = req.body;
+    // Admin is never granted at signup - see POST /api/admin/users/:userId/promote
+    const { email, password, username } = req.body;
     
     // Create Firebase Auth user first
     const userRecord = await auth.createUser({
@@ -21,7 +25,7 @@ export const createUser = async (req, res) => {
       email,
       guest: false,
       registered: true,
-      administrator: isAdmin || false,
+      administrator: false,
       registrationDate: new Date().toISOString().split('T')[0]
     };
     
@@ -71,10 +75,27 @@ export const updateUser = async (req, res) => {
   try {
     const { userId } = req.params;
     const { username, email } = req.body;
+    const region = normalizeRegion(req.body.region);
+    
+    // Region decides which launch date a game shows when it has
+    // per-region release entries
+    if (region !== undefined && !REGIONS[region]) {
+      return res.status(400).json({ 
+        error: `region must be one of: ${Object.keys(REGIONS).join(', ')}` 
+      });
+    }
+    
+    const snapshot = await db.ref(`users/${userId}`).once('value');
+    const userData = snapshot.val();
+    
+    if (!userData) {
+      return res.status(404).json({ error: 'User not found' });
+    }
     
     const updateData = {};
     
     if (username) updateData.username = username;
+    if (region) updateData.region = region;
     if (email) {
       updateData.email = email;
       // Update in Firebase Auth too
@@ -83,6 +104,18 @@ export const updateUser = async (req, res) => {
     
     await db.ref(`users/${userId}`).update(updateData);
     
+    // Admins editing someone else's account
+    if (userId !== req.user.uid) {
+      await recordAudit({
+        actor: req.user,
+        action: 'user.update',
+        targetType: 'user',
+        targetId: userId,
+        before: userData,
+        after: { ...userData, ...updateData }
+      });
+    }
+    
     res.json({ message: 'User updated successfully' });
   } catch (error) {
     console.error('Update user error:', error);
@@ -96,13 +129,12 @@ export const verifyAdmin = async (req, res) => {
     const { userId } = req.params;
     
     const snapshot = await db.ref(`users/${userId}`).once('value');
-    const userData = snapshot.val();
     
-    if (!userData) {
+    if (!snapshot.exists()) {
       return res.status(404).json({ error: 'User not found' });
     }
     
-    res.json({ isAdmin: userData.administrator === true });
+    res.json({ isAdmin: await isAdmin(userId) });
   } catch (error) {
     console.error('Verify admin error:', error);
     res.status(500).json({ error: 'Failed to verify admin status' });
@@ -0,0 +1,210 @@
+import crypto from 'crypto';
+import { db } from '../storage/index.js';
+import { loadTaxonomy, describeGame } from '../utils/taxonomy.js';
+import { buildGameFilters, applyGameFilters, releaseEntryOptions } from '../utils/gameFilters.js';
+import { REGIONS, releaseEntriesFor, normalizeRegion } from '../utils/releaseEntries.js';
+import { parseReleaseDate } from '../utils/releaseDates.js';
+import { buildCalendar, sendCalendar } from '../utils/icalendar.js';
+import { gamePageUrl } from '../utils/siteLinks.js';
+
+// Release calendars in iCalendar (.ics) format for calendar apps:
+//   GET /api/calendar/releases.ics          every release (public; takes the
+//                                           /api/games/filter params)
+//   GET /api/calendar/games/:gameId.ics     one game, for "Add to calendar"
+//   GET /api/calendar/favorites/:token.ics  a user's favorites; calendar apps
+//                                           can't sign in, so the URL carries
+//                                           a secret token instead
+// Only exact release days become events. Event UIDs come from the game id
+// (plus platform, region and edition for release entries) so they never
+// change, and SEQUENCE is the game's releaseSequence, which updateGame
+// bumps whenever the dates or title change.
+
+const UID_DOMAIN = 'vgb-releases';
+
+const isExactDay = (value) => parseReleaseDate(value || '').precision === 'day';
+
+const uidPart = (value) => String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-');
+
+// Events for a described game as seen from `options` (region and
+// platforms, see releaseEntriesFor)
+const releaseEvents = (game, taxonomy, options = {}) => {
+  const base = {
+    sequence: game.releaseSequence || 0,
+    updatedAt: game.releaseUpdatedAt || game.createdAt,
+    url: gamePageUrl(game.id)
+  };
+
+  const entries = releaseEntriesFor(game, options);
+  if (entries.length === 0) {
+    return isExactDay(game.releaseDate)
+      ? [{
+        ...base,
+        uid: `release-${uidPart(game.id)}@${UID_DOMAIN}`,
+        day: game.releaseDate,
+        summary: `${game.title} releases`,
+        description: game.platform ? `Platforms: ${game.platform}` : null
+      }]
+      : [];
+  }
+
+  return entries
+    .filter(entry => isExactDay(entry.date))
+    .map(entry => {
+      const label = [
+        taxonomy.platforms[entry.platform]?.name || entry.platform,
+        REGIONS[entry.region] || entry.region,
+        entry.edition || null
+      ].filter(Boolean).join(', ');
+
+      return {
+        ...base,
+        uid: `release-${uidPart(game.id)}-${uidPart(entry.platform)}-${entry.region}` +
+          `${entry.edition ? `-${uidPart(entry.edition)}` : ''}@${UID_DOMAIN}`,
+        day: entry.date,
+        summary: `${game.title} releases (${label})`,
+        description: null
+      };
+    });
+};
+
+const loadDescribedGames = async (taxonomy) => {
+  const snapshot = await db.ref('games').once('value');
+  return Object.entries(snapshot.val() || {})
+    .map(([gameId, game]) => describeGame({ id: gameId, ...game }, taxonomy));
+};
+
+// Public feed of every release, narrowed by the same params as
+// /api/games/filter (platform, genre, status, region, ...)
+export const getReleasesCalendar = async (req, res) => {
+  try {
+    const region = normalizeRegion(req.query.region);
+    if (region && !REGIONS[region]) {
+      return res.status(400).json({
+        error: `region must be one of: ${Object.keys(REGIONS).join(', ')}`
+      });
+    }
+
+    const taxonomy = await loadTaxonomy();
+    const games = applyGameFilters(await loadDescribedGames(taxonomy), buildGameFilters(req.query, taxonomy));
+    const { region: entryRegion, platformIds } = releaseEntryOptions(req.query, taxonomy);
+
+    sendCalendar(res, 'vgb-releases.ics', buildCalendar({
+      name: 'VGB Releases',
+      description: 'Video game release dates from Video Game Bulletin',
+      events: games.flatMap(game => releaseEvents(game, taxonomy, { region: entryRegion, platformIds }))
+    }));
+  } catch (error) {
+    console.error('Releases calendar error:', error);
+    res.status(500).json({ error: 'Failed to build release calendar' });
+  }
+};
+
+// One game's release date(s) as a calendar file
+export const getGameCalendar = async (req, res) => {
+  try {
+    const { gameId } = req.params;
+
+    const snapshot = await db.ref(`games/${gameId}`).once('value');
+    if (!snapshot.exists()) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    const taxonomy = await loadTaxonomy();
+    const game = describeGame({ id: gameId, ...snapshot.val() }, taxonomy);
+    const requested = normalizeRegion(req.query.region);
+    const region = REGIONS[requested] ? requested : null;
+
+    sendCalendar(res, `${uidPart(gameId)}.ics`, buildCalendar({
+      name: game.title,
+      events: releaseEvents(game, taxonomy, { region })
+    }));
+  } catch (error) {
+    console.error('Game calendar error:', error);
+    res.status(500).json({ error: 'Failed to build game calendar' });
+  }
+};
+
+// A user's favorited games, in their preferred region
+export const getFavoritesCalendar = async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    const tokenSnapshot = await db.ref(`calendarTokens/${token}`).once('value');
+    if (!tokenSnapshot.exists()) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+    const { userId } = tokenSnapshot.val();
+
+    const [userSnapshot, favoritesSnapshot, taxonomy] = await Promise.all([
+      db.ref(`users/${userId}`).once('value'),
+      db.ref('favorites').orderByChild('userId').equalTo(userId).once('value'),
+      loadTaxonomy()
+    ]);
+
+    const favoriteIds = new Set(Object.values(favoritesSnapshot.val() || {}).map(favorite => favorite.gameId));
+    const games = (await loadDescribedGames(taxonomy)).filter(game => favoriteIds.has(game.id));
+    const region = userSnapshot.val()?.region || null;
+
+    sendCalendar(res, 'vgb-favorites.ics', buildCalendar({
+      name: 'VGB Favorites',
+      description: 'Release dates of your favorited games on Video Game Bulletin',
+      events: games.flatMap(game => releaseEvents(game, taxonomy, { region }))
+    }));
+  } catch (error) {
+    console.error('Favorites calendar error:', error);
+    res.status(500).json({ error: 'Failed to build favorites calendar' });
+  }
+};
+
+// Store a new feed token for a user, retiring `previous`
+const issueCalendarToken = async (userId, previous = null) => {
+  const token = crypto.randomBytes(24).toString('hex');
+  const updates = {
+    [`calendarTokens/${token}`]: { userId, createdAt: new Date().toISOString() },
+    [`users/${userId}/calendarToken`]: token
+  };
+  if (previous) {
+    updates[`calendarTokens/${previous}`] = null;
+  }
+
+  await db.ref().update(updates);
+  return token;
+};
+
+const sendFeedToken = (res, token) => {
+  res.json({ token, feedPath: `/calendar/favorites/${token}.ics` });
+};
+
+// The user's favorites feed token, created on first request
+export const getCalendarToken = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const snapshot = await db.ref(`users/${userId}`).once('value');
+    if (!snapshot.exists()) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    sendFeedToken(res, snapshot.val().calendarToken || await issueCalendarToken(userId));
+  } catch (error) {
+    console.error('Get calendar token error:', error);
+    res.status(500).json({ error: 'Failed to retrieve calendar link' });
+  }
+};
+
+// Replace the token; the old feed URL stops working
+export const rotateCalendarToken = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const snapshot = await db.ref(`users/${userId}`).once('value');
+    if (!snapshot.exists()) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    sendFeedToken(res, await issueCalendarToken(userId, snapshot.val().calendarToken));
+  } catch (error) {
+    console.error('Rotate calendar token error:', error);
+    res.status(500).json({ error: 'Failed to reset calendar link' });
+  }
+};
@@ -0,0 +1,223 @@
+import { db } from '../storage/index.js';
+import { loadTaxonomy, describeGame } from '../utils/taxonomy.js';
+import { prepareGameCreate, prepareGameUpdate, saveNewGame, saveGameUpdate } from '../utils/gameWrites.js';
+import { CATALOG_COLUMNS, catalogRow, catalogCsv, readCatalogFile, catalogRowPayload } from '../utils/catalogRows.js';
+
+// Bulk catalog export and import (Admin only):
+//   GET  /api/admin/games/export?format=csv|json&images=true
+//   POST /api/admin/games/import?dryRun=true&allowDuplicateTitles=true
+//        { format: 'csv' | 'json', data, images: { name: dataUrl } }
+// Both use the column layout of utils/catalogRows.js, so an export can
+// be edited and imported again. Import rows are upserted by gameId through
+// the same checks as addGame and updateGame. A dry run only reports what
+// each row would do; a real import writes nothing unless every row is
+// valid and free of conflicts.
+
+const CATALOG_FORMATS = ['csv', 'json'];
+
+const MAX_IMPORT_ROWS = 1000;
+
+// Audit details for games written by an import
+const IMPORT_DETAILS = { source: 'catalog-import' };
+
+const normalizeTitle = (title) => String(title || '').trim().toLowerCase();
+
+const dateStamp = () => new Date().toISOString().slice(0, 10);
+
+// Every game as an export row, ordered by id
+export const exportCatalog = async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!CATALOG_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${CATALOG_FORMATS.join(', ')}` });
+    }
+    const images = req.query.images === 'true';
+
+    const [snapshot, taxonomy] = await Promise.all([
+      db.ref('games').once('value'),
+      loadTaxonomy()
+    ]);
+    const rows = Object.entries(snapshot.val() || {})
+      .map(([gameId, game]) => catalogRow(describeGame({ id: gameId, ...game }, taxonomy), { images }))
+      .sort((a, b) => a.gameId.localeCompare(b.gameId));
+
+    res.set('Content-Disposition', `attachment; filename="vgb-games-${dateStamp()}.${format}"`);
+    if (format === 'json') {
+      return res.json(rows);
+    }
+    res.type('text/csv; charset=utf-8').send(catalogCsv(rows));
+  } catch (error) {
+    console.error('Export catalog error:', error);
+    res.status(500).json({ error: 'Failed to export games' });
+  }
+};
+
+// Rows whose gameId appears more than once can't be applied in any
+// sensible order, so all of them are conflicts
+const duplicateRows = (payloads) => {
+  const rowsById = new Map();
+  payloads.forEach(({ gameId }, index) => {
+    if (!gameId) return;
+    rowsById.set(gameId, [...(rowsById.get(gameId) || []), index + 1]);
+  });
+  return rowsById;
+};
+
+// Work out what each row would do: create, update, unchanged, conflict
+// or invalid. Creates and updates carry what to write.
+const planImport = (rows, storedGames, taxonomy, images, { allowDuplicateTitles, changedAt }) => {
+  const payloads = rows.map(row => {
+    const { value, errors } = catalogRowPayload(row, images);
+    const gameId = typeof row?.gameId === 'string' ? row.gameId.trim() : null;
+    return { gameId: gameId || null, value, errors };
+  });
+  const rowsById = duplicateRows(payloads);
+
+  // Titles in use, so a new or renamed game doesn't silently duplicate one
+  const titleOwners = new Map(Object.entries(storedGames).map(([gameId, game]) => [normalizeTitle(game.title), gameId]));
+  const claimTitle = (gameId, title) => {
+    const owner = titleOwners.get(normalizeTitle(title));
+    if (owner && owner !== gameId && !allowDuplicateTitles) {
+      return { title: `matches the title of "${owner}"` };
+    }
+    titleOwners.set(normalizeTitle(title), gameId);
+    return null;
+  };
+
+  return payloads.map(({ gameId, value, errors }, index) => {
+    const result = { row: index + 1, gameId };
+
+    if (errors) {
+      return { ...result, action: 'invalid', errors };
+    }
+    const sameId = rowsById.get(gameId) || [];
+    if (sameId.length > 1) {
+      return { ...result, action: 'conflict', errors: { gameId: `appears in rows ${sameId.join(', ')}` } };
+    }
+
+    const currentGame = gameId && Object.hasOwn(storedGames, gameId) ? storedGames[gameId] : null;
+    if (!currentGame) {
+      const { value: gameData, errors: createErrors } = prepareGameCreate(value, taxonomy, changedAt);
+      if (createErrors) {
+        return { ...result, action: 'invalid', errors: createErrors };
+      }
+      const titleConflict = claimTitle(gameId, gameData.title);
+      if (titleConflict) {
+        return { ...result, action: 'conflict', errors: titleConflict };
+      }
+      return { ...result, action: 'create', gameData };
+    }
+
+    const { gameId: _, ...changes } = value;
+    const {
+      value: updateData,
+      errors: updateErrors,
+      releaseDateChanged,
+      changedFields
+    } = prepareGameUpdate(currentGame, changes, taxonomy, changedAt);
+    if (updateErrors) {
+      return { ...result, action: 'invalid', errors: updateErrors };
+    }
+    if (changedFields.length === 0) {
+      return { ...result, action: 'unchanged' };
+    }
+    if (changedFields.includes('title')) {
+      const titleConflict = claimTitle(gameId, updateData.title);
+      if (titleConflict) {
+        return { ...result, action: 'conflict', errors: titleConflict };
+      }
+    }
+    return { ...result, action: 'update', changes: changedFields, currentGame, updateData, releaseDateChanged };
+  });
+};
+
+// What the response shows of a planned row
+const reportRow = ({ row, gameId, action, changes, errors }) => ({
+  row,
+  gameId,
+  action,
+  ...(changes ? { changes } : {}),
+  ...(errors ? { errors } : {})
+});
+
+const summarizePlan = (plan) => plan.reduce(
+  (summary, { action }) => ({ ...summary, [action]: summary[action] + 1 }),
+  { create: 0, update: 0, unchanged: 0, conflict: 0, invalid: 0 }
+);
+
+// Import games from CSV or JSON, or preview the import with ?dryRun=true
+export const importCatalog = async (req, res) => {
+  try {
+    const { format = 'csv', data, images = {} } = req.body || {};
+    if (!CATALOG_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${CATALOG_FORMATS.join(', ')}` });
+    }
+    if (!images || typeof images !== 'object' || Array.isArray(images)) {
+      return res.status(400).json({ error: 'images must map file names to data:image URLs' });
+    }
+
+    const { rows, error } = readCatalogFile(format, data);
+    if (error) {
+      return res.status(400).json({ error, columns: CATALOG_COLUMNS });
+    }
+    if (rows.length === 0) {
+      return res.status(400).json({ error: 'The file has no games to import' });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ error: `An import can hold at most ${MAX_IMPORT_ROWS} games; split the file` });
+    }
+
+    const dryRun = req.query.dryRun === 'true';
+    const changedAt = new Date().toISOString();
+    const [snapshot, taxonomy] = await Promise.all([
+      db.ref('games').once('value'),
+      loadTaxonomy()
+    ]);
+    const plan = planImport(rows, snapshot.val() || {}, taxonomy, images, {
+      allowDuplicateTitles: req.query.allowDuplicateTitles === 'true',
+      changedAt
+    });
+    const summary = summarizePlan(plan);
+    const report = { dryRun, summary, rows: plan.map(reportRow) };
+
+    if (dryRun) {
+      return res.json(report);
+    }
+
+    const problems = summary.conflict + summary.invalid;
+    if (problems > 0) {
+      return res.status(400).json({
+        error: `${problems} row(s) have problems, so nothing was imported`,
+        ...report
+      });
+    }
+
+    for (const planned of plan) {
+      if (planned.action === 'create') {
+        await saveNewGame({
+          gameId: planned.gameId,
+          gameData: planned.gameData,
+          taxonomy,
+          actor: req.user,
+          details: IMPORT_DETAILS
+        });
+      } else if (planned.action === 'update') {
+        await saveGameUpdate({
+          gameId: planned.gameId,
+          currentGame: planned.currentGame,
+          updateData: planned.updateData,
+          releaseDateChanged: planned.releaseDateChanged,
+          changedAt,
+          taxonomy,
+          actor: req.user,
+          details: IMPORT_DETAILS
+        });
+      }
+    }
+
+    res.json(report);
+  } catch (error) {
+    console.error('Import catalog error:', error);
+    res.status(500).json({ error: 'Failed to import games' });
+  }
+};
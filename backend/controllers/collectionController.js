@@ -0,0 +1,421 @@
+import { db } from '../storage/index.js';
+import { loadTaxonomy, describeGame } from '../utils/taxonomy.js';
+import { can, sendForbidden } from '../utils/policies.js';
+import { validate } from '../utils/schema.js';
+import {
+  GAME_STATUSES,
+  gameStatusSchema,
+  listCreateSchema,
+  listUpdateSchema,
+  listItemSchema,
+  listItemUpdateSchema
+} from '../utils/collectionSchema.js';
+import { favoriteRecord, isFavoritesList } from '../utils/favoritesList.js';
+
+// Game collections, alongside the flat favorites set.
+// Backlog statuses: gameStatuses/{userId}_{gameId} = { userId, gameId, status, note, updatedAt }
+//   (one status per game, private to the user)
+// Custom lists: lists/{listId} = { userId, name, description, visibility,
+//   createdAt, updatedAt, items: { [gameId]: { position, note, addedAt } } }
+//   A user's Favorites list mirrors their favorites (utils/favoritesList.js):
+//   adding or removing games on it changes the favorites as well.
+
+const MAX_LISTS_PER_USER = 50;
+const MAX_ITEMS_PER_LIST = 500;
+
+// Attach described games, skipping games that have since been deleted
+const withGames = async (entries) => {
+  const taxonomy = await loadTaxonomy();
+  const results = [];
+
+  for (const entry of entries) {
+    const gameSnapshot = await db.ref(`games/${entry.gameId}`).once('value');
+    if (gameSnapshot.exists()) {
+      results.push({ ...entry, game: describeGame({ id: entry.gameId, ...gameSnapshot.val() }, taxonomy) });
+    }
+  }
+
+  return results;
+};
+
+const sortedItems = (list) => Object.entries(list.items || {})
+  .map(([gameId, item]) => ({ gameId, ...item }))
+  .sort((a, b) => a.position - b.position);
+
+const listSummary = (listId, list) => ({
+  listId,
+  userId: list.userId,
+  name: list.name,
+  description: list.description || '',
+  visibility: list.visibility,
+  itemCount: Object.keys(list.items || {}).length,
+  createdAt: list.createdAt,
+  updatedAt: list.updatedAt
+});
+
+// Load a list and apply a policy. Sends the error response and returns
+// null when the list is missing or the action isn't allowed.
+const loadList = async (req, res, action) => {
+  const { listId } = req.params;
+  const snapshot = await db.ref(`lists/${listId}`).once('value');
+
+  if (!snapshot.exists()) {
+    res.status(404).json({ error: 'List not found' });
+    return null;
+  }
+
+  const list = snapshot.val();
+  if (!can(req.user, action, list)) {
+    // Don't reveal that a private list exists
+    if (action === 'list:read') {
+      res.status(404).json({ error: 'List not found' });
+    } else {
+      sendForbidden(res, action);
+    }
+    return null;
+  }
+
+  return { listId, list };
+};
+
+const sendValidationError = (res, errors) => res.status(400).json({
+  error: 'Invalid data',
+  fields: errors
+});
+
+// ----- Backlog statuses -----
+
+// Get a user's backlog (?status=wishlist|playing|completed|dropped)
+export const getGameStatuses = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { status } = req.query;
+
+    if (status && !GAME_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of: ${GAME_STATUSES.join(', ')}`
+      });
+    }
+
+    const snapshot = await db.ref('gameStatuses')
+      .orderByChild('userId')
+      .equalTo(userId)
+      .once('value');
+
+    const entries = Object.values(snapshot.val() || {})
+      .filter(entry => !status || entry.status === status)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+    const counts = Object.fromEntries(GAME_STATUSES.map(name => [name, 0]));
+    Object.values(snapshot.val() || {}).forEach(entry => {
+      counts[entry.status] = (counts[entry.status] || 0) + 1;
+    });
+
+    res.json({ statuses: await withGames(entries), counts });
+  } catch (error) {
+    console.error('Get game statuses error:', error);
+    res.status(500).json({ error: 'Failed to retrieve game statuses' });
+  }
+};
+
+// Set the token user's status for a game { status, note }
+export const setGameStatus = async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const userId = req.user.uid;
+
+    const { value, errors } = validate(gameStatusSchema, req.body);
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+
+    const gameSnapshot = await db.ref(`games/${gameId}`).once('value');
+    if (!gameSnapshot.exists()) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    const entry = {
+      userId,
+      gameId,
+      status: value.status,
+      note: value.note,
+      updatedAt: new Date().toISOString()
+    };
+
+    await db.ref(`gameStatuses/${userId}_${gameId}`).set(entry);
+
+    res.json({ message: 'Game status saved', ...entry });
+  } catch (error) {
+    console.error('Set game status error:', error);
+    res.status(500).json({ error: 'Failed to save game status' });
+  }
+};
+
+// Clear the token user's status for a game
+export const removeGameStatus = async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    const statusRef = db.ref(`gameStatuses/${req.user.uid}_${gameId}`);
+
+    const snapshot = await statusRef.once('value');
+    if (!snapshot.exists()) {
+      return res.status(404).json({ error: 'Game status not found' });
+    }
+
+    await statusRef.remove();
+
+    res.json({ message: 'Game status removed' });
+  } catch (error) {
+    console.error('Remove game status error:', error);
+    res.status(500).json({ error: 'Failed to remove game status' });
+  }
+};
+
+// ----- Custom lists -----
+
+// Lists of a user: all of them for the owner or an admin, otherwise only
+// the public ones
+export const getUserLists = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const snapshot = await db.ref('lists')
+      .orderByChild('userId')
+      .equalTo(userId)
+      .once('value');
+
+    const lists = Object.entries(snapshot.val() || {})
+      .filter(([, list]) => can(req.user, 'list:read', list))
+      .map(([listId, list]) => listSummary(listId, list))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    res.json(lists);
+  } catch (error) {
+    console.error('Get user lists error:', error);
+    res.status(500).json({ error: 'Failed to retrieve lists' });
+  }
+};
+
+// One list with its games in order
+export const getList = async (req, res) => {
+  try {
+    const found = await loadList(req, res, 'list:read');
+    if (!found) return;
+
+    const { listId, list } = found;
+    res.json({
+      ...listSummary(listId, list),
+      items: await withGames(sortedItems(list))
+    });
+  } catch (error) {
+    console.error('Get list error:', error);
+    res.status(500).json({ error: 'Failed to retrieve list' });
+  }
+};
+
+// Create a list { name, description, visibility }
+export const createList = async (req, res) => {
+  try {
+    const userId = req.user.uid;
+
+    const { value, errors } = validate(listCreateSchema, req.body);
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+
+    const existing = await db.ref('lists')
+      .orderByChild('userId')
+      .equalTo(userId)
+      .once('value');
+    if (existing.numChildren() >= MAX_LISTS_PER_USER) {
+      return res.status(400).json({ error: `You can have at most ${MAX_LISTS_PER_USER} lists` });
+    }
+
+    const now = new Date().toISOString();
+    const listRef = db.ref('lists').push();
+    const list = { userId, ...value, createdAt: now, updatedAt: now };
+    await listRef.set(list);
+
+    res.status(201).json({ message: 'List created', ...listSummary(listRef.key, list) });
+  } catch (error) {
+    console.error('Create list error:', error);
+    res.status(500).json({ error: 'Failed to create list' });
+  }
+};
+
+// Rename a list or change its description or visibility (partial)
+export const updateList = async (req, res) => {
+  try {
+    const found = await loadList(req, res, 'list:write');
+    if (!found) return;
+
+    const { value, errors } = validate(listUpdateSchema, req.body, { partial: true });
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+
+    if (Object.keys(value).length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const updates = { ...value, updatedAt: new Date().toISOString() };
+    await db.ref(`lists/${found.listId}`).update(updates);
+
+    res.json({ message: 'List updated', ...listSummary(found.listId, { ...found.list, ...updates }) });
+  } catch (error) {
+    console.error('Update list error:', error);
+    res.status(500).json({ error: 'Failed to update list' });
+  }
+};
+
+export const deleteList = async (req, res) => {
+  try {
+    const found = await loadList(req, res, 'list:write');
+    if (!found) return;
+
+    if (isFavoritesList(found.list)) {
+      return res.status(400).json({ error: 'The Favorites list follows your favorites and cannot be deleted' });
+    }
+
+    await db.ref(`lists/${found.listId}`).remove();
+
+    res.json({ message: 'List deleted' });
+  } catch (error) {
+    console.error('Delete list error:', error);
+    res.status(500).json({ error: 'Failed to delete list' });
+  }
+};
+
+// Append a game to a list { gameId, note }
+export const addListItem = async (req, res) => {
+  try {
+    const found = await loadList(req, res, 'list:write');
+    if (!found) return;
+
+    const { value, errors } = validate(listItemSchema, req.body);
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+
+    const items = found.list.items || {};
+    if (items[value.gameId]) {
+      return res.status(409).json({ error: 'Game is already in this list' });
+    }
+    if (Object.keys(items).length >= MAX_ITEMS_PER_LIST) {
+      return res.status(400).json({ error: `A list can hold at most ${MAX_ITEMS_PER_LIST} games` });
+    }
+
+    const gameSnapshot = await db.ref(`games/${value.gameId}`).once('value');
+    if (!gameSnapshot.exists()) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    const positions = Object.values(items).map(item => item.position);
+    const now = new Date().toISOString();
+    const item = {
+      position: positions.length > 0 ? Math.max(...positions) + 1 : 0,
+      note: value.note,
+      addedAt: now
+    };
+
+    const updates = {
+      [`lists/${found.listId}/items/${value.gameId}`]: item,
+      [`lists/${found.listId}/updatedAt`]: now
+    };
+    if (isFavoritesList(found.list)) {
+      updates[`favorites/${found.list.userId}_${value.gameId}`] = favoriteRecord(found.list.userId, value.gameId, now);
+    }
+    await db.ref().update(updates);
+
+    res.status(201).json({ message: 'Game added to list', gameId: value.gameId, ...item });
+  } catch (error) {
+    console.error('Add list item error:', error);
+    res.status(500).json({ error: 'Failed to add game to list' });
+  }
+};
+
+// Change the note on a list entry { note }
+export const updateListItem = async (req, res) => {
+  try {
+    const found = await loadList(req, res, 'list:write');
+    if (!found) return;
+
+    const { gameId } = req.params;
+    if (!found.list.items?.[gameId]) {
+      return res.status(404).json({ error: 'Game is not in this list' });
+    }
+
+    const { value, errors } = validate(listItemUpdateSchema, req.body, { partial: true });
+    if (errors) {
+      return sendValidationError(res, errors);
+    }
+    if (value.note === undefined) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    await db.ref(`lists/${found.listId}`).update({
+      [`items/${gameId}/note`]: value.note,
+      updatedAt: new Date().toISOString()
+    });
+
+    res.json({ message: 'List entry updated' });
+  } catch (error) {
+    console.error('Update list item error:', error);
+    res.status(500).json({ error: 'Failed to update list entry' });
+  }
+};
+
+export const removeListItem = async (req, res) => {
+  try {
+    const found = await loadList(req, res, 'list:write');
+    if (!found) return;
+
+    const { gameId } = req.params;
+    if (!found.list.items?.[gameId]) {
+      return res.status(404).json({ error: 'Game is not in this list' });
+    }
+
+    const updates = {
+      [`lists/${found.listId}/items/${gameId}`]: null,
+      [`lists/${found.listId}/updatedAt`]: new Date().toISOString()
+    };
+    if (isFavoritesList(found.list)) {
+      updates[`favorites/${found.list.userId}_${gameId}`] = null;
+    }
+    await db.ref().update(updates);
+
+    res.json({ message: 'Game removed from list' });
+  } catch (error) {
+    console.error('Remove list item error:', error);
+    res.status(500).json({ error: 'Failed to remove game from list' });
+  }
+};
+
+// Reorder a list { gameIds: [...] } - every game in the list, in the new order
+export const reorderList = async (req, res) => {
+  try {
+    const found = await loadList(req, res, 'list:write');
+    if (!found) return;
+
+    const { gameIds } = req.body;
+    const current = Object.keys(found.list.items || {});
+
+    if (!Array.isArray(gameIds) ||
+      gameIds.length !== current.length ||
+      new Set(gameIds).size !== gameIds.length ||
+      !gameIds.every(gameId => current.includes(gameId))) {
+      return res.status(400).json({ error: 'gameIds must list every game in the list exactly once' });
+    }
+
+    const updates = { updatedAt: new Date().toISOString() };
+    gameIds.forEach((gameId, position) => {
+      updates[`items/${gameId}/position`] = position;
+    });
+    await db.ref(`lists/${found.listId}`).update(updates);
+
+    res.json({ message: 'List reordered' });
+  } catch (error) {
+    console.error('Reorder list error:', error);
+    res.status(500).json({ error: 'Failed to reorder list' });
+  }
+};
@@ -1,4 +1,7 @@
-import { db } from '../config/firebase.js';
+import { db } from '../storage/index.js';
+import { loadTaxonomy, describeGame } from '../utils/taxonomy.js';
+import { can, sendForbidden } from '../utils/policies.js';
+import { favoriteRecord, syncFavoritesList } from '../utils/favoritesList.js';
 
 // Get user's favorites
 export const getUserFavorites = async (req, res) => {
@@ -10,6 +13,7 @@ export const getUserFavorites = async (req, res) => {
       .equalTo(userId)
       .once('value');
     
+    const taxonomy = await loadTaxonomy();
     const favorites = [];
     
     for (const child of Object.values(snapshot.val() || {})) {
@@ -23,7 +27,7 @@ export const getUserFavorites = async (req, res) => {
           userId: child.userId,
           gameId: child.gameId,
           dateAdded: child.dateAdded,
-          game: { id: child.gameId, ...gameData }
+          game: describeGame({ id: child.gameId, ...gameData }, taxonomy)
         });
       }
     }
@@ -38,11 +42,17 @@ export const getUserFavorites = async (req, res) => {
 // Add favorite
 export const addFavorite = async (req, res) => {
   try {
-    const { userId, gameId } = req.body;
+    const { gameId } = req.body;
+    const userId = req.user.uid;
     
-    if (!userId || !gameId) {
+    // The favorite always belongs to the token's user
+    if (req.body.userId && !can(req.user, 'favorites:write', { userId: req.body.userId })) {
+      return sendForbidden(res, 'favorites:write');
+    }
+    
+    if (!gameId) {
       return res.status(400).json({ 
-        error: 'userId and gameId are required' 
+        error: 'gameId is required' 
       });
     }
     
@@ -63,13 +73,8 @@ export const addFavorite = async (req, res) => {
     }
     
     // Add favorite
-    const favoriteData = {
-      userId,
-      gameId,
-      dateAdded: new Date().toISOString().split('T')[0]
-    };
-    
-    await db.ref(`favorites/${favoriteId}`).set(favoriteData);
+    await db.ref(`favorites/${favoriteId}`).set(favoriteRecord(userId, gameId));
+    await syncFavoritesList(userId);
     
     res.status(201).json({ 
       message: 'Game added to favorites', 
@@ -94,6 +99,7 @@ export const removeFavorite = async (req, res) => {
     }
     
     await db.ref(`favorites/${favoriteId}`).remove();
+    await syncFavoritesList(userId);
     
     res.json({ message: 'Favorite removed successfully' });
   } catch (error) {
@@ -0,0 +1,246 @@
+import { db, firestore } from '../storage/index.js';
+import { loadTaxonomy, describeGame } from '../utils/taxonomy.js';
+import { REGIONS, releaseEntriesFor, normalizeRegion } from '../utils/releaseEntries.js';
+import { parseReleaseDate, describeReleaseDate } from '../utils/releaseDates.js';
+import { FEED_FORMATS, latestUpdate, sendFeed } from '../utils/syndication.js';
+import { siteUrl, gamePageUrl, requestUrl } from '../utils/siteLinks.js';
+
+// Syndication feeds, each as Atom (.atom) or RSS 2.0 (.rss):
+//   GET /api/feeds/games/new.:format               newly added games
+//   GET /api/feeds/games/upcoming.:format          releasing in the next 7 days
+//   GET /api/feeds/reviews.:format                 latest reviews
+//   GET /api/feeds/games/:gameId/reviews.:format   latest reviews of one game
+// They read the same records as the game and review listings (hidden
+// reviews never appear) and answer conditional GETs with 304.
+
+const FEED_LIMIT = 30;
+
+const UPCOMING_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longer text is cut down for summaries
+const SUMMARY_LENGTH = 300;
+
+const truncate = (text, length = SUMMARY_LENGTH) => {
+  const value = String(text || '').trim();
+  return value.length > length ? `${value.slice(0, length - 1).trimEnd()}…` : value;
+};
+
+// Check the :format param; sends a 404 and returns null for unknown ones
+const feedFormat = (req, res) => {
+  const { format } = req.params;
+  if (!FEED_FORMATS[format]) {
+    res.status(404).json({ error: `Unknown feed format. Use one of: ${Object.keys(FEED_FORMATS).join(', ')}` });
+    return null;
+  }
+  return format;
+};
+
+const feedBase = (req, id, title, subtitle) => ({
+  id: `urn:vgb:feed:${id}`,
+  title,
+  subtitle,
+  selfUrl: requestUrl(req),
+  link: siteUrl()
+});
+
+const loadDescribedGames = async (taxonomy) => {
+  const snapshot = await db.ref('games').once('value');
+  return Object.entries(snapshot.val() || {})
+    .map(([gameId, game]) => describeGame({ id: gameId, ...game }, taxonomy));
+};
+
+// Newest games first, by when they were added
+export const getNewGamesFeed = async (req, res) => {
+  try {
+    const format = feedFormat(req, res);
+    if (!format) return;
+
+    const taxonomy = await loadTaxonomy();
+    const games = (await loadDescribedGames(taxonomy))
+      .filter(game => game.createdAt)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, FEED_LIMIT);
+
+    const entries = games.map(game => ({
+      id: `urn:vgb:game:${game.id}`,
+      title: game.title,
+      link: gamePageUrl(game.id),
+      published: game.createdAt,
+      updated: game.createdAt,
+      summary: `${describeReleaseDate(game.releaseDate)} on ${game.platform || 'unannounced platforms'}. ` +
+        truncate(game.description)
+    }));
+
+    sendFeed(req, res, format, {
+      ...feedBase(req, 'games:new', 'VGB: New Games', 'Games newly added to Video Game Bulletin'),
+      updated: latestUpdate(entries),
+      entries
+    });
+  } catch (error) {
+    console.error('New games feed error:', error);
+    res.status(500).json({ error: 'Failed to build new games feed' });
+  }
+};
+
+// Exact release days of a game within [startDate, endDate], as
+// "2026-10-21 (PC, Worldwide)" labels; per platform/region when it has
+// release entries (?region= narrows them like /api/games/filter)
+const upcomingReleaseLabels = (game, taxonomy, startDate, endDate, region) => {
+  const inRange = (date) => parseReleaseDate(date || '').precision === 'day' && date >= startDate && date <= endDate;
+  const entries = releaseEntriesFor(game, { region });
+
+  if (entries.length === 0) {
+    return inRange(game.releaseDate) ? [{ date: game.releaseDate, label: game.releaseDate }] : [];
+  }
+
+  return entries
+    .filter(entry => inRange(entry.date))
+    .map(entry => {
+      const details = [
+        taxonomy.platforms[entry.platform]?.name || entry.platform,
+        REGIONS[entry.region] || entry.region,
+        entry.edition || null
+      ].filter(Boolean).join(', ');
+      return { date: entry.date, label: `${entry.date} (${details})` };
+    });
+};
+
+// Games with an exact release day in the next 7 days, soonest first
+export const getUpcomingFeed = async (req, res) => {
+  try {
+    const format = feedFormat(req, res);
+    if (!format) return;
+
+    const region = normalizeRegion(req.query.region);
+    if (region && !REGIONS[region]) {
+      return res.status(400).json({
+        error: `region must be one of: ${Object.keys(REGIONS).join(', ')}`
+      });
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    const lastDay = new Date(Date.parse(today) + (UPCOMING_DAYS - 1) * DAY_MS).toISOString().slice(0, 10);
+
+    const taxonomy = await loadTaxonomy();
+    const upcoming = (await loadDescribedGames(taxonomy))
+      .map(game => ({ game, releases: upcomingReleaseLabels(game, taxonomy, today, lastDay, region || null) }))
+      .filter(({ releases }) => releases.length > 0)
+      .sort((a, b) => a.releases[0].date.localeCompare(b.releases[0].date))
+      .slice(0, FEED_LIMIT);
+
+    const entries = upcoming.map(({ game, releases }) => ({
+      id: `urn:vgb:release:${game.id}:${releases[0].date}`,
+      title: `${game.title} releases ${releases[0].date}`,
+      link: gamePageUrl(game.id),
+      published: game.createdAt,
+      updated: game.releaseUpdatedAt || game.createdAt,
+      summary: `Releasing ${releases.map(release => release.label).join('; ')}. ${truncate(game.description)}`
+    }));
+
+    // The window moves every day, so the feed changes at midnight even
+    // when no game did
+    sendFeed(req, res, format, {
+      ...feedBase(req, `games:upcoming${region ? `:${region}` : ''}`, 'VGB: Releasing This Week',
+        `Games releasing from ${today} to ${lastDay}`),
+      updated: latestUpdate(entries, `${today}T00:00:00.000Z`),
+      entries
+    });
+  } catch (error) {
+    console.error('Upcoming releases feed error:', error);
+    res.status(500).json({ error: 'Failed to build upcoming releases feed' });
+  }
+};
+
+// Review feed entries with author names and game titles
+const reviewEntries = async (reviews) => {
+  const userIds = [...new Set(reviews.map(review => review.userId))];
+  const gameIds = [...new Set(reviews.map(review => review.gameId))];
+  const [users, games] = await Promise.all([
+    Promise.all(userIds.map(userId => db.ref(`users/${userId}/username`).once('value'))),
+    Promise.all(gameIds.map(gameId => db.ref(`games/${gameId}/title`).once('value')))
+  ]);
+  const usernames = new Map(userIds.map((userId, i) => [userId, users[i].val() || 'Anonymous']));
+  const titles = new Map(gameIds.map((gameId, i) => [gameId, games[i].val() || gameId]));
+
+  return reviews.map(review => {
+    const rating = review.rating ? `${review.rating}/5` : null;
+    const title = titles.get(review.gameId);
+    return {
+      id: `urn:vgb:review:${review.reviewId}`,
+      title: `${title}${rating ? ` - ${rating}` : ''} by ${usernames.get(review.userId)}`,
+      link: gamePageUrl(review.gameId),
+      published: review.dateTimePosted,
+      updated: review.editedAt || review.dateTimePosted,
+      author: usernames.get(review.userId),
+      summary: truncate(review.text) || `Rated ${title} ${rating}`,
+      content: review.text || null
+    };
+  });
+};
+
+const sendReviewFeed = async (req, res, format, snapshot, { id, title, subtitle }) => {
+  const reviews = snapshot.docs.map(doc => ({ reviewId: doc.id, ...doc.data() }));
+  const entries = await reviewEntries(reviews);
+
+  sendFeed(req, res, format, {
+    ...feedBase(req, id, title, subtitle),
+    updated: latestUpdate(entries),
+    entries
+  });
+};
+
+// Latest reviews across every game
+export const getReviewsFeed = async (req, res) => {
+  try {
+    const format = feedFormat(req, res);
+    if (!format) return;
+
+    const snapshot = await firestore.collection('reviews')
+      .where('hidden', '==', false)
+      .orderBy('dateTimePosted', 'desc')
+      .limit(FEED_LIMIT)
+      .get();
+
+    await sendReviewFeed(req, res, format, snapshot, {
+      id: 'reviews',
+      title: 'VGB: Latest Reviews',
+      subtitle: 'The newest community reviews on Video Game Bulletin'
+    });
+  } catch (error) {
+    console.error('Reviews feed error:', error);
+    res.status(500).json({ error: 'Failed to build reviews feed' });
+  }
+};
+
+// Latest reviews of one game
+export const getGameReviewsFeed = async (req, res) => {
+  try {
+    const format = feedFormat(req, res);
+    if (!format) return;
+
+    const { gameId } = req.params;
+    const gameSnapshot = await db.ref(`games/${gameId}`).once('value');
+    if (!gameSnapshot.exists()) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+    const game = gameSnapshot.val();
+
+    const snapshot = await firestore.collection('reviews')
+      .where('gameId', '==', gameId)
+      .where('hidden', '==', false)
+      .orderBy('dateTimePosted', 'desc')
+      .limit(FEED_LIMIT)
+      .get();
+
+    await sendReviewFeed(req, res, format, snapshot, {
+      id: `reviews:${gameId}`,
+      title: `VGB: ${game.title} Reviews`,
+      subtitle: `The newest community reviews of ${game.title}`
+    });
+  } catch (error) {
+    console.error('Game reviews feed error:', error);
+    res.status(500).json({ error: 'Failed to build game reviews feed' });
+  }
+};
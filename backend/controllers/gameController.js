@@ -1,16 +1,97 @@
-import { db, firestore } from '../config/firebase.js';
+import { db, firestore } from '../storage/index.js';
+import { parsePageParams, paginateList } from '../utils/pagination.js';
+import { searchIndex, removeGameFromIndex } from '../utils/searchIndex.js';
+import { buildGameFilters, applyGameFilters, parseFacetParam, computeFacets, releaseEntryOptions } from '../utils/gameFilters.js';
+import { loadTaxonomy, describeGame } from '../utils/taxonomy.js';
+import { prepareGameCreate, prepareGameUpdate, saveNewGame, saveGameUpdate } from '../utils/gameWrites.js';
+import { recordAudit } from '../utils/audit.js';
+import { recomputeGameRating, gameRatingStats } from '../utils/ratingCalculator.js';
+import { deleteReviewRecords, deleteGameModerationCases } from '../utils/reviewRecords.js';
+import { weightedRating, meanRating, RANKING_WINDOWS, releaseWindowFilter, TRENDING_WINDOWS, trendingScores } from '../utils/ranking.js';
+import { releaseSortKey } from '../utils/releaseDates.js';
+import { REGIONS, describeReleaseEntries, normalizeRegion } from '../utils/releaseEntries.js';
+import { MAX_NOTE_LENGTH, loadReleaseHistory, deleteReleaseHistory } from '../utils/releaseHistory.js';
+import { removeGameFromCollections } from '../utils/collections.js';
+
+// Sort options for game listings
+const GAME_SORTS = {
+  title: { value: game => game.title?.toLowerCase(), order: 'asc' },
+  releaseDate: { value: releaseSortKey, order: 'asc' },
+  averageRating: { value: game => game.averageRating || 0, order: 'desc' },
+  totalRatings: { value: game => game.totalRatings || 0, order: 'desc' },
+  newest: { value: game => game.createdAt, order: 'desc' },
+  lastDelayed: { value: game => game.lastDelayedAt, order: 'desc' }
+};
+
+// Text searches can also be ordered by relevance (the default for them)
+const SEARCH_SORTS = {
+  relevance: { value: game => game.search?.score, order: 'desc' },
+  ...GAME_SORTS
+};
+
+// The top list is always ordered by weighted rating
+const TOP_SORTS = {
+  weighted: { value: game => game.ranking.weightedRating, order: 'desc' }
+};
+
+const TRENDING_SORTS = {
+  trending: { value: game => game.trending.score, order: 'desc' }
+};
+
+// Weight of the prior in the top list when ?minVotes isn't given
+const DEFAULT_MIN_VOTES = 5;
+
+const parseGamePageParams = (query, sorts = GAME_SORTS, defaultSort = 'title') => (
+  parsePageParams(query, { sorts, defaultSort })
+);
+
+// Load every game in its described form (taxonomy ids + display names)
+const loadGames = async (taxonomy) => {
+  const snapshot = await db.ref('games').once('value');
+  const games = [];
+  
+  snapshot.forEach((child) => {
+    games.push(describeGame({ id: child.key, ...child.val() }, taxonomy));
+  });
+  
+  return games;
+};
+
+// Run a text search and join the ranked hits with current game data,
+// attaching search.score and search.matchedTerms to each game
+const searchCatalog = async (query, taxonomy) => {
+  const [hits, games] = await Promise.all([
+    searchIndex(query),
+    loadGames(taxonomy)
+  ]);
+  const gamesById = new Map(games.map(game => [game.id, game]));
+  
+  return hits
+    .filter(hit => gamesById.has(hit.gameId))
+    .map(({ gameId, score, matchedTerms }) => ({
+      ...gamesById.get(gameId),
+      search: { score, matchedTerms }
+    }));
+};
+
+// Send one page of games with its page metadata (plus any extra fields)
+const sendGamePage = (res, games, paging, sorts = GAME_SORTS, extra = {}) => {
+  const { items, page } = paginateList(games, { sorts, ...paging });
+  res.json({ games: items, page, ...extra });
+};
 
 // Get all games
 export const getAllGames = async (req, res) => {
   try {
-    const snapshot = await db.ref('games').once('value');
-    const games = [];
+    const paging = parseGamePageParams(req.query);
+    if (paging.error) {
+      return res.status(400).json({ error: paging.error });
+    }
     
-    snapshot.forEach((child) => {
-      games.push({ id: child.key, ...child.val() });
-    });
+    const taxonomy = await loadTaxonomy();
+    const games = await loadGames(taxonomy);
     
-    res.json(games);
+    sendGamePage(res, games, paging);
   } catch (error) {
     console.error('Get all games error:', error);
     res.status(500).json({ error: 'Failed to retrieve games' });
@@ -32,6 +113,7 @@ export const getGameById = async (req, res) => {
     // Get reviews from Firestore
     const reviewsSnapshot = await firestore.collection('reviews')
       .where('gameId', '==', gameId)
+      .where('hidden', '==', false)
       .orderBy('dateTimePosted', 'desc')
       .get();
     
@@ -40,33 +122,36 @@ export const getGameById = async (req, res) => {
       reviews.push({ reviewId: doc.id, ...doc.data() });
     });
     
-    res.json({ game: { id: gameId, ...gameData }, reviews });
+    const taxonomy = await loadTaxonomy();
+    
+    const game = describeGame({ id: gameId, ...gameData }, taxonomy);
+    
+    res.json({ game: { ...game, releaseEntries: describeReleaseEntries(game, taxonomy) }, reviews });
   } catch (error) {
     console.error('Get game by ID error:', error);
     res.status(500).json({ error: 'Failed to retrieve game' });
   }
 };
 
-// Search games by title
+// Search games (ranked full-text search over title, alternate titles,
+// genre, platform and description)
 export const searchGames = async (req, res) => {
   try {
-    const { title } = req.query;
+    const title = req.query.q || req.query.title;
     
     if (!title) {
       return res.status(400).json({ error: 'Title parameter required' });
     }
     
-    const snapshot = await db.ref('games').once('value');
-    const games = [];
+    const paging = parseGamePageParams(req.query, SEARCH_SORTS, 'relevance');
+    if (paging.error) {
+      return res.status(400).json({ error: paging.error });
+    }
     
-    snapshot.forEach((child) => {
-      const game = child.val();
-      if (game.title && game.title.toLowerCase().includes(title.toLowerCase())) {
-        games.push({ id: child.key, ...game });
-      }
-    });
+    const taxonomy = await loadTaxonomy();
+    const games = await searchCatalog(title, taxonomy);
     
-    res.json(games);
+    sendGamePage(res, games, paging, SEARCH_SORTS);
   } catch (error) {
     console.error('Search games error:', error);
     res.status(500).json({ error: 'Failed to search games' });
@@ -74,95 +159,204 @@ export const searchGames = async (req, res) => {
 };
 
 // Multi-criteria filter
+// platform and genre take comma-separated taxonomy ids (names and aliases
+// also resolve) with platformMatch/genreMatch=any|all.
+// Each game carries its releaseEntries (per platform and region, see
+// utils/releaseEntries.js): only those inside startDate/endDate when a
+// range is given, only the platforms filtered on, and with ?region= only
+// that region's view of them.
+// Pass facets=true (or a list such as facets=platform,genre) to also get
+// per-option counts computed against the other active filters
 export const filterGames = async (req, res) => {
   try {
-    const { platform, genre, status, minRating, startDate, endDate } = req.query;
+    const { title } = req.query;
+    const region = normalizeRegion(req.query.region);
+    
+    if (region && !REGIONS[region]) {
+      return res.status(400).json({ 
+        error: `region must be one of: ${Object.keys(REGIONS).join(', ')}` 
+      });
+    }
+    
+    const sorts = title ? SEARCH_SORTS : GAME_SORTS;
+    const paging = parseGamePageParams(req.query, sorts, title ? 'relevance' : 'title');
+    if (paging.error) {
+      return res.status(400).json({ error: paging.error });
+    }
     
-    const snapshot = await db.ref('games').once('value');
-    let games = [];
+    const taxonomy = await loadTaxonomy();
     
-    snapshot.forEach((child) => {
-      games.push({ id: child.key, ...child.val() });
-    });
+    // Narrow to search results first when a text query is included
+    const games = title
+      ? await searchCatalog(title, taxonomy)
+      : await loadGames(taxonomy);
     
     // Apply filters
-    if (platform) {
-      games = games.filter(game => 
-        game.platform && game.platform.toLowerCase().includes(platform.toLowerCase())
-      );
+    const filters = buildGameFilters(req.query, taxonomy);
+    const facetNames = parseFacetParam(req.query.facets);
+    const extra = facetNames.length > 0
+      ? { facets: computeFacets(games, filters, facetNames, taxonomy) }
+      : {};
+    
+    const entryOptions = releaseEntryOptions(req.query, taxonomy);
+    const matching = applyGameFilters(games, filters).map(game => ({
+      ...game,
+      releaseEntries: describeReleaseEntries(game, taxonomy, entryOptions)
+    }));
+    
+    sendGamePage(res, matching, paging, sorts, extra);
+  } catch (error) {
+    console.error('Filter games error:', error);
+    res.status(500).json({ error: 'Failed to filter games' });
+  }
+};
+
+// Top rated games by weighted rating
+// ?minVotes= how many ratings at the prior a game is weighted with (default 5)
+// ?prior= the mean rating games are pulled toward (default: catalog mean)
+// ?window=month|quarter|year|all limits to games released in that window;
+// platform, genre and the other /filter params narrow the list further.
+// Games without any ratings are left out.
+export const getTopGames = async (req, res) => {
+  try {
+    const paging = parsePageParams(req.query, { sorts: TOP_SORTS, defaultSort: 'weighted' });
+    if (paging.error) {
+      return res.status(400).json({ error: paging.error });
     }
     
-    if (genre) {
-      games = games.filter(game => 
-        game.genre && game.genre.toLowerCase().includes(genre.toLowerCase())
-      );
+    const minVotes = req.query.minVotes === undefined ? DEFAULT_MIN_VOTES : Number(req.query.minVotes);
+    if (!Number.isInteger(minVotes) || minVotes < 0) {
+      return res.status(400).json({ error: 'minVotes must be a non-negative integer' });
+    }
+    
+    const window = req.query.window || 'all';
+    if (!(window in RANKING_WINDOWS)) {
+      return res.status(400).json({ 
+        error: `window must be one of: ${Object.keys(RANKING_WINDOWS).join(', ')}` 
+      });
     }
     
-    if (status === 'upcoming') {
-      games = games.filter(game => game.upcoming === true);
-    } else if (status === 'released') {
-      games = games.filter(game => game.released === true);
+    const taxonomy = await loadTaxonomy();
+    const games = await loadGames(taxonomy);
+    
+    let prior;
+    if (req.query.prior === undefined) {
+      prior = parseFloat(meanRating(games).toFixed(4));
+    } else {
+      prior = Number(req.query.prior);
+      if (!Number.isFinite(prior) || prior < 1 || prior > 5) {
+        return res.status(400).json({ error: 'prior must be a number between 1 and 5' });
+      }
     }
     
-    if (minRating) {
-      const minRatingNum = parseFloat(minRating);
-      games = games.filter(game => 
-        game.averageRating && game.averageRating >= minRatingNum
-      );
+    const filters = buildGameFilters(req.query, taxonomy);
+    const inWindow = releaseWindowFilter(window);
+    if (inWindow) filters.push({ key: 'window', test: inWindow });
+    
+    const ranked = applyGameFilters(games, filters)
+      .filter(game => game.totalRatings > 0)
+      .map(game => ({
+        ...game,
+        ranking: { weightedRating: weightedRating(game, { prior, minVotes }) }
+      }));
+    
+    sendGamePage(res, ranked, paging, TOP_SORTS, { ranking: { prior, minVotes, window } });
+  } catch (error) {
+    console.error('Get top games error:', error);
+    res.status(500).json({ error: 'Failed to retrieve top games' });
+  }
+};
+
+// Recent activity as { gameId, type, at } events: reviews with text,
+// ratings (hidden reviews don't count) and favorites added since `since`
+const loadRecentActivity = async (since) => {
+  const [reviewsSnapshot, favoritesSnapshot] = await Promise.all([
+    firestore.collection('reviews')
+      .where('dateTimePosted', '>=', since.toISOString())
+      .get(),
+    // dateAdded is a plain date; addedAt has the time for newer favorites
+    db.ref('favorites')
+      .orderByChild('dateAdded')
+      .startAt(since.toISOString().slice(0, 10))
+      .once('value')
+  ]);
+  
+  const events = [];
+  reviewsSnapshot.forEach(doc => {
+    const review = doc.data();
+    if (review.hidden) return;
+    if (review.text) events.push({ gameId: review.gameId, type: 'review', at: review.dateTimePosted });
+    if (review.rating) events.push({ gameId: review.gameId, type: 'rating', at: review.dateTimePosted });
+  });
+  favoritesSnapshot.forEach(child => {
+    const favorite = child.val();
+    events.push({ gameId: favorite.gameId, type: 'favorite', at: favorite.addedAt || favorite.dateAdded });
+  });
+  
+  return events;
+};
+
+// Trending games by recent community activity with time decay
+// ?window=24h|7d (default)|30d; platform, genre and the other /filter
+// params narrow the list. Games with no activity in the window are left out.
+export const getTrendingGames = async (req, res) => {
+  try {
+    const paging = parsePageParams(req.query, { sorts: TRENDING_SORTS, defaultSort: 'trending' });
+    if (paging.error) {
+      return res.status(400).json({ error: paging.error });
     }
     
-    if (startDate && endDate) {
-      games = games.filter(game => 
-        game.releaseDate && 
-        game.releaseDate >= startDate && 
-        game.releaseDate <= endDate
-      );
+    const window = req.query.window || '7d';
+    if (!TRENDING_WINDOWS[window]) {
+      return res.status(400).json({ 
+        error: `window must be one of: ${Object.keys(TRENDING_WINDOWS).join(', ')}` 
+      });
     }
     
-    res.json(games);
+    const now = new Date();
+    const since = new Date(now.getTime() - TRENDING_WINDOWS[window].hours * 60 * 60 * 1000);
+    
+    const taxonomy = await loadTaxonomy();
+    const [games, events] = await Promise.all([
+      loadGames(taxonomy),
+      loadRecentActivity(since)
+    ]);
+    const scores = trendingScores(events, window, now);
+    
+    const filters = buildGameFilters(req.query, taxonomy);
+    const trending = applyGameFilters(games, filters)
+      .filter(game => scores.has(game.id))
+      .map(game => ({ ...game, trending: scores.get(game.id) }));
+    
+    sendGamePage(res, trending, paging, TRENDING_SORTS, { 
+      trending: { window, since: since.toISOString() } 
+    });
   } catch (error) {
-    console.error('Filter games error:', error);
-    res.status(500).json({ error: 'Failed to filter games' });
+    console.error('Get trending games error:', error);
+    res.status(500).json({ error: 'Failed to retrieve trending games' });
   }
 };
 
 // Add game (Admin only) - WITH BASE64 IMAGE
 export const addGame = async (req, res) => {
   try {
-    const { 
-      gameId, 
-      title, 
-      description, 
-      releaseDate, 
-      platform, 
-      genre, 
-      upcoming, 
-      released,
-      imageBase64  // Base64 string from frontend
-    } = req.body;
-    
-    // Validate image size (limit to ~1MB base64 = ~750KB actual)
-    if (imageBase64 && imageBase64.length > 1400000) {
-      return res.status(400).json({ 
-        error: 'Image too large. Please use image under 1MB' 
+    const taxonomy = await loadTaxonomy();
+    const { value: gameData, errors } = prepareGameCreate(req.body, taxonomy);
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid game data', fields: errors });
+    }
+    
+    // Never overwrite an existing game (and its ratings) from a create
+    const { gameId } = gameData;
+    const existing = await db.ref(`games/${gameId}`).once('value');
+    if (existing.exists()) {
+      return res.status(409).json({ 
+        error: `Game "${gameId}" already exists`,
+        fields: { gameId: 'is already taken' }
       });
     }
     
-    const gameData = {
-      gameId,
-      title,
-      description,
-      releaseDate,
-      platform,
-      genre,
-      imageBase64: imageBase64 || '',  // Store Base64 directly
-      upcoming: upcoming === 'true' || upcoming === true,
-      released: released === 'true' || released === true,
-      averageRating: 0,
-      totalRatings: 0
-    };
-    
-    await db.ref(`games/${gameId}`).set(gameData);
+    await saveNewGame({ gameId, gameData, taxonomy, actor: req.user });
     
     res.status(201).json({ 
       message: 'Game added successfully', 
@@ -174,42 +368,54 @@ export const addGame = async (req, res) => {
   }
 };
 
-// Update game (Admin only) - WITH BASE64 IMAGE
+// Update game (Admin only) - partial update, omitted fields are left as is.
+// A releaseDate change is recorded in the release history, optionally with
+// a `releaseDateNote` explaining it.
 export const updateGame = async (req, res) => {
   try {
     const { gameId } = req.params;
-    const { 
-      title, 
-      description, 
-      releaseDate, 
-      platform, 
-      genre, 
-      upcoming, 
-      released,
-      imageBase64
-    } = req.body;
-    
-    const updateData = {
-      title,
-      description,
-      releaseDate,
-      platform,
-      genre,
-      upcoming: upcoming === 'true' || upcoming === true,
-      released: released === 'true' || released === true
-    };
-    
-    // Update image if provided
-    if (imageBase64) {
-      if (imageBase64.length > 1400000) {
-        return res.status(400).json({ 
-          error: 'Image too large. Please use image under 1MB' 
-        });
+    
+    const gameSnapshot = await db.ref(`games/${gameId}`).once('value');
+    const currentGame = gameSnapshot.val();
+    if (!currentGame) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+    
+    const { releaseDateNote, ...changes } = req.body || {};
+    const taxonomy = await loadTaxonomy();
+    const changedAt = new Date().toISOString();
+    const { value: updateData, errors, releaseDateChanged } = prepareGameUpdate(currentGame, changes, taxonomy, changedAt);
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid game data', fields: errors });
+    }
+    
+    if (releaseDateNote !== undefined && releaseDateNote !== null) {
+      const noteError = typeof releaseDateNote !== 'string'
+        ? 'must be a string'
+        : releaseDateNote.trim().length > MAX_NOTE_LENGTH
+          ? `must be at most ${MAX_NOTE_LENGTH} characters`
+          : !releaseDateChanged ? 'can only be given with a new releaseDate' : null;
+      if (noteError) {
+        return res.status(400).json({ error: 'Invalid game data', fields: { releaseDateNote: noteError } });
       }
-      updateData.imageBase64 = imageBase64;
     }
     
-    await db.ref(`games/${gameId}`).update(updateData);
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+    
+    const note = releaseDateNote?.trim() || null;
+    await saveGameUpdate({
+      gameId,
+      currentGame,
+      updateData,
+      releaseDateChanged,
+      changedAt,
+      taxonomy,
+      actor: req.user,
+      note,
+      details: releaseDateChanged ? { releaseDateNote: note } : null
+    });
     
     res.json({ message: 'Game updated successfully' });
   } catch (error) {
@@ -218,6 +424,30 @@ export const updateGame = async (req, res) => {
   }
 };
 
+// Release date timeline of a game: every change, oldest first
+export const getReleaseHistory = async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    
+    const gameSnapshot = await db.ref(`games/${gameId}`).once('value');
+    const game = gameSnapshot.val();
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+    
+    res.json({
+      gameId,
+      releaseDate: game.releaseDate,
+      originalReleaseDate: game.originalReleaseDate || game.releaseDate,
+      delayCount: game.delayCount || 0,
+      changes: await loadReleaseHistory(gameId)
+    });
+  } catch (error) {
+    console.error('Get release history error:', error);
+    res.status(500).json({ error: 'Failed to retrieve release history' });
+  }
+};
+
 // Delete game (Admin only) - SIMPLIFIED (no storage deletion)
 export const deleteGame = async (req, res) => {
   try {
@@ -235,11 +465,18 @@ export const deleteGame = async (req, res) => {
       .get();
     
     const batch = firestore.batch();
+    const reviewIds = new Set();
     reviewsSnapshot.forEach(doc => {
       batch.delete(doc.ref);
+      reviewIds.add(doc.id);
     });
     await batch.commit();
     
+    // Moderation cases and their reports, also for reviews deleted earlier
+    const casesDeleted = await deleteGameModerationCases(gameId);
+    casesDeleted.forEach(reviewId => reviewIds.add(reviewId));
+    await deleteReviewRecords([...reviewIds]);
+    
     // Delete favorites
     const favoritesSnapshot = await db.ref('favorites')
       .orderByChild('gameId')
@@ -255,12 +492,65 @@ export const deleteGame = async (req, res) => {
       await db.ref('favorites').update(favoriteUpdates);
     }
     
+    // Lists (each user's Favorites list too) and backlog statuses
+    const { listsUpdated, statusesDeleted } = await removeGameFromCollections(gameId);
+    
+    const releaseChangesDeleted = await deleteReleaseHistory(gameId);
+    
     // Delete game (image is deleted automatically with the game data)
     await db.ref(`games/${gameId}`).remove();
+    removeGameFromIndex(gameId);
+    
+    await recordAudit({
+      actor: req.user,
+      action: 'game.delete',
+      targetType: 'game',
+      targetId: gameId,
+      before: gameSnapshot.val(),
+      details: {
+        reviewsDeleted: reviewsSnapshot.size,
+        moderationCasesDeleted: casesDeleted.length,
+        favoritesDeleted: Object.keys(favoriteUpdates).length,
+        listsUpdated,
+        statusesDeleted,
+        releaseChangesDeleted
+      }
+    });
     
     res.json({ message: 'Game and related data deleted successfully' });
   } catch (error) {
     console.error('Delete game error:', error);
     res.status(500).json({ error: 'Failed to delete game' });
   }
+};
+
+// Rebuild a game's rating aggregates from its reviews (Admin only)
+// For repairing counts that drifted, e.g. after manual data fixes
+export const recomputeRating = async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    
+    const gameSnapshot = await db.ref(`games/${gameId}`).once('value');
+    if (!gameSnapshot.exists()) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+    
+    const before = gameRatingStats(gameSnapshot.val());
+    
+    const after = await recomputeGameRating(gameId);
+    
+    await recordAudit({
+      actor: req.user,
+      action: 'game.recomputeRating',
+      targetType: 'game',
+      targetId: gameId,
+      before,
+      after
+    });
+    
+    res.json({ message: 'Rating recomputed', gameId, ...after });
+  } catch (error) {
+    console.error('Recompute rating error:', error);
+    res.status(500).json({ error: 'Failed to recompute rating' });
+  }
 };
\ No newline at end of file
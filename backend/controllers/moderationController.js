@@ -0,0 +1,319 @@
+import { firestore, db } from '../storage/index.js';
+import { applyRatingChange, countedRating } from '../utils/ratingCalculator.js';
+import { parsePageParams, paginateList } from '../utils/pagination.js';
+import { recordAudit } from '../utils/audit.js';
+import { deleteReviewRecords } from '../utils/reviewRecords.js';
+
+// Review reports and the moderation queue.
+// Each report is a reviewReports/{reviewId}_{reporterId} document (one per
+// user per review). Reports on the same review are grouped into a
+// moderationCases/{reviewId} document, which is what admins work through.
+
+export const REPORT_REASONS = ['spam', 'offensive', 'spoilers', 'off-topic', 'other'];
+
+export const CASE_STATUSES = ['pending', 'hidden', 'dismissed', 'restored', 'deleted'];
+
+// Moderation actions: the case statuses each one may be applied from and
+// the status it leaves the case in (warn leaves the status alone)
+const ACTIONS = {
+  dismiss: { from: ['pending'], to: 'dismissed' },
+  hide: { from: ['pending', 'dismissed', 'restored'], to: 'hidden' },
+  restore: { from: ['hidden'], to: 'restored' },
+  delete: { from: ['pending', 'hidden', 'dismissed', 'restored'], to: 'deleted' },
+  warn: { from: ['pending', 'hidden', 'dismissed', 'restored', 'deleted'], to: null }
+};
+
+const QUEUE_SORTS = {
+  newest: { order: 'desc', value: moderationCase => moderationCase.lastReportedAt },
+  reports: { order: 'desc', value: moderationCase => moderationCase.reportCount }
+};
+
+const MAX_DETAILS_LENGTH = 500;
+
+// Report a review (registered users)
+export const reportReview = async (req, res) => {
+  try {
+    const { reviewId } = req.params;
+    const { reason, details } = req.body;
+    const reporterId = req.user.uid;
+
+    if (!REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({
+        error: `reason must be one of: ${REPORT_REASONS.join(', ')}`
+      });
+    }
+
+    if (details && String(details).length > MAX_DETAILS_LENGTH) {
+      return res.status(400).json({
+        error: `details must be at most ${MAX_DETAILS_LENGTH} characters`
+      });
+    }
+
+    const reviewDoc = await firestore.collection('reviews').doc(reviewId).get();
+    if (!reviewDoc.exists) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    const review = reviewDoc.data();
+    if (review.userId === reporterId) {
+      return res.status(400).json({ error: 'You cannot report your own review' });
+    }
+
+    const reportRef = firestore.collection('reviewReports').doc(`${reviewId}_${reporterId}`);
+    const caseRef = firestore.collection('moderationCases').doc(reviewId);
+
+    // Read and write the case in one transaction so concurrent reports
+    // each get counted
+    const reported = await firestore.runTransaction(async (transaction) => {
+      const [existingReport, caseDoc] = await Promise.all([
+        transaction.get(reportRef),
+        transaction.get(caseRef)
+      ]);
+      if (existingReport.exists) return false;
+
+      const now = new Date().toISOString();
+      transaction.set(reportRef, {
+        reviewId,
+        reporterId,
+        reason,
+        details: details ? String(details).trim() : null,
+        status: 'open',
+        createdAt: now
+      });
+
+      // A case closed as deleted belongs to an earlier review with the same
+      // id (see reviewIdFor in reviewController), so this one starts afresh
+      if (caseDoc.exists && caseDoc.data().status !== 'deleted') {
+        const current = caseDoc.data();
+        transaction.update(caseRef, {
+          reportCount: current.reportCount + 1,
+          [`reasons.${reason}`]: (current.reasons?.[reason] || 0) + 1,
+          lastReportedAt: now,
+          // New reports reopen a case that was previously cleared
+          status: ['dismissed', 'restored'].includes(current.status) ? 'pending' : current.status
+        });
+      } else {
+        transaction.set(caseRef, {
+          reviewId,
+          gameId: review.gameId,
+          authorId: review.userId,
+          // Copy of the review as reported, kept even if it's deleted later
+          review: {
+            text: review.text || null,
+            rating: review.rating || null,
+            dateTimePosted: review.dateTimePosted
+          },
+          status: 'pending',
+          reportCount: 1,
+          reasons: { [reason]: 1 },
+          warnings: 0,
+          actions: [],
+          createdAt: now,
+          lastReportedAt: now
+        });
+      }
+      return true;
+    });
+
+    if (!reported) {
+      return res.status(409).json({ error: 'You have already reported this review' });
+    }
+
+    res.status(201).json({ message: 'Review reported. Thank you!' });
+  } catch (error) {
+    console.error('Report review error:', error);
+    res.status(500).json({ error: 'Failed to report review' });
+  }
+};
+
+// Moderation queue with counts by status (Admin only)
+// ?status=pending (default) | hidden | dismissed | restored | deleted | all
+export const getModerationQueue = async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (status !== 'all' && !CASE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be all or one of: ${CASE_STATUSES.join(', ')}`
+      });
+    }
+
+    const paging = parsePageParams(req.query, {
+      sorts: QUEUE_SORTS,
+      defaultSort: 'newest',
+      defaultLimit: 20
+    });
+    if (paging.error) {
+      return res.status(400).json({ error: paging.error });
+    }
+
+    const snapshot = await firestore.collection('moderationCases').get();
+
+    const counts = Object.fromEntries(CASE_STATUSES.map(name => [name, 0]));
+    const cases = [];
+    snapshot.forEach(doc => {
+      const moderationCase = { reviewId: doc.id, ...doc.data() };
+      counts[moderationCase.status] = (counts[moderationCase.status] || 0) + 1;
+      if (status === 'all' || moderationCase.status === status) {
+        cases.push(moderationCase);
+      }
+    });
+
+    const { items, page } = paginateList(cases, { sorts: QUEUE_SORTS, ...paging }, moderationCase => moderationCase.reviewId);
+
+    res.json({ cases: items, counts, page });
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    res.status(500).json({ error: 'Failed to retrieve moderation queue' });
+  }
+};
+
+// Single case with its reports and the live review (Admin only)
+export const getModerationCase = async (req, res) => {
+  try {
+    const { reviewId } = req.params;
+
+    const caseDoc = await firestore.collection('moderationCases').doc(reviewId).get();
+    if (!caseDoc.exists) {
+      return res.status(404).json({ error: 'Moderation case not found' });
+    }
+
+    const [reportsSnapshot, reviewDoc] = await Promise.all([
+      firestore.collection('reviewReports').where('reviewId', '==', reviewId).get(),
+      firestore.collection('reviews').doc(reviewId).get()
+    ]);
+
+    const reports = [];
+    reportsSnapshot.forEach(doc => {
+      reports.push({ reportId: doc.id, ...doc.data() });
+    });
+    reports.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    res.json({
+      case: { reviewId, ...caseDoc.data() },
+      review: reviewDoc.exists ? { reviewId, ...reviewDoc.data() } : null,
+      reports
+    });
+  } catch (error) {
+    console.error('Get moderation case error:', error);
+    res.status(500).json({ error: 'Failed to retrieve moderation case' });
+  }
+};
+
+// Apply a moderation action to a reported review (Admin only)
+// POST /api/moderation/:reviewId/:action with optional { note, message }
+// (message is the text of a warning sent to the author)
+export const moderateReview = async (req, res) => {
+  try {
+    const { reviewId, action } = req.params;
+    const { note, message } = req.body;
+
+    const rule = ACTIONS[action];
+    if (!rule) {
+      return res.status(400).json({
+        error: `action must be one of: ${Object.keys(ACTIONS).join(', ')}`
+      });
+    }
+
+    const caseRef = firestore.collection('moderationCases').doc(reviewId);
+    const caseDoc = await caseRef.get();
+    if (!caseDoc.exists) {
+      return res.status(404).json({ error: 'Moderation case not found' });
+    }
+
+    const moderationCase = caseDoc.data();
+    if (!rule.from.includes(moderationCase.status)) {
+      return res.status(409).json({
+        error: `Cannot ${action} a review whose case is ${moderationCase.status}`
+      });
+    }
+
+    const reviewRef = firestore.collection('reviews').doc(reviewId);
+    const reviewDoc = await reviewRef.get();
+    const review = reviewDoc.exists ? reviewDoc.data() : null;
+    if (!review && action !== 'warn') {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    const now = new Date().toISOString();
+    const caseUpdate = {
+      actions: [
+        ...(moderationCase.actions || []),
+        { action, by: req.user.uid, at: now, note: note || null }
+      ]
+    };
+
+    if (rule.to) {
+      caseUpdate.status = rule.to;
+      caseUpdate.resolvedBy = req.user.uid;
+      caseUpdate.resolvedAt = now;
+    }
+
+    if (action === 'warn') {
+      await db.ref(`users/${moderationCase.authorId}/warnings`).push({
+        reviewId,
+        message: message || 'Your review was reported and found to break the community rules.',
+        issuedBy: req.user.uid,
+        issuedAt: now
+      });
+      caseUpdate.warnings = (moderationCase.warnings || 0) + 1;
+    }
+
+    const batch = firestore.batch();
+
+    if (action === 'hide' || action === 'restore') {
+      batch.update(reviewRef, { hidden: action === 'hide' });
+    } else if (action === 'delete') {
+      batch.delete(reviewRef);
+    }
+
+    // Close the open reports once the case is decided (deleting the
+    // review removes its reports below)
+    if (['dismiss', 'hide'].includes(action)) {
+      const reportsSnapshot = await firestore.collection('reviewReports')
+        .where('reviewId', '==', reviewId)
+        .where('status', '==', 'open')
+        .get();
+      reportsSnapshot.forEach(doc => {
+        batch.update(doc.ref, { status: action === 'dismiss' ? 'dismissed' : 'actioned' });
+      });
+    }
+
+    batch.update(caseRef, caseUpdate);
+    await batch.commit();
+
+    if (action === 'delete') {
+      await deleteReviewRecords([reviewId]);
+    }
+
+    const statusAfter = caseUpdate.status || moderationCase.status;
+    const hiddenBefore = review ? review.hidden === true : null;
+    let hiddenAfter = hiddenBefore;
+    if (action === 'hide') hiddenAfter = true;
+    if (action === 'restore') hiddenAfter = false;
+    if (action === 'delete') hiddenAfter = null;
+
+    // Hidden and deleted reviews drop out of the game's rating
+    if (['hide', 'restore', 'delete'].includes(action)) {
+      await applyRatingChange(
+        review.gameId,
+        countedRating(review),
+        action === 'delete' ? null : countedRating({ ...review, hidden: hiddenAfter })
+      );
+    }
+
+    await recordAudit({
+      actor: req.user,
+      action: `review.${action}`,
+      targetType: 'review',
+      targetId: reviewId,
+      before: { status: moderationCase.status, hidden: hiddenBefore },
+      after: { status: statusAfter, hidden: hiddenAfter },
+      details: { note: note || null, message: action === 'warn' ? (message || null) : null }
+    });
+
+    res.json({ message: `Review ${action} applied`, status: statusAfter });
+  } catch (error) {
+    console.error('Moderate review error:', error);
+    res.status(500).json({ error: 'Failed to moderate review' });
+  }
+};
@@ -0,0 +1,164 @@
+import { db } from '../storage/index.js';
+import { validate } from '../utils/schema.js';
+import { parsePageParams, paginateList } from '../utils/pagination.js';
+import { loadPreferences } from '../utils/notifications.js';
+import { notificationPreferencesSchema } from '../utils/notificationSchema.js';
+
+// The signed-in user's notifications (see utils/notifications.js for how
+// they're generated). Users only ever see and change their own.
+
+const NOTIFICATION_SORTS = {
+  newest: { order: 'desc', value: notification => notification.createdAt }
+};
+
+const loadUserNotifications = async (userId) => {
+  const snapshot = await db.ref('notifications')
+    .orderByChild('userId')
+    .equalTo(userId)
+    .once('value');
+
+  return Object.entries(snapshot.val() || {})
+    .map(([notificationId, notification]) => ({ notificationId, ...notification }));
+};
+
+// Load one of the token user's notifications. Sends a 404 and returns null
+// otherwise (other users' notifications are reported as missing too).
+const loadOwnNotification = async (req, res) => {
+  const { notificationId } = req.params;
+  const snapshot = await db.ref(`notifications/${notificationId}`).once('value');
+
+  if (!snapshot.exists() || snapshot.val().userId !== req.user.uid) {
+    res.status(404).json({ error: 'Notification not found' });
+    return null;
+  }
+
+  return { notificationId, notification: snapshot.val() };
+};
+
+// Inbox, newest first (?unread=true for unread only)
+export const getNotifications = async (req, res) => {
+  try {
+    const paging = parsePageParams(req.query, {
+      sorts: NOTIFICATION_SORTS,
+      defaultSort: 'newest',
+      defaultLimit: 20
+    });
+    if (paging.error) {
+      return res.status(400).json({ error: paging.error });
+    }
+
+    const notifications = await loadUserNotifications(req.user.uid);
+    const unreadCount = notifications.filter(notification => !notification.read).length;
+    const listed = req.query.unread === 'true'
+      ? notifications.filter(notification => !notification.read)
+      : notifications;
+
+    const { items, page } = paginateList(
+      listed,
+      { sorts: NOTIFICATION_SORTS, ...paging },
+      notification => notification.notificationId
+    );
+
+    res.json({ notifications: items, unreadCount, page });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Failed to retrieve notifications' });
+  }
+};
+
+// Just the badge number, for polling
+export const getUnreadCount = async (req, res) => {
+  try {
+    const notifications = await loadUserNotifications(req.user.uid);
+    res.json({ unreadCount: notifications.filter(notification => !notification.read).length });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({ error: 'Failed to retrieve unread count' });
+  }
+};
+
+// Mark one notification read or unread { read: true | false }
+export const markNotification = async (req, res) => {
+  try {
+    const found = await loadOwnNotification(req, res);
+    if (!found) return;
+
+    const { read } = req.body;
+    if (typeof read !== 'boolean') {
+      return res.status(400).json({ error: 'read must be true or false' });
+    }
+
+    await db.ref(`notifications/${found.notificationId}`).update({ read });
+
+    res.json({ message: `Notification marked as ${read ? 'read' : 'unread'}`, read });
+  } catch (error) {
+    console.error('Mark notification error:', error);
+    res.status(500).json({ error: 'Failed to update notification' });
+  }
+};
+
+export const markAllRead = async (req, res) => {
+  try {
+    const notifications = await loadUserNotifications(req.user.uid);
+
+    const updates = {};
+    notifications
+      .filter(notification => !notification.read)
+      .forEach(notification => {
+        updates[`${notification.notificationId}/read`] = true;
+      });
+
+    if (Object.keys(updates).length > 0) {
+      await db.ref('notifications').update(updates);
+    }
+
+    res.json({ message: 'All notifications marked as read', updated: Object.keys(updates).length });
+  } catch (error) {
+    console.error('Mark all notifications error:', error);
+    res.status(500).json({ error: 'Failed to update notifications' });
+  }
+};
+
+export const deleteNotification = async (req, res) => {
+  try {
+    const found = await loadOwnNotification(req, res);
+    if (!found) return;
+
+    await db.ref(`notifications/${found.notificationId}`).remove();
+
+    res.json({ message: 'Notification deleted' });
+  } catch (error) {
+    console.error('Delete notification error:', error);
+    res.status(500).json({ error: 'Failed to delete notification' });
+  }
+};
+
+export const getPreferences = async (req, res) => {
+  try {
+    res.json(await loadPreferences(req.user.uid));
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to retrieve notification preferences' });
+  }
+};
+
+// Change some or all preferences
+export const updatePreferences = async (req, res) => {
+  try {
+    const { value, errors } = validate(notificationPreferencesSchema, req.body, { partial: true });
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid preferences', fields: errors });
+    }
+
+    if (Object.keys(value).length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    await db.ref(`users/${req.user.uid}/notificationPreferences`).update(value);
+
+    res.json({ message: 'Notification preferences saved', ...(await loadPreferences(req.user.uid)) });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to save notification preferences' });
+  }
+};
@@ -0,0 +1,90 @@
+import { db, firestore } from '../storage/index.js';
+import { parsePageParams, paginateList } from '../utils/pagination.js';
+import { loadTaxonomy, describeGame } from '../utils/taxonomy.js';
+import { recommendGames } from '../utils/recommendations.js';
+
+const RECOMMENDATION_SORTS = {
+  score: { value: recommendation => recommendation.score, order: 'desc' }
+};
+
+// Every favorite and visible rating as { userId, gameId, favorite, rating }
+const loadLikes = async () => {
+  const [favoritesSnapshot, reviewsSnapshot] = await Promise.all([
+    db.ref('favorites').once('value'),
+    firestore.collection('reviews').where('rating', '!=', null).get()
+  ]);
+  
+  const likes = [];
+  favoritesSnapshot.forEach(child => {
+    const { userId, gameId } = child.val();
+    likes.push({ userId, gameId, favorite: true, rating: null });
+  });
+  reviewsSnapshot.forEach(doc => {
+    const { userId, gameId, rating, hidden } = doc.data();
+    if (!hidden) likes.push({ userId, gameId, favorite: false, rating });
+  });
+  
+  return likes;
+};
+
+// Games the user has already favorited or reviewed (rated or not)
+const loadEngagedGameIds = async (userId) => {
+  const [favoritesSnapshot, reviewsSnapshot] = await Promise.all([
+    db.ref('favorites').orderByChild('userId').equalTo(userId).once('value'),
+    firestore.collection('reviews').where('userId', '==', userId).get()
+  ]);
+  
+  const gameIds = new Set();
+  favoritesSnapshot.forEach(child => {
+    gameIds.add(child.val().gameId);
+  });
+  reviewsSnapshot.forEach(doc => {
+    gameIds.add(doc.data().gameId);
+  });
+  
+  return gameIds;
+};
+
+// Personalized recommendations (the user or an admin)
+// Returns { recommendations: [{ game, score, because }], page }, where
+// because = { gameId, title, reason } names the liked game behind it.
+// Users with nothing favorited or rated 4+ get an empty list.
+export const getRecommendations = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    const paging = parsePageParams(req.query, {
+      sorts: RECOMMENDATION_SORTS,
+      defaultSort: 'score',
+      defaultLimit: 12,
+      maxLimit: 50
+    });
+    if (paging.error) {
+      return res.status(400).json({ error: paging.error });
+    }
+    
+    const [taxonomy, gamesSnapshot, likes, engaged] = await Promise.all([
+      loadTaxonomy(),
+      db.ref('games').once('value'),
+      loadLikes(),
+      loadEngagedGameIds(userId)
+    ]);
+    
+    const games = [];
+    gamesSnapshot.forEach(child => {
+      games.push(describeGame({ id: child.key, ...child.val() }, taxonomy));
+    });
+    
+    const recommendations = recommendGames({ userId, games, likes, engaged, taxonomy });
+    const { items, page } = paginateList(
+      recommendations,
+      { sorts: RECOMMENDATION_SORTS, ...paging },
+      recommendation => recommendation.game.id
+    );
+    
+    res.json({ recommendations: items, page });
+  } catch (error) {
+    console.error('Get recommendations error:', error);
+    res.status(500).json({ error: 'Failed to retrieve recommendations' });
+  }
+};
@@ -1,33 +1,88 @@
-import { firestore, db } from '../config/firebase.js';
-import { updateGameRating } from '../utils/ratingCalculator.js';
+import { firestore, db } from '../storage/index.js';
+import { applyRatingChange, countedRating } from '../utils/ratingCalculator.js';
+import { parsePageParams, encodeCursor } from '../utils/pagination.js';
+import { can, sendForbidden } from '../utils/policies.js';
+import { recordAudit } from '../utils/audit.js';
+import { deleteReviewRecords } from '../utils/reviewRecords.js';
+
+// Sort options for review listings. "helpful" ranks by the Wilson lower
+// bound of the helpful vote share (see reviewVoteController).
+const REVIEW_SORTS = {
+  newest: { field: 'dateTimePosted', order: 'desc' },
+  rating: { field: 'rating', order: 'desc' },
+  helpful: { field: 'helpfulScore', order: 'desc' }
+};
 
 // Get all reviews
 export const getAllReviews = async (req, res) => {
   try {
-    const snapshot = await firestore.collection('reviews')
-      .orderBy('dateTimePosted', 'desc')
-      .get();
+    const paging = parsePageParams(req.query, {
+      sorts: REVIEW_SORTS,
+      defaultSort: 'newest',
+      defaultLimit: 20
+    });
+    if (paging.error) {
+      return res.status(400).json({ error: paging.error });
+    }
+    
+    const { sort, order, limit, cursor } = paging;
+    // Reviews hidden by moderation never appear in public listings
+    let query = firestore.collection('reviews')
+      .where('hidden', '==', false)
+      .orderBy(REVIEW_SORTS[sort].field, order);
+    
+    // Resume after the last review of the previous page
+    if (cursor) {
+      const cursorDoc = await firestore.collection('reviews').doc(cursor.id).get();
+      if (!cursorDoc.exists) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      query = query.startAfter(cursorDoc);
+    }
+    
+    // Fetch one extra review to know whether another page exists
+    const snapshot = await query.limit(limit + 1).get();
     
     const reviews = [];
-    snapshot.forEach(doc => {
+    snapshot.docs.slice(0, limit).forEach(doc => {
       reviews.push({ reviewId: doc.id, ...doc.data() });
     });
     
-    res.json(reviews);
+    const hasMore = snapshot.size > limit;
+    const lastReview = reviews[reviews.length - 1];
+    
+    res.json({
+      reviews,
+      page: {
+        limit,
+        sort,
+        order,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor({ sort, order, id: lastReview.reviewId }) : null
+      }
+    });
   } catch (error) {
     console.error('Get all reviews error:', error);
     res.status(500).json({ error: 'Failed to retrieve reviews' });
   }
 };
 
-// Get reviews by game ID
+// Get reviews by game ID (?sort=newest|rating|helpful)
 export const getReviewsByGame = async (req, res) => {
   try {
     const { gameId } = req.params;
+    const sort = req.query.sort || 'newest';
+    
+    if (!REVIEW_SORTS[sort]) {
+      return res.status(400).json({ 
+        error: `Invalid sort. Use one of: ${Object.keys(REVIEW_SORTS).join(', ')}` 
+      });
+    }
     
     const snapshot = await firestore.collection('reviews')
       .where('gameId', '==', gameId)
-      .orderBy('dateTimePosted', 'desc')
+      .where('hidden', '==', false)
+      .orderBy(REVIEW_SORTS[sort].field, REVIEW_SORTS[sort].order)
       .get();
     
     const reviews = [];
@@ -49,6 +104,7 @@ export const getReviewsByUser = async (req, res) => {
     
     const snapshot = await firestore.collection('reviews')
       .where('userId', '==', userId)
+      .where('hidden', '==', false)
       .orderBy('dateTimePosted', 'desc')
       .get();
     
@@ -64,10 +120,84 @@ export const getReviewsByUser = async (req, res) => {
   }
 };
 
+// Each user has at most one review per game. New reviews get the id
+// {gameId}_{userId}; reviews from before this rule keep their random ids,
+// so lookups go by the userId/gameId fields rather than the id alone.
+// A review posted after deleting one gets the same id again, which is why
+// deleting a review also deletes its votes, revisions and reports
+// (utils/reviewRecords.js).
+const reviewIdFor = (gameId, userId) => `${gameId}_${userId}`;
+
+// Hidden reviews wait on a moderator; changing one would let "restore"
+// republish text nobody has looked at
+const HIDDEN_REVIEW_ERROR = 'This review is hidden by a moderator and cannot be edited';
+
+const findUserReviewDoc = async (gameId, userId, transaction = null) => {
+  const query = firestore.collection('reviews')
+    .where('userId', '==', userId)
+    .where('gameId', '==', gameId)
+    .limit(1);
+  const snapshot = await (transaction ? transaction.get(query) : query.get());
+  return snapshot.empty ? null : snapshot.docs[0];
+};
+
+// Replace a review's text and rating inside a transaction, keeping the
+// version being replaced as a reviewRevisions document. Returns false when
+// nothing changed (no revision is written then).
+const reviseReview = (transaction, reviewDoc, content, editedBy) => {
+  const current = reviewDoc.data();
+  if (current.text === content.text && current.rating === content.rating) {
+    return false;
+  }
+  
+  const editedAt = new Date().toISOString();
+  transaction.set(firestore.collection('reviewRevisions').doc(), {
+    reviewId: reviewDoc.id,
+    text: current.text,
+    rating: current.rating,
+    // When the replaced version was written
+    writtenAt: current.editedAt || current.dateTimePosted,
+    replacedAt: editedAt,
+    editedBy
+  });
+  transaction.update(reviewDoc.ref, {
+    ...content,
+    editedAt,
+    revisionCount: (current.revisionCount || 0) + 1
+  });
+  return true;
+};
+
+// Get the signed-in user's review of a game (including a hidden one)
+export const getMyReview = async (req, res) => {
+  try {
+    const { gameId } = req.params;
+    
+    const reviewDoc = await findUserReviewDoc(gameId, req.user.uid);
+    if (!reviewDoc) {
+      return res.status(404).json({ error: 'You have not reviewed this game' });
+    }
+    
+    res.json({ reviewId: reviewDoc.id, ...reviewDoc.data() });
+  } catch (error) {
+    console.error('Get my review error:', error);
+    res.status(500).json({ error: 'Failed to retrieve review' });
+  }
+};
+
 // Add review
+// POST /api/reviews?upsert=true updates the user's existing review of the
+// game instead of answering 409 with its reviewId.
 export const addReview = async (req, res) => {
   try {
-    const { userId, gameId, text, rating } = req.body;
+    const { gameId, text, rating } = req.body;
+    const userId = req.user.uid;
+    const upsert = req.query.upsert === 'true';
+    
+    // Reviews are always posted as the token's user
+    if (req.body.userId && !can(req.user, 'review:create', { userId: req.body.userId })) {
+      return sendForbidden(res, 'review:create');
+    }
     
     // Validate input
     if (!text && !rating) {
@@ -88,25 +218,80 @@ export const addReview = async (req, res) => {
       return res.status(404).json({ error: 'Game not found' });
     }
     
-    // Add review
-    const reviewData = {
-      userId,
-      gameId,
+    const content = {
       text: text || null,
-      rating: rating ? parseInt(rating) : null,
-      dateTimePosted: new Date().toISOString()
+      rating: rating ? parseInt(rating) : null
     };
     
-    const reviewRef = await firestore.collection('reviews').add(reviewData);
+    // Check for an existing review and create in one transaction so two
+    // quick submissions can't both get through
+    const newRef = firestore.collection('reviews').doc(reviewIdFor(gameId, userId));
+    const result = await firestore.runTransaction(async (transaction) => {
+      const [existingDoc, newDoc] = await Promise.all([
+        findUserReviewDoc(gameId, userId, transaction),
+        transaction.get(newRef)
+      ]);
+      const current = existingDoc || (newDoc.exists ? newDoc : null);
+      
+      if (current && !upsert) {
+        return { conflict: current.id };
+      }
+      
+      if (current) {
+        const currentData = current.data();
+        if (currentData.hidden === true) {
+          return { hidden: current.id };
+        }
+        reviseReview(transaction, current, content, userId);
+        return {
+          reviewId: current.id,
+          updated: true,
+          counted: [countedRating(currentData), countedRating({ ...currentData, ...content })]
+        };
+      }
+      
+      transaction.set(newRef, {
+        userId,
+        gameId,
+        ...content,
+        hidden: false,
+        helpfulCount: 0,
+        unhelpfulCount: 0,
+        helpfulScore: 0,
+        revisionCount: 0,
+        editedAt: null,
+        dateTimePosted: new Date().toISOString()
+      });
+      return { reviewId: newRef.id, updated: false, counted: [null, content.rating] };
+    });
+    
+    if (result.conflict) {
+      return res.status(409).json({ 
+        error: 'You have already reviewed this game', 
+        reviewId: result.conflict 
+      });
+    }
+    
+    if (result.hidden) {
+      return res.status(409).json({ 
+        error: HIDDEN_REVIEW_ERROR, 
+        reviewId: result.hidden 
+      });
+    }
+    
+    // Update the game's rating aggregates if the counted rating changed
+    await applyRatingChange(gameId, ...result.counted);
     
-    // Update game rating if rating was provided
-    if (rating) {
-      await updateGameRating(gameId);
+    if (result.updated) {
+      return res.json({ 
+        message: 'Review updated successfully', 
+        reviewId: result.reviewId 
+      });
     }
     
     res.status(201).json({ 
       message: 'Review added successfully', 
-      reviewId: reviewRef.id 
+      reviewId: result.reviewId 
     });
   } catch (error) {
     console.error('Add review error:', error);
@@ -118,10 +303,11 @@ export const addReview = async (req, res) => {
 export const updateReview = async (req, res) => {
   try {
     const { reviewId } = req.params;
-    const { userId, text, rating } = req.body;
+    const { text, rating } = req.body;
+    const reviewRef = firestore.collection('reviews').doc(reviewId);
     
     // Get review
-    const reviewDoc = await firestore.collection('reviews').doc(reviewId).get();
+    const reviewDoc = await reviewRef.get();
     
     if (!reviewDoc.exists) {
       return res.status(404).json({ error: 'Review not found' });
@@ -130,10 +316,8 @@ export const updateReview = async (req, res) => {
     const reviewData = reviewDoc.data();
     
     // Check ownership
-    if (reviewData.userId !== userId) {
-      return res.status(403).json({ 
-        error: 'User can only edit their own reviews' 
-      });
+    if (!can(req.user, 'review:update', reviewData)) {
+      return sendForbidden(res, 'review:update');
     }
     
     // Validate input
@@ -149,19 +333,33 @@ export const updateReview = async (req, res) => {
       });
     }
     
-    // Update review
+    // Update review, re-reading it so the revision is of the latest version
     const updateData = {
       text: text || null,
       rating: rating ? parseInt(rating) : null
     };
     
-    await firestore.collection('reviews').doc(reviewId).update(updateData);
+    const result = await firestore.runTransaction(async (transaction) => {
+      const latestDoc = await transaction.get(reviewRef);
+      // Deleted since it was loaded above
+      if (!latestDoc.exists) {
+        return { status: 404, error: 'Review not found' };
+      }
+      const latest = latestDoc.data();
+      if (latest.hidden === true) {
+        return { status: 409, error: HIDDEN_REVIEW_ERROR };
+      }
+      reviseReview(transaction, latestDoc, updateData, req.user.uid);
+      return { counted: [countedRating(latest), countedRating({ ...latest, ...updateData })] };
+    });
     
-    // Recalculate rating if changed
-    if (rating !== reviewData.rating) {
-      await updateGameRating(reviewData.gameId);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
     
+    // Update the game's rating aggregates if the counted rating changed
+    await applyRatingChange(reviewData.gameId, ...result.counted);
+    
     res.json({ message: 'Review updated successfully' });
   } catch (error) {
     console.error('Update review error:', error);
@@ -173,7 +371,6 @@ export const updateReview = async (req, res) => {
 export const deleteReview = async (req, res) => {
   try {
     const { reviewId } = req.params;
-    const { userId, isAdmin } = req.body;
     
     const reviewDoc = await firestore.collection('reviews').doc(reviewId).get();
     
@@ -183,27 +380,89 @@ export const deleteReview = async (req, res) => {
     
     const reviewData = reviewDoc.data();
     
-    // Check permissions
-    if (!isAdmin && reviewData.userId !== userId) {
-      return res.status(403).json({ 
-        error: 'User can only delete their own reviews' 
-      });
+    // Authors can delete their own reviews, admins can delete any
+    if (!can(req.user, 'review:delete', reviewData)) {
+      return sendForbidden(res, 'review:delete');
     }
     
     const gameId = reviewData.gameId;
-    const hadRating = reviewData.rating !== null;
     
     // Delete review
     await firestore.collection('reviews').doc(reviewId).delete();
+    await deleteReviewRecords([reviewId]);
+    
+    // Close any moderation case on it so the queue doesn't keep a dead
+    // entry; the closed case stays as the record of the deleted review
+    const caseRef = firestore.collection('moderationCases').doc(reviewId);
+    const caseDoc = await caseRef.get();
+    if (caseDoc.exists && caseDoc.data().status !== 'deleted') {
+      await caseRef.update({
+        status: 'deleted',
+        resolvedBy: req.user.uid,
+        resolvedAt: new Date().toISOString()
+      });
+    }
     
-    // Update game rating if review had a rating
-    if (hadRating) {
-      await updateGameRating(gameId);
+    // Admins removing someone else's review is a moderation action
+    if (reviewData.userId !== req.user.uid) {
+      await recordAudit({
+        actor: req.user,
+        action: 'review.delete',
+        targetType: 'review',
+        targetId: reviewId,
+        before: reviewData
+      });
     }
     
+    // Take the review's rating out of the game's aggregates
+    await applyRatingChange(gameId, countedRating(reviewData), null);
+    
     res.json({ message: 'Review deleted successfully' });
   } catch (error) {
     console.error('Delete review error:', error);
     res.status(500).json({ error: 'Failed to delete review' });
   }
+};
+
+// Edit history of a review, newest first (author or admin)
+export const getReviewHistory = async (req, res) => {
+  try {
+    const { reviewId } = req.params;
+    
+    const reviewDoc = await firestore.collection('reviews').doc(reviewId).get();
+    
+    if (!reviewDoc.exists) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    
+    const reviewData = reviewDoc.data();
+    
+    if (!can(req.user, 'review:history', reviewData)) {
+      return sendForbidden(res, 'review:history');
+    }
+    
+    const snapshot = await firestore.collection('reviewRevisions')
+      .where('reviewId', '==', reviewId)
+      .get();
+    
+    const revisions = [];
+    snapshot.forEach(doc => {
+      revisions.push({ revisionId: doc.id, ...doc.data() });
+    });
+    revisions.sort((a, b) => b.replacedAt.localeCompare(a.replacedAt));
+    
+    res.json({
+      reviewId,
+      current: {
+        text: reviewData.text,
+        rating: reviewData.rating,
+        writtenAt: reviewData.editedAt || reviewData.dateTimePosted
+      },
+      revisionCount: reviewData.revisionCount || 0,
+      revisions
+    });
+  } catch (error) {
+    console.error('Get review history error:', error);
+    res.status(500).json({ error: 'Failed to retrieve review history' });
+  }
 };
\ No newline at end of file
@@ -0,0 +1,136 @@
+import { firestore } from '../storage/index.js';
+import { wilsonLowerBound } from '../utils/confidence.js';
+
+// Helpful/unhelpful votes on reviews.
+// One reviewVotes/{reviewId}_{userId} document per voter; the totals are
+// kept on the review itself (helpfulCount, unhelpfulCount, helpfulScore) so
+// listings can sort by them. Votes and totals change in one transaction.
+
+const VOTES = ['helpful', 'unhelpful'];
+
+const MAX_VOTE_LOOKUP = 100;
+
+const voteCounts = (review) => ({
+  helpful: review.helpfulCount || 0,
+  unhelpful: review.unhelpfulCount || 0
+});
+
+// The review's vote totals as stored on the document
+const voteTotals = (counts) => ({
+  helpfulCount: counts.helpful,
+  unhelpfulCount: counts.unhelpful,
+  helpfulScore: wilsonLowerBound(counts.helpful, counts.helpful + counts.unhelpful)
+});
+
+// Move one user's vote from `previous` to `next` (either may be null).
+// Counts never go below zero, even if the stored totals have drifted.
+const applyVote = (transaction, reviewRef, voteRef, review, previous, next, userId) => {
+  const counts = voteCounts(review);
+  if (previous) counts[previous] = Math.max(0, counts[previous] - 1);
+  if (next) counts[next] += 1;
+
+  const totals = voteTotals(counts);
+  transaction.update(reviewRef, totals);
+
+  if (next) {
+    transaction.set(voteRef, {
+      reviewId: reviewRef.id,
+      userId,
+      vote: next,
+      updatedAt: new Date().toISOString()
+    });
+  } else {
+    transaction.delete(voteRef);
+  }
+
+  return totals;
+};
+
+// Run a vote change, returning { status, body } for the response.
+// The body carries the user's vote (or null) and the review's new totals.
+const changeVote = (reviewId, userId, next) => {
+  const reviewRef = firestore.collection('reviews').doc(reviewId);
+  const voteRef = firestore.collection('reviewVotes').doc(`${reviewId}_${userId}`);
+
+  return firestore.runTransaction(async (transaction) => {
+    const reviewDoc = await transaction.get(reviewRef);
+    if (!reviewDoc.exists || reviewDoc.data().hidden === true) {
+      return { status: 404, body: { error: 'Review not found' } };
+    }
+
+    const review = reviewDoc.data();
+    if (review.userId === userId) {
+      return { status: 400, body: { error: 'You cannot vote on your own review' } };
+    }
+
+    const voteDoc = await transaction.get(voteRef);
+    const previous = voteDoc.exists ? voteDoc.data().vote : null;
+
+    if (previous === next) {
+      return { status: 200, body: { vote: next, ...voteTotals(voteCounts(review)) } };
+    }
+
+    const totals = applyVote(transaction, reviewRef, voteRef, review, previous, next, userId);
+    return { status: 200, body: { vote: next, ...totals } };
+  });
+};
+
+// Cast or change a vote (registered users)
+export const voteReview = async (req, res) => {
+  try {
+    const { reviewId } = req.params;
+    const { vote } = req.body;
+    
+    if (!VOTES.includes(vote)) {
+      return res.status(400).json({ error: 'vote must be helpful or unhelpful' });
+    }
+    
+    const { status, body } = await changeVote(reviewId, req.user.uid, vote);
+    res.status(status).json(body);
+  } catch (error) {
+    console.error('Vote review error:', error);
+    res.status(500).json({ error: 'Failed to record vote' });
+  }
+};
+
+// Remove the user's vote (registered users)
+export const removeVote = async (req, res) => {
+  try {
+    const { reviewId } = req.params;
+    
+    const { status, body } = await changeVote(reviewId, req.user.uid, null);
+    res.status(status).json(body);
+  } catch (error) {
+    console.error('Remove vote error:', error);
+    res.status(500).json({ error: 'Failed to remove vote' });
+  }
+};
+
+// The user's own votes on a set of reviews: ?reviewIds=a,b,c
+// Returns { [reviewId]: 'helpful' | 'unhelpful' }
+export const getMyVotes = async (req, res) => {
+  try {
+    const reviewIds = String(req.query.reviewIds || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean);
+    
+    if (reviewIds.length > MAX_VOTE_LOOKUP) {
+      return res.status(400).json({ error: `At most ${MAX_VOTE_LOOKUP} reviewIds per request` });
+    }
+    
+    const voteDocs = await Promise.all(reviewIds.map(reviewId => (
+      firestore.collection('reviewVotes').doc(`${reviewId}_${req.user.uid}`).get()
+    )));
+    
+    const votes = {};
+    voteDocs.forEach((doc, index) => {
+      if (doc.exists) votes[reviewIds[index]] = doc.data().vote;
+    });
+    
+    res.json(votes);
+  } catch (error) {
+    console.error('Get my votes error:', error);
+    res.status(500).json({ error: 'Failed to retrieve votes' });
+  }
+};
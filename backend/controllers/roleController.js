@@ -0,0 +1,104 @@
+import { db } from '../storage/index.js';
+import { isAdmin, countAdmins, setAdminRole } from '../utils/roles.js';
+import { recordAudit } from '../utils/audit.js';
+
+// Promote a registered user to admin (Admin only)
+export const promoteUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason } = req.body;
+    
+    const userSnapshot = await db.ref(`users/${userId}`).once('value');
+    if (!userSnapshot.exists()) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    if (await isAdmin(userId)) {
+      return res.status(409).json({ error: 'User is already an admin' });
+    }
+    
+    const changeId = await setAdminRole(userId, true, {
+      changedBy: req.user.uid,
+      reason: reason || null
+    });
+    
+    await recordAudit({
+      actor: req.user,
+      action: 'role.grant',
+      targetType: 'user',
+      targetId: userId,
+      before: { admin: false },
+      after: { admin: true },
+      details: { changeId, reason: reason || null }
+    });
+    
+    console.log(`🛡️ Admin granted to ${userId} by ${req.user.uid}`);
+    res.json({ message: 'User promoted to admin', changeId });
+  } catch (error) {
+    console.error('Promote user error:', error);
+    res.status(500).json({ error: 'Failed to promote user' });
+  }
+};
+
+// Remove admin from a user (Admin only)
+export const demoteUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason } = req.body;
+    
+    if (!(await isAdmin(userId))) {
+      return res.status(409).json({ error: 'User is not an admin' });
+    }
+    
+    // Never leave the site without an administrator
+    if (await countAdmins() <= 1) {
+      return res.status(409).json({ error: 'Cannot demote the last admin' });
+    }
+    
+    const changeId = await setAdminRole(userId, false, {
+      changedBy: req.user.uid,
+      reason: reason || null
+    });
+    
+    await recordAudit({
+      actor: req.user,
+      action: 'role.revoke',
+      targetType: 'user',
+      targetId: userId,
+      before: { admin: true },
+      after: { admin: false },
+      details: { changeId, reason: reason || null }
+    });
+    
+    console.log(`🛡️ Admin revoked from ${userId} by ${req.user.uid}`);
+    res.json({ message: 'User demoted from admin', changeId });
+  } catch (error) {
+    console.error('Demote user error:', error);
+    res.status(500).json({ error: 'Failed to demote user' });
+  }
+};
+
+// Role change history, newest first, optionally for one user (Admin only)
+export const getRoleChanges = async (req, res) => {
+  try {
+    const { userId } = req.query;
+    
+    let query = db.ref('roleChanges');
+    if (userId) {
+      query = query.orderByChild('userId').equalTo(userId);
+    }
+    
+    const snapshot = await query.once('value');
+    const changes = [];
+    snapshot.forEach((child) => {
+      changes.push({ changeId: child.key, ...child.val() });
+    });
+    
+    changes.sort((a, b) => b.changedAt.localeCompare(a.changedAt));
+    
+    res.json(changes);
+  } catch (error) {
+    console.error('Get role changes error:', error);
+    res.status(500).json({ error: 'Failed to retrieve role changes' });
+  }
+};
@@ -0,0 +1,204 @@
+import { db } from '../storage/index.js';
+import { TAXONOMY_KINDS, slugify, findTerm, parseAliases, getGameTermIds, loadTaxonomy } from '../utils/taxonomy.js';
+import { invalidateSearchIndex } from '../utils/searchIndex.js';
+import { recordAudit } from '../utils/audit.js';
+
+// Platform and genre endpoints share these handlers; each route file passes
+// the taxonomy kind ('platforms' or 'genres') it serves.
+
+const loadTerms = async (kind) => {
+  const snapshot = await db.ref(kind).once('value');
+  return snapshot.val() || {};
+};
+
+// A name or alias may only belong to one term, otherwise resolving
+// "Switch" or "RPG" would be ambiguous
+const findNameConflict = (terms, termId, names) => {
+  for (const name of names) {
+    const owner = findTerm(terms, name);
+    if (owner && owner.id !== termId) {
+      return { name, owner };
+    }
+  }
+  return null;
+};
+
+// Get all terms
+export const getTerms = (kind) => async (req, res) => {
+  try {
+    const terms = Object.values(await loadTerms(kind))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    res.json(terms);
+  } catch (error) {
+    console.error(`Get ${kind} error:`, error);
+    res.status(500).json({ error: `Failed to retrieve ${kind}` });
+  }
+};
+
+// Get single term by ID
+export const getTermById = (kind) => async (req, res) => {
+  try {
+    const { termId } = req.params;
+
+    const snapshot = await db.ref(`${kind}/${termId}`).once('value');
+    if (!snapshot.exists()) {
+      return res.status(404).json({ error: `${TAXONOMY_KINDS[kind].label} not found` });
+    }
+
+    res.json(snapshot.val());
+  } catch (error) {
+    console.error(`Get ${kind} by ID error:`, error);
+    res.status(500).json({ error: `Failed to retrieve ${TAXONOMY_KINDS[kind].label.toLowerCase()}` });
+  }
+};
+
+// Add term (Admin only)
+export const addTerm = (kind) => async (req, res) => {
+  try {
+    const { id, name, aliases } = req.body;
+    const { label } = TAXONOMY_KINDS[kind];
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    const termId = slugify(id || name);
+    if (!termId) {
+      return res.status(400).json({ error: 'id must contain letters or numbers' });
+    }
+
+    const terms = await loadTerms(kind);
+    if (terms[termId]) {
+      return res.status(409).json({ error: `${label} "${termId}" already exists` });
+    }
+
+    const termData = {
+      id: termId,
+      name: String(name).trim(),
+      aliases: parseAliases(aliases)
+    };
+
+    const conflict = findNameConflict(terms, termId, [termData.name, ...termData.aliases]);
+    if (conflict) {
+      return res.status(409).json({
+        error: `"${conflict.name}" is already used by ${label.toLowerCase()} "${conflict.owner.id}"`
+      });
+    }
+
+    await db.ref(`${kind}/${termId}`).set(termData);
+    invalidateSearchIndex();
+
+    await recordAudit({
+      actor: req.user,
+      action: `${kind}.create`,
+      targetType: kind,
+      targetId: termId,
+      after: termData
+    });
+
+    res.status(201).json({ message: `${label} added successfully`, id: termId });
+  } catch (error) {
+    console.error(`Add ${kind} error:`, error);
+    res.status(500).json({ error: `Failed to add ${TAXONOMY_KINDS[kind].label.toLowerCase()}` });
+  }
+};
+
+// Update term name/aliases (Admin only)
+export const updateTerm = (kind) => async (req, res) => {
+  try {
+    const { termId } = req.params;
+    const { name, aliases } = req.body;
+    const { label } = TAXONOMY_KINDS[kind];
+
+    const terms = await loadTerms(kind);
+    const existing = terms[termId];
+    if (!existing) {
+      return res.status(404).json({ error: `${label} not found` });
+    }
+
+    const updateData = {};
+    if (name !== undefined) {
+      if (!String(name).trim()) {
+        return res.status(400).json({ error: 'name cannot be empty' });
+      }
+      updateData.name = String(name).trim();
+    }
+    if (aliases !== undefined) {
+      updateData.aliases = parseAliases(aliases);
+    }
+
+    const merged = { ...existing, ...updateData };
+    const conflict = findNameConflict(terms, termId, [merged.name, ...(merged.aliases || [])]);
+    if (conflict) {
+      return res.status(409).json({
+        error: `"${conflict.name}" is already used by ${label.toLowerCase()} "${conflict.owner.id}"`
+      });
+    }
+
+    await db.ref(`${kind}/${termId}`).update(updateData);
+    invalidateSearchIndex();
+
+    await recordAudit({
+      actor: req.user,
+      action: `${kind}.update`,
+      targetType: kind,
+      targetId: termId,
+      before: existing,
+      after: merged
+    });
+
+    res.json({ message: `${label} updated successfully` });
+  } catch (error) {
+    console.error(`Update ${kind} error:`, error);
+    res.status(500).json({ error: `Failed to update ${TAXONOMY_KINDS[kind].label.toLowerCase()}` });
+  }
+};
+
+// Delete term (Admin only) - refused while games still use it
+export const deleteTerm = (kind) => async (req, res) => {
+  try {
+    const { termId } = req.params;
+    const { label } = TAXONOMY_KINDS[kind];
+
+    const snapshot = await db.ref(`${kind}/${termId}`).once('value');
+    if (!snapshot.exists()) {
+      return res.status(404).json({ error: `${label} not found` });
+    }
+
+    const [taxonomy, gamesSnapshot] = await Promise.all([
+      loadTaxonomy(),
+      db.ref('games').once('value')
+    ]);
+
+    const usedBy = [];
+    gamesSnapshot.forEach((child) => {
+      if (getGameTermIds(child.val(), taxonomy, kind).includes(termId)) {
+        usedBy.push(child.key);
+      }
+    });
+
+    if (usedBy.length > 0) {
+      return res.status(409).json({
+        error: `${label} is still used by ${usedBy.length} game(s)`,
+        gameIds: usedBy
+      });
+    }
+
+    await db.ref(`${kind}/${termId}`).remove();
+    invalidateSearchIndex();
+
+    await recordAudit({
+      actor: req.user,
+      action: `${kind}.delete`,
+      targetType: kind,
+      targetId: termId,
+      before: snapshot.val()
+    });
+
+    res.json({ message: `${label} deleted successfully` });
+  } catch (error) {
+    console.error(`Delete ${kind} error:`, error);
+    res.status(500).json({ error: `Failed to delete ${TAXONOMY_KINDS[kind].label.toLowerCase()}` });
+  }
+};
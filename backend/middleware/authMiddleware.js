@@ -1,6 +1,9 @@
-import { auth, db } from '../config/firebase.js';
+import { auth } from '../storage/index.js';
+import { can, sendForbidden } from '../utils/policies.js';
+import { isAdmin } from '../utils/roles.js';
 
-// Verify Firebase ID token
+// Verify Firebase ID token and load the acting user.
+// req.user = { uid, email, isAdmin } is the only identity controllers trust.
 export const verifyToken = async (req, res, next) => {
   try {
     const token = req.headers.authorization?.split('Bearer ')[1];
@@ -10,7 +13,14 @@ export const verifyToken = async (req, res, next) => {
     }
     
     const decodedToken = await auth.verifyIdToken(token);
+    
+    // Roles come from the roles node, never from anything the client sends
     req.userId = decodedToken.uid;
+    req.user = {
+      uid: decodedToken.uid,
+      email: decodedToken.email || null,
+      isAdmin: await isAdmin(decodedToken.uid)
+    };
     
     next();
   } catch (error) {
@@ -19,25 +29,36 @@ export const verifyToken = async (req, res, next) => {
   }
 };
 
+// Like verifyToken, but lets anonymous requests through (req.user = null)
+// so public resources can be served to everyone while owners see more
+export const optionalToken = (req, res, next) => {
+  if (!req.headers.authorization) {
+    req.user = null;
+    return next();
+  }
+  
+  return verifyToken(req, res, next);
+};
+
 // Check if user is admin
-export const verifyAdmin = async (req, res, next) => {
-  try {
-    const userId = req.userId;
-    
-    if (!userId) {
-      return res.status(401).json({ error: 'User not authenticated' });
-    }
-    
-    const snapshot = await db.ref(`users/${userId}`).once('value');
-    const userData = snapshot.val();
-    
-    if (!userData || !userData.administrator) {
-      return res.status(403).json({ error: 'Admin access required' });
-    }
-    
-    next();
-  } catch (error) {
-    console.error('Admin verification error:', error);
-    res.status(500).json({ error: 'Failed to verify admin status' });
+export const verifyAdmin = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+  
+  if (!can(req.user, 'admin')) {
+    return sendForbidden(res, 'admin');
+  }
+  
+  next();
+};
+
+// Apply a policy to the user named in a URL param, e.g. the :userId of
+// /favorites/user/:userId
+export const authorizeUserParam = (action, param = 'userId') => (req, res, next) => {
+  if (!can(req.user, action, { userId: req.params[param] })) {
+    return sendForbidden(res, action);
   }
+  
+  next();
 };
\ No newline at end of file
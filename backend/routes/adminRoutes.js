@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+  promoteUser,
+  demoteUser,
+  getRoleChanges
+} from '../controllers/roleController.js';
+import { getAuditLog } from '../controllers/auditController.js';
+import { exportCatalog, importCatalog } from '../controllers/catalogController.js';
+import { verifyToken, verifyAdmin } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Admin routes
+router.use(verifyToken, verifyAdmin);
+
+router.post('/users/:userId/promote', promoteUser);
+router.post('/users/:userId/demote', demoteUser);
+router.get('/role-changes', getRoleChanges);
+router.get('/audit', getAuditLog);
+router.get('/games/export', exportCatalog);
+router.post('/games/import', importCatalog);
+
+export default router;
@@ -5,7 +5,7 @@ import {
   updateUser,
   verifyAdmin
 } from '../controllers/authController.js';
-import { verifyToken } from '../middleware/authMiddleware.js';
+import { verifyToken, authorizeUserParam } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -13,8 +13,8 @@ const router = express.Router();
 router.post('/register', createUser);
 
 // Protected routes
-router.get('/user/:userId', verifyToken, getUserById);
-router.put('/user/:userId', verifyToken, updateUser);
-router.get('/verify-admin/:userId', verifyToken, verifyAdmin);
+router.get('/user/:userId', verifyToken, authorizeUserParam('user:read'), getUserById);
+router.put('/user/:userId', verifyToken, authorizeUserParam('user:update'), updateUser);
+router.get('/verify-admin/:userId', verifyToken, authorizeUserParam('user:read'), verifyAdmin);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,11 @@
+import express from 'express';
+import { getReleasesCalendar, getGameCalendar, getFavoritesCalendar } from '../controllers/calendarController.js';
+
+const router = express.Router();
+
+// Public routes (the favorites feed is protected by its secret token)
+router.get('/releases.ics', getReleasesCalendar);
+router.get('/games/:gameId.ics', getGameCalendar);
+router.get('/favorites/:token.ics', getFavoritesCalendar);
+
+export default router;
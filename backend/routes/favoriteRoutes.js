@@ -5,14 +5,44 @@ import {
   removeFavorite,
   checkFavorite
 } from '../controllers/favoriteController.js';
-import { verifyToken } from '../middleware/authMiddleware.js';
+import {
+  getGameStatuses,
+  setGameStatus,
+  removeGameStatus,
+  getUserLists,
+  getList,
+  createList,
+  updateList,
+  deleteList,
+  addListItem,
+  updateListItem,
+  removeListItem,
+  reorderList
+} from '../controllers/collectionController.js';
+import { verifyToken, optionalToken, authorizeUserParam } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
-// Protected routes (registered users only)
-router.get('/user/:userId', verifyToken, getUserFavorites);
+// Backlog statuses (private to their owner)
+router.get('/status/user/:userId', verifyToken, authorizeUserParam('favorites:read'), getGameStatuses);
+router.put('/status/:gameId', verifyToken, setGameStatus);
+router.delete('/status/:gameId', verifyToken, removeGameStatus);
+
+// Custom lists (public lists can be read without logging in)
+router.get('/lists/user/:userId', optionalToken, getUserLists);
+router.get('/lists/:listId', optionalToken, getList);
+router.post('/lists', verifyToken, createList);
+router.patch('/lists/:listId', verifyToken, updateList);
+router.delete('/lists/:listId', verifyToken, deleteList);
+router.post('/lists/:listId/items', verifyToken, addListItem);
+router.patch('/lists/:listId/items/:gameId', verifyToken, updateListItem);
+router.delete('/lists/:listId/items/:gameId', verifyToken, removeListItem);
+router.put('/lists/:listId/order', verifyToken, reorderList);
+
+// Protected routes (registered users only, each on their own favorites)
+router.get('/user/:userId', verifyToken, authorizeUserParam('favorites:read'), getUserFavorites);
 router.post('/', verifyToken, addFavorite);
-router.delete('/:userId/:gameId', verifyToken, removeFavorite);
-router.get('/check/:userId/:gameId', verifyToken, checkFavorite);
+router.delete('/:userId/:gameId', verifyToken, authorizeUserParam('favorites:write'), removeFavorite);
+router.get('/check/:userId/:gameId', verifyToken, authorizeUserParam('favorites:read'), checkFavorite);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,12 @@
+import express from 'express';
+import { getNewGamesFeed, getUpcomingFeed, getReviewsFeed, getGameReviewsFeed } from '../controllers/feedController.js';
+
+const router = express.Router();
+
+// Public routes (:format is atom or rss)
+router.get('/games/new.:format', getNewGamesFeed);
+router.get('/games/upcoming.:format', getUpcomingFeed);
+router.get('/games/:gameId/reviews.:format', getGameReviewsFeed);
+router.get('/reviews.:format', getReviewsFeed);
+
+export default router;
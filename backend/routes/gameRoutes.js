@@ -4,9 +4,13 @@ import {
   getGameById,
   searchGames,
   filterGames,
+  getTopGames,
+  getTrendingGames,
   addGame,
   updateGame,
-  deleteGame
+  deleteGame,
+  recomputeRating,
+  getReleaseHistory
 } from '../controllers/gameController.js';
 import { verifyToken, verifyAdmin } from '../middleware/authMiddleware.js';
 
@@ -16,11 +20,16 @@ const router = express.Router();
 router.get('/', getAllGames);
 router.get('/search', searchGames);
 router.get('/filter', filterGames);
+router.get('/top', getTopGames);
+router.get('/trending', getTrendingGames);
 router.get('/:gameId', getGameById);
+router.get('/:gameId/release-history', getReleaseHistory);
 
 // Admin routes (NO MULTER - using Base64 now!)
 router.post('/', verifyToken, verifyAdmin, addGame);
+router.patch('/:gameId', verifyToken, verifyAdmin, updateGame);
 router.put('/:gameId', verifyToken, verifyAdmin, updateGame);
 router.delete('/:gameId', verifyToken, verifyAdmin, deleteGame);
+router.post('/:gameId/recompute-rating', verifyToken, verifyAdmin, recomputeRating);
 
 export default router;
\ No newline at end of file
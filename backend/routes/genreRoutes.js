@@ -0,0 +1,22 @@
+import express from 'express';
+import {
+  getTerms,
+  getTermById,
+  addTerm,
+  updateTerm,
+  deleteTerm
+} from '../controllers/taxonomyController.js';
+import { verifyToken, verifyAdmin } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Public routes
+router.get('/', getTerms('genres'));
+router.get('/:termId', getTermById('genres'));
+
+// Admin routes
+router.post('/', verifyToken, verifyAdmin, addTerm('genres'));
+router.put('/:termId', verifyToken, verifyAdmin, updateTerm('genres'));
+router.delete('/:termId', verifyToken, verifyAdmin, deleteTerm('genres'));
+
+export default router;
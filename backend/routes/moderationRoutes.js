@@ -0,0 +1,18 @@
+import express from 'express';
+import {
+  getModerationQueue,
+  getModerationCase,
+  moderateReview
+} from '../controllers/moderationController.js';
+import { verifyToken, verifyAdmin } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Admin routes
+router.use(verifyToken, verifyAdmin);
+
+router.get('/', getModerationQueue);
+router.get('/:reviewId', getModerationCase);
+router.post('/:reviewId/:action', moderateReview);
+
+export default router;
@@ -0,0 +1,26 @@
+import express from 'express';
+import {
+  getNotifications,
+  getUnreadCount,
+  markNotification,
+  markAllRead,
+  deleteNotification,
+  getPreferences,
+  updatePreferences
+} from '../controllers/notificationController.js';
+import { verifyToken } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Protected routes (always the token user's own notifications)
+router.use(verifyToken);
+
+router.get('/', getNotifications);
+router.get('/unread-count', getUnreadCount);
+router.post('/read-all', markAllRead);
+router.get('/preferences', getPreferences);
+router.put('/preferences', updatePreferences);
+router.patch('/:notificationId', markNotification);
+router.delete('/:notificationId', deleteNotification);
+
+export default router;
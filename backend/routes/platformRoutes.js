@@ -0,0 +1,22 @@
+import express from 'express';
+import {
+  getTerms,
+  getTermById,
+  addTerm,
+  updateTerm,
+  deleteTerm
+} from '../controllers/taxonomyController.js';
+import { verifyToken, verifyAdmin } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Public routes
+router.get('/', getTerms('platforms'));
+router.get('/:termId', getTermById('platforms'));
+
+// Admin routes
+router.post('/', verifyToken, verifyAdmin, addTerm('platforms'));
+router.put('/:termId', verifyToken, verifyAdmin, updateTerm('platforms'));
+router.delete('/:termId', verifyToken, verifyAdmin, deleteTerm('platforms'));
+
+export default router;
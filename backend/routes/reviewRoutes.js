@@ -3,10 +3,14 @@ import {
   getAllReviews,
   getReviewsByGame,
   getReviewsByUser,
+  getMyReview,
   addReview,
   updateReview,
-  deleteReview
+  deleteReview,
+  getReviewHistory
 } from '../controllers/reviewController.js';
+import { reportReview } from '../controllers/moderationController.js';
+import { voteReview, removeVote, getMyVotes } from '../controllers/reviewVoteController.js';
 import { verifyToken } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
@@ -17,8 +21,14 @@ router.get('/game/:gameId', getReviewsByGame);
 router.get('/user/:userId', getReviewsByUser);
 
 // Protected routes (registered users)
+router.get('/votes/mine', verifyToken, getMyVotes);
+router.get('/game/:gameId/mine', verifyToken, getMyReview);
 router.post('/', verifyToken, addReview);
 router.put('/:reviewId', verifyToken, updateReview);
 router.delete('/:reviewId', verifyToken, deleteReview);
+router.get('/:reviewId/history', verifyToken, getReviewHistory);
+router.post('/:reviewId/report', verifyToken, reportReview);
+router.put('/:reviewId/vote', verifyToken, voteReview);
+router.delete('/:reviewId/vote', verifyToken, removeVote);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,14 @@
+import express from 'express';
+import { getRecommendations } from '../controllers/recommendationController.js';
+import { getCalendarToken, rotateCalendarToken } from '../controllers/calendarController.js';
+import { verifyToken, authorizeUserParam } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Protected routes (the user themselves, or an admin)
+router.get('/:userId/recommendations', verifyToken, authorizeUserParam('user:read'), getRecommendations);
+// Secret link to the favorites calendar feed (POST replaces it)
+router.get('/:userId/calendar-token', verifyToken, authorizeUserParam('favorites:read'), getCalendarToken);
+router.post('/:userId/calendar-token', verifyToken, authorizeUserParam('favorites:write'), rotateCalendarToken);
+
+export default router;
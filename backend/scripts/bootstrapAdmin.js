@@ -0,0 +1,42 @@
+import { auth, db } from '../storage/index.js';
+import { countAdmins, setAdminRole } from '../utils/roles.js';
+
+// Grant admin to the first administrator, who can then promote others
+// through POST /api/admin/users/:userId/promote.
+// Refuses to run once an admin exists unless --force is passed.
+//
+// Usage: npm run bootstrap:admin -- <email> [--force]
+
+const args = process.argv.slice(2);
+const email = args.find(arg => !arg.startsWith('--'));
+const force = args.includes('--force');
+
+const bootstrap = async () => {
+  if (!email) {
+    throw new Error('Usage: npm run bootstrap:admin -- <email> [--force]');
+  }
+
+  const admins = await countAdmins();
+  if (admins > 0 && !force) {
+    throw new Error(`${admins} admin(s) already exist - use the promote endpoint, or --force`);
+  }
+
+  const userRecord = await auth.getUserByEmail(email);
+  const userSnapshot = await db.ref(`users/${userRecord.uid}`).once('value');
+  if (!userSnapshot.exists()) {
+    throw new Error(`${email} has no user record - register through the app first`);
+  }
+
+  await setAdminRole(userRecord.uid, true, {
+    changedBy: 'bootstrap',
+    reason: 'Bootstrap first admin'
+  });
+  console.log(`✅ ${email} (${userRecord.uid}) is now an admin`);
+};
+
+bootstrap()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Bootstrap admin error:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,77 @@
+import { firestore } from '../storage/index.js';
+import { recomputeGameRating } from '../utils/ratingCalculator.js';
+import { commitInBatches, deleteReviewRecords } from '../utils/reviewRecords.js';
+
+// One-off migration: reduce reviews to one per user per game.
+// For every (userId, gameId) pair with several reviews the most recently
+// posted one is kept; the others are deleted along with their helpful
+// votes, edit history and reports, and any moderation case on them is
+// closed as deleted. Ratings of the affected games are recalculated
+// afterwards.
+//
+// Usage: npm run migrate:dedupe-reviews [-- --dry-run]
+
+const dryRun = process.argv.includes('--dry-run');
+
+const dedupe = async () => {
+  const snapshot = await firestore.collection('reviews').get();
+
+  const groups = new Map();
+  snapshot.forEach(doc => {
+    const { userId, gameId } = doc.data();
+    const key = `${gameId}_${userId}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(doc);
+  });
+
+  const duplicates = [];
+  const affectedGames = new Set();
+  groups.forEach(docs => {
+    if (docs.length < 2) return;
+    docs.sort((a, b) => (b.data().dateTimePosted || '').localeCompare(a.data().dateTimePosted || ''));
+    const [kept, ...extra] = docs;
+    console.log(`🔁 ${kept.data().userId} on ${kept.data().gameId}: keeping ${kept.id}, removing ${extra.map(doc => doc.id).join(', ')}`);
+    duplicates.push(...extra);
+    affectedGames.add(kept.data().gameId);
+  });
+
+  console.log(`📝 ${duplicates.length} duplicate review(s) across ${affectedGames.size} game(s)`);
+
+  if (dryRun) {
+    console.log('🔍 Dry run - no changes written');
+    return;
+  }
+
+  const now = new Date().toISOString();
+  const writes = [];
+
+  for (const doc of duplicates) {
+    writes.push(batch => batch.delete(doc.ref));
+
+    const caseRef = firestore.collection('moderationCases').doc(doc.id);
+    const caseDoc = await caseRef.get();
+    if (caseDoc.exists && caseDoc.data().status !== 'deleted') {
+      writes.push(batch => batch.update(caseRef, {
+        status: 'deleted',
+        resolvedBy: 'migration',
+        resolvedAt: now
+      }));
+    }
+  }
+
+  await commitInBatches(writes);
+  await deleteReviewRecords(duplicates.map(doc => doc.id));
+
+  for (const gameId of affectedGames) {
+    await recomputeGameRating(gameId);
+  }
+
+  console.log('✅ Duplicate review migration complete');
+};
+
+dedupe()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Duplicate review migration error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,36 @@
+import { db } from '../storage/index.js';
+import { isAdmin } from '../utils/roles.js';
+
+// List accounts flagged admin the old way (users/{uid}/administrator =
+// true) that have no roles/ entry. Before roles/ existed anyone could set
+// that flag on themselves, so nobody is promoted automatically: check each
+// account and promote the real admins one at a time, through
+// POST /api/admin/users/:userId/promote or `npm run bootstrap:admin`.
+// Only reads; nothing is written.
+//
+// Usage: npm run admins:legacy
+
+const list = async () => {
+  const snapshot = await db.ref('users')
+    .orderByChild('administrator')
+    .equalTo(true)
+    .once('value');
+
+  const candidates = [];
+  for (const [uid, user] of Object.entries(snapshot.val() || {})) {
+    if (await isAdmin(uid)) continue;
+    candidates.push({ uid, ...user });
+  }
+
+  console.log(`📝 ${candidates.length} account(s) flagged administrator without an admin role`);
+  candidates.forEach(user => {
+    console.log(`👤 ${user.uid}  ${user.email || '(no email)'}  ${user.username || ''}  registered ${user.registrationDate || 'unknown'}`);
+  });
+};
+
+list()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('List legacy admins error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,47 @@
+import { db } from '../storage/index.js';
+import { FAVORITES_LIST_SOURCE, syncFavoritesList } from '../utils/favoritesList.js';
+
+// One-off migration: give each user with favorites their private
+// "Favorites" list, oldest first, so they can be reordered and annotated.
+// Favorites themselves are left in place, and from then on the list is
+// kept in step with them (see utils/favoritesList.js). Users who already
+// have the list are skipped, so it's safe to run again.
+//
+// Usage: npm run migrate:favorites-to-lists [-- --dry-run]
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  const [favoritesSnapshot, listsSnapshot] = await Promise.all([
+    db.ref('favorites').once('value'),
+    db.ref('lists').once('value')
+  ]);
+
+  const migratedUsers = new Set(Object.values(listsSnapshot.val() || {})
+    .filter(list => list.migratedFrom === FAVORITES_LIST_SOURCE)
+    .map(list => list.userId));
+
+  const pendingUsers = new Set(Object.values(favoritesSnapshot.val() || {})
+    .map(favorite => favorite.userId)
+    .filter(userId => !migratedUsers.has(userId)));
+
+  console.log(`📝 ${pendingUsers.size} user(s) need a Favorites list (${migratedUsers.size} already migrated)`);
+
+  if (dryRun) {
+    console.log('🔍 Dry run - no changes written');
+    return;
+  }
+
+  for (const userId of pendingUsers) {
+    await syncFavoritesList(userId);
+  }
+
+  console.log('✅ Favorites migration complete');
+};
+
+migrate()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Favorites migration error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,45 @@
+import { db } from '../storage/index.js';
+import { initialReleaseFields } from '../utils/releaseHistory.js';
+
+// One-off migration: give games created before release date history
+// existed their originalReleaseDate (their current date) and a zero
+// delayCount. Games that already have them are left alone, so it's safe
+// to run again.
+//
+// Usage: npm run migrate:release-history [-- --dry-run]
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  const snapshot = await db.ref('games').once('value');
+
+  const updates = {};
+  let count = 0;
+  Object.entries(snapshot.val() || {}).forEach(([gameId, game]) => {
+    if (game.originalReleaseDate || !game.releaseDate) return;
+    count++;
+    Object.entries(initialReleaseFields(game.releaseDate)).forEach(([field, value]) => {
+      updates[`${gameId}/${field}`] = game[field] ?? value;
+    });
+  });
+
+  console.log(`📝 ${count} game(s) need release history fields`);
+
+  if (dryRun) {
+    console.log('🔍 Dry run - no changes written');
+    return;
+  }
+
+  if (count > 0) {
+    await db.ref('games').update(updates);
+  }
+
+  console.log(`✅ Backfilled ${count} game(s)`);
+};
+
+migrate()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Release history migration error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,29 @@
+import { backfillReviewFields } from '../utils/reviewFields.js';
+
+// Backfill review fields added after launch (see utils/reviewFields.js).
+// The server runs this itself on startup (utils/startupMigrations.js);
+// the script is for checking or re-running it by hand.
+//
+// Usage: npm run migrate:reviews [-- --dry-run]
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  const { checked, updated } = await backfillReviewFields({ dryRun });
+
+  console.log(`📝 ${updated} of ${checked} review(s) need backfilled fields`);
+
+  if (dryRun) {
+    console.log('🔍 Dry run - no changes written');
+    return;
+  }
+
+  console.log('✅ Review field migration complete');
+};
+
+migrate()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Review field migration error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,104 @@
+import { db } from '../storage/index.js';
+import { TAXONOMY_KINDS, slugify, findTerm, splitLegacyValue } from '../utils/taxonomy.js';
+
+// One-off migration from free-text platform/genre strings to taxonomy ids.
+// Seeds the default terms, creates a term for any legacy value that doesn't
+// match one, then rewrites every game to use id arrays.
+//
+// Usage: npm run migrate:taxonomy [-- --dry-run]
+
+const DEFAULT_TERMS = {
+  platforms: [
+    { id: 'pc', name: 'PC', aliases: ['Windows', 'Steam'] },
+    { id: 'ps5', name: 'PlayStation 5', aliases: ['PS5'] },
+    { id: 'ps4', name: 'PlayStation 4', aliases: ['PS4'] },
+    { id: 'xbox-series-x', name: 'Xbox Series X|S', aliases: ['Xbox Series X', 'Xbox Series S', 'XSX'] },
+    { id: 'xbox-one', name: 'Xbox One', aliases: ['XB1'] },
+    { id: 'nintendo-switch', name: 'Nintendo Switch', aliases: ['Switch'] }
+  ],
+  genres: [
+    { id: 'action', name: 'Action', aliases: [] },
+    { id: 'adventure', name: 'Adventure', aliases: [] },
+    { id: 'rpg', name: 'RPG', aliases: ['Role-Playing', 'Role Playing'] },
+    { id: 'strategy', name: 'Strategy', aliases: [] },
+    { id: 'horror', name: 'Horror', aliases: [] },
+    { id: 'racing', name: 'Racing', aliases: [] },
+    { id: 'fps', name: 'FPS', aliases: ['Shooter', 'First-Person Shooter'] },
+    { id: 'platformer', name: 'Platformer', aliases: [] }
+  ]
+};
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  const updates = {};
+  const taxonomy = {};
+
+  for (const kind of Object.keys(TAXONOMY_KINDS)) {
+    const snapshot = await db.ref(kind).once('value');
+    taxonomy[kind] = snapshot.val() || {};
+
+    DEFAULT_TERMS[kind].forEach(term => {
+      if (!taxonomy[kind][term.id]) {
+        taxonomy[kind][term.id] = term;
+        updates[`${kind}/${term.id}`] = term;
+        console.log(`➕ Seed ${kind}/${term.id} (${term.name})`);
+      }
+    });
+  }
+
+  const gamesSnapshot = await db.ref('games').once('value');
+  let migratedGames = 0;
+
+  gamesSnapshot.forEach((child) => {
+    const game = child.val();
+    let changed = false;
+
+    Object.entries(TAXONOMY_KINDS).forEach(([kind, { gameField, displayField }]) => {
+      if (Array.isArray(game[gameField]) && game[displayField] === undefined) return;
+
+      const ids = Array.isArray(game[gameField]) ? [...game[gameField]] : [];
+
+      splitLegacyValue(game[displayField]).forEach(value => {
+        let term = findTerm(taxonomy[kind], value);
+
+        // Keep values nobody anticipated rather than dropping them
+        if (!term) {
+          const termId = slugify(value);
+          if (!termId) return;
+          term = taxonomy[kind][termId] || { id: termId, name: value, aliases: [] };
+          taxonomy[kind][termId] = term;
+          updates[`${kind}/${termId}`] = term;
+          console.log(`➕ Create ${kind}/${termId} from "${value}" (game ${child.key})`);
+        }
+
+        if (!ids.includes(term.id)) ids.push(term.id);
+      });
+
+      updates[`games/${child.key}/${gameField}`] = ids;
+      updates[`games/${child.key}/${displayField}`] = null;
+      changed = true;
+    });
+
+    if (changed) migratedGames++;
+  });
+
+  console.log(`🎮 ${migratedGames} game(s) to migrate`);
+
+  if (dryRun) {
+    console.log('🔍 Dry run - no changes written');
+    return;
+  }
+
+  if (Object.keys(updates).length > 0) {
+    await db.ref().update(updates);
+  }
+  console.log('✅ Taxonomy migration complete');
+};
+
+migrate()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Taxonomy migration error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,35 @@
+import { db } from '../storage/index.js';
+import { recomputeGameRating } from '../utils/ratingCalculator.js';
+
+// Rebuild rating aggregates (sum, count, average, per-star histogram) from
+// the reviews to repair drift. Without ids every game is rebuilt.
+//
+// Usage: npm run ratings:recompute [-- <gameId> ...]
+
+const gameIds = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+
+const recompute = async () => {
+  let ids = gameIds;
+  if (ids.length === 0) {
+    const snapshot = await db.ref('games').once('value');
+    ids = Object.keys(snapshot.val() || {});
+  }
+
+  for (const gameId of ids) {
+    const fields = await recomputeGameRating(gameId);
+    if (fields) {
+      console.log(`⭐ ${gameId}: ${fields.averageRating} from ${fields.totalRatings} rating(s)`);
+    } else {
+      console.log(`⚠️ ${gameId}: game not found`);
+    }
+  }
+
+  console.log(`✅ Recomputed ratings for ${ids.length} game(s)`);
+};
+
+recompute()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Recompute ratings error:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,27 @@
+import { runReleaseNotifications } from '../utils/notifications.js';
+
+// Generate "releasing soon" and "out now" notifications for favorited games.
+// The server already runs this every NOTIFICATION_JOB_MINUTES (default 60);
+// use this to run it from cron instead. Already-sent notifications are
+// never repeated.
+//
+// Usage: npm run notifications:run [-- --date=YYYY-MM-DD]
+
+const dateArg = process.argv.find(arg => arg.startsWith('--date='));
+
+const run = async () => {
+  const now = dateArg ? new Date(`${dateArg.slice('--date='.length)}T12:00:00Z`) : new Date();
+  if (Number.isNaN(now.getTime())) {
+    throw new Error(`Invalid ${dateArg}`);
+  }
+
+  const { games, created } = await runReleaseNotifications({ now });
+  console.log(`✅ Checked ${games} game(s) near release, sent ${created} notification(s)`);
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Release notifications error:', error);
+    process.exit(1);
+  });
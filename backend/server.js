@@ -6,6 +6,16 @@ import gameRoutes from './routes/gameRoutes.js';
 import reviewRoutes from './routes/reviewRoutes.js';
 import favoriteRoutes from './routes/favoriteRoutes.js';
 import authRoutes from './routes/authRoutes.js';
+import platformRoutes from './routes/platformRoutes.js';
+import genreRoutes from './routes/genreRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import moderationRoutes from './routes/moderationRoutes.js';
+import userRoutes from './routes/userRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
+import calendarRoutes from './routes/calendarRoutes.js';
+import feedRoutes from './routes/feedRoutes.js';
+import { scheduleReleaseNotifications } from './utils/notifications.js';
+import { runStartupMigrations } from './utils/startupMigrations.js';
 
 dotenv.config();
 
@@ -14,6 +24,9 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
+// Catalog imports carry a whole file plus its images, so they get a
+// bigger body limit than the rest of the API
+app.use('/api/admin/games/import', bodyParser.json({ limit: process.env.IMPORT_BODY_LIMIT || '25mb' }));
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
@@ -22,6 +35,14 @@ app.use('/api/games', gameRoutes);
 app.use('/api/reviews', reviewRoutes);
 app.use('/api/favorites', favoriteRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/platforms', platformRoutes);
+app.use('/api/genres', genreRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/feeds', feedRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -41,7 +62,17 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
+// Bring existing data up to date before serving requests
+await runStartupMigrations();
+
 app.listen(PORT, () => {
   console.log(`VGB Backend server running on port ${PORT}`);
   console.log(`Health check: http://localhost:${PORT}/api/health`);
+  
+  // Release notification job (NOTIFICATION_JOB_MINUTES=0 turns it off,
+  // e.g. when `npm run notifications:run` is scheduled with cron instead)
+  const jobMinutes = Number(process.env.NOTIFICATION_JOB_MINUTES ?? 60);
+  if (jobMinutes > 0) {
+    scheduleReleaseNotifications(jobMinutes);
+  }
 });
\ No newline at end of file
@@ -0,0 +1,4 @@
+import { db, firestore, auth } from '../config/firebase.js';
+
+// Firebase adapter - the production backend
+export const createFirebaseStore = () => ({ db, firestore, auth });
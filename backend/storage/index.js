@@ -0,0 +1,40 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join, isAbsolute } from 'path';
+
+// Storage adapter selection
+// DATA_STORE=firebase (default) - Firebase Realtime Database + Firestore + Auth
+// DATA_STORE=local              - JSON file at LOCAL_DATA_PATH (default data/local-store.json)
+// DATA_STORE=memory             - in-memory only, reset on every restart
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env from backend root (one level up from storage/)
+dotenv.config({ path: join(__dirname, '../.env') });
+
+export const storeType = (process.env.DATA_STORE || 'firebase').toLowerCase();
+
+const resolveDataPath = () => {
+  const dataPath = process.env.LOCAL_DATA_PATH || 'data/local-store.json';
+  return isAbsolute(dataPath) ? dataPath : join(__dirname, '..', dataPath);
+};
+
+let store;
+
+if (storeType === 'firebase') {
+  // Imported lazily because config/firebase.js throws without credentials
+  const { createFirebaseStore } = await import('./firebaseStore.js');
+  store = createFirebaseStore();
+} else if (storeType === 'local' || storeType === 'memory') {
+  const { createLocalStore } = await import('./localStore.js');
+  const dataPath = storeType === 'local' ? resolveDataPath() : null;
+  store = createLocalStore(dataPath);
+  console.log(`✅ Local data store initialized (${dataPath || 'in-memory'})`);
+} else {
+  throw new Error(`Unknown DATA_STORE "${storeType}" (expected firebase, local or memory)`);
+}
+
+export const db = store.db;
+export const firestore = store.firestore;
+export const auth = store.auth;
@@ -0,0 +1,105 @@
+import { randomBytes } from 'crypto';
+import { clone } from './jsonFile.js';
+
+// Local stand-in for the subset of the Firebase Auth Admin API the backend
+// uses. There is no token signing offline: the ID token for a local user is
+// simply their uid, so requests authenticate with "Authorization: Bearer <uid>".
+
+const authError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const generateUid = () => randomBytes(21).toString('base64url');
+
+export const createLocalAuth = (state) => {
+  const users = () => {
+    if (!state.data.auth.users) {
+      state.data.auth.users = {};
+    }
+    return state.data.auth.users;
+  };
+
+  const findByEmail = (email) => Object.values(users())
+    .find(user => user.email && user.email.toLowerCase() === String(email).toLowerCase());
+
+  const getUser = async (uid) => {
+    const user = users()[uid];
+    if (!user) {
+      throw authError('auth/user-not-found', `There is no user record corresponding to the provided identifier: ${uid}`);
+    }
+    return clone(user);
+  };
+
+  return {
+    createUser: async ({ uid, email, displayName, disabled = false } = {}) => {
+      if (email && findByEmail(email)) {
+        throw authError('auth/email-already-exists', 'The email address is already in use by another account.');
+      }
+
+      const userId = uid || generateUid();
+      if (users()[userId]) {
+        throw authError('auth/uid-already-exists', 'The user with the provided uid already exists.');
+      }
+
+      users()[userId] = {
+        uid: userId,
+        email: email || null,
+        displayName: displayName || null,
+        disabled,
+        customClaims: null,
+        metadata: { creationTime: new Date().toUTCString() }
+      };
+      state.persist();
+
+      return clone(users()[userId]);
+    },
+
+    getUser,
+
+    getUserByEmail: async (email) => {
+      const user = findByEmail(email);
+      if (!user) {
+        throw authError('auth/user-not-found', `There is no user record corresponding to the provided email: ${email}`);
+      }
+      return clone(user);
+    },
+
+    updateUser: async (uid, properties) => {
+      await getUser(uid);
+
+      const owner = properties.email ? findByEmail(properties.email) : null;
+      if (owner && owner.uid !== uid) {
+        throw authError('auth/email-already-exists', 'The email address is already in use by another account.');
+      }
+
+      // Passwords are never kept by the local store
+      const { password, ...stored } = properties;
+      users()[uid] = { ...users()[uid], ...stored };
+      state.persist();
+
+      return clone(users()[uid]);
+    },
+
+    deleteUser: async (uid) => {
+      await getUser(uid);
+      delete users()[uid];
+      state.persist();
+    },
+
+    setCustomUserClaims: async (uid, claims) => {
+      await getUser(uid);
+      users()[uid].customClaims = claims ? clone(claims) : null;
+      state.persist();
+    },
+
+    verifyIdToken: async (token) => {
+      const user = users()[token];
+      if (!user || user.disabled) {
+        throw authError('auth/argument-error', 'Local ID token does not match a known user');
+      }
+      return { uid: user.uid, email: user.email, ...(user.customClaims || {}) };
+    }
+  };
+};
@@ -0,0 +1,323 @@
+import { randomBytes } from 'crypto';
+import { clone } from './jsonFile.js';
+
+// Local stand-in for the subset of the Firestore API the controllers use:
+// collection/doc references, add/set/update/delete, where/orderBy/limit/
+// startAfter queries, write batches and transactions.
+
+const AUTO_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+const generateAutoId = () => {
+  const bytes = randomBytes(20);
+  return Array.from(bytes, byte => AUTO_ID_CHARS[byte % AUTO_ID_CHARS.length]).join('');
+};
+
+const notFoundError = (path) => {
+  const error = new Error(`5 NOT_FOUND: No document to update: ${path}`);
+  error.code = 5;
+  return error;
+};
+
+const getField = (data, fieldPath) => {
+  let value = data;
+  for (const segment of fieldPath.split('.')) {
+    if (value === null || typeof value !== 'object' || !(segment in value)) {
+      return undefined;
+    }
+    value = value[segment];
+  }
+  return value;
+};
+
+const setField = (data, fieldPath, value) => {
+  const segments = fieldPath.split('.');
+  let node = data;
+  segments.slice(0, -1).forEach(segment => {
+    if (node[segment] === null || typeof node[segment] !== 'object') {
+      node[segment] = {};
+    }
+    node = node[segment];
+  });
+  node[segments[segments.length - 1]] = value;
+};
+
+// Firestore ordering: null < booleans < numbers < strings < arrays/maps
+const typeRank = (value) => {
+  if (value === null) return 0;
+  if (typeof value === 'boolean') return 1;
+  if (typeof value === 'number') return 2;
+  if (typeof value === 'string') return 3;
+  return 4;
+};
+
+const compareValues = (a, b) => {
+  const rankDiff = typeRank(a) - typeRank(b);
+  if (rankDiff !== 0) return rankDiff;
+  if (a === b) return 0;
+  if (typeRank(a) === 4) return 0;
+  return a < b ? -1 : 1;
+};
+
+const matchesFilter = (data, { field, op, value }) => {
+  const fieldValue = getField(data, field);
+
+  // Documents missing the field never match, including for '!='
+  if (fieldValue === undefined) return false;
+
+  switch (op) {
+    case '==':
+      return compareValues(fieldValue, value) === 0;
+    case '!=':
+      return compareValues(fieldValue, value) !== 0;
+    case '<':
+      return typeRank(fieldValue) === typeRank(value) && compareValues(fieldValue, value) < 0;
+    case '<=':
+      return typeRank(fieldValue) === typeRank(value) && compareValues(fieldValue, value) <= 0;
+    case '>':
+      return typeRank(fieldValue) === typeRank(value) && compareValues(fieldValue, value) > 0;
+    case '>=':
+      return typeRank(fieldValue) === typeRank(value) && compareValues(fieldValue, value) >= 0;
+    case 'in':
+      return value.some(candidate => compareValues(fieldValue, candidate) === 0);
+    case 'not-in':
+      return !value.some(candidate => compareValues(fieldValue, candidate) === 0);
+    case 'array-contains':
+      return Array.isArray(fieldValue) &&
+        fieldValue.some(item => compareValues(item, value) === 0);
+    case 'array-contains-any':
+      return Array.isArray(fieldValue) &&
+        fieldValue.some(item => value.some(candidate => compareValues(item, candidate) === 0));
+    default:
+      throw new Error(`Unsupported where() operator in local store: ${op}`);
+  }
+};
+
+const collectionData = (state, name) => {
+  if (!state.data.firestore[name]) {
+    state.data.firestore[name] = {};
+  }
+  return state.data.firestore[name];
+};
+
+const createDocumentSnapshot = (ref, data) => ({
+  id: ref.id,
+  ref,
+  exists: data !== undefined,
+  data: () => (data === undefined ? undefined : clone(data)),
+  get: (fieldPath) => (data === undefined ? undefined : clone(getField(data, fieldPath)))
+});
+
+const createQuerySnapshot = (docs) => ({
+  docs,
+  size: docs.length,
+  empty: docs.length === 0,
+  forEach: (callback) => docs.forEach(callback)
+});
+
+const createDocumentReference = (state, collectionName, id) => {
+  const path = `${collectionName}/${id}`;
+  const docs = () => collectionData(state, collectionName);
+
+  // Raw writes shared by the reference and by batches
+  const writes = {
+    set: (data, options = {}) => {
+      const existing = docs()[id];
+      docs()[id] = options.merge && existing
+        ? { ...existing, ...clone(data) }
+        : clone(data);
+    },
+    update: (data) => {
+      if (!docs()[id]) throw notFoundError(path);
+      Object.entries(clone(data)).forEach(([fieldPath, value]) => {
+        setField(docs()[id], fieldPath, value);
+      });
+    },
+    delete: () => {
+      delete docs()[id];
+    }
+  };
+
+  const reference = {
+    id,
+    path,
+    get: async () => createDocumentSnapshot(reference, docs()[id]),
+    set: async (data, options) => {
+      writes.set(data, options);
+      state.persist();
+    },
+    update: async (data) => {
+      writes.update(data);
+      state.persist();
+    },
+    delete: async () => {
+      writes.delete();
+      state.persist();
+    }
+  };
+
+  Object.defineProperty(reference, 'writes', { value: writes, enumerable: false });
+  return reference;
+};
+
+// Compare two [id, data] entries by the query's orderBy clauses, breaking
+// ties on document id in the direction of the last clause (as Firestore does)
+const compareEntries = (orders, [idA, a], [idB, b]) => {
+  for (const { field, direction } of orders) {
+    const result = compareValues(getField(a, field), getField(b, field));
+    if (result !== 0) return direction === 'desc' ? -result : result;
+  }
+  const idResult = idA < idB ? -1 : idA > idB ? 1 : 0;
+  return orders[orders.length - 1]?.direction === 'desc' ? -idResult : idResult;
+};
+
+// startAfter()/startAt() accept a document snapshot or field values
+const isPastCursor = (orders, entry, { values, inclusive }) => {
+  const [first] = values;
+  let result;
+
+  if (first && typeof first === 'object' && 'exists' in first && 'ref' in first) {
+    result = compareEntries(orders, entry, [first.id, first.data()]);
+  } else {
+    result = 0;
+    for (let i = 0; i < values.length && i < orders.length; i++) {
+      const { field, direction } = orders[i];
+      const compared = compareValues(getField(entry[1], field), values[i]);
+      if (compared !== 0) {
+        result = direction === 'desc' ? -compared : compared;
+        break;
+      }
+    }
+  }
+
+  return inclusive ? result >= 0 : result > 0;
+};
+
+const createQuery = (state, collectionName, options = {}) => {
+  const { filters = [], orders = [], limit = null, start = null } = options;
+  const extend = (changes) => createQuery(state, collectionName, {
+    filters,
+    orders,
+    limit,
+    start,
+    ...changes
+  });
+
+  return {
+    where: (field, op, value) => extend({ filters: [...filters, { field, op, value }] }),
+
+    orderBy: (field, direction = 'asc') => extend({ orders: [...orders, { field, direction }] }),
+
+    limit: (count) => extend({ limit: count }),
+
+    startAfter: (...values) => extend({ start: { values, inclusive: false } }),
+
+    startAt: (...values) => extend({ start: { values, inclusive: true } }),
+
+    get: async () => {
+      let entries = Object.entries(collectionData(state, collectionName))
+        .filter(([, data]) => filters.every(filter => matchesFilter(data, filter)))
+        // orderBy() excludes documents that lack the ordered field
+        .filter(([, data]) => orders.every(({ field }) => getField(data, field) !== undefined))
+        .sort((a, b) => compareEntries(orders, a, b));
+
+      if (start) {
+        entries = entries.filter(entry => isPastCursor(orders, entry, start));
+      }
+
+      const limited = limit === null ? entries : entries.slice(0, limit);
+
+      return createQuerySnapshot(limited.map(([id, data]) => createDocumentSnapshot(
+        createDocumentReference(state, collectionName, id),
+        data
+      )));
+    }
+  };
+};
+
+const createCollectionReference = (state, name) => ({
+  ...createQuery(state, name),
+
+  id: name,
+
+  doc: (id = generateAutoId()) => createDocumentReference(state, name, id),
+
+  add: async (data) => {
+    const reference = createDocumentReference(state, name, generateAutoId());
+    await reference.set(data);
+    return reference;
+  }
+});
+
+const createWriteBatch = (state) => {
+  const operations = [];
+
+  const batch = {
+    set: (ref, data, options) => {
+      operations.push(() => ref.writes.set(data, options));
+      return batch;
+    },
+    update: (ref, data) => {
+      operations.push(() => ref.writes.update(data));
+      return batch;
+    },
+    delete: (ref) => {
+      operations.push(() => ref.writes.delete());
+      return batch;
+    },
+    commit: async () => {
+      // Apply against a copy so a failing operation leaves nothing half-written
+      const snapshot = clone(state.data.firestore);
+      try {
+        operations.forEach(operation => operation());
+      } catch (error) {
+        state.data.firestore = snapshot;
+        throw error;
+      }
+      state.persist();
+    }
+  };
+
+  return batch;
+};
+
+// Transactions run one at a time, so reads inside one always see the
+// result of the previous transaction. Writes are buffered in a batch and
+// applied only if the update function resolves.
+const createTransactionRunner = (state) => {
+  let queue = Promise.resolve();
+
+  return (updateFunction) => {
+    const run = queue.then(async () => {
+      const batch = createWriteBatch(state);
+      const transaction = {
+        get: (ref) => ref.get(),
+        set: (ref, data, options) => {
+          batch.set(ref, data, options);
+          return transaction;
+        },
+        update: (ref, data) => {
+          batch.update(ref, data);
+          return transaction;
+        },
+        delete: (ref) => {
+          batch.delete(ref);
+          return transaction;
+        }
+      };
+
+      const result = await updateFunction(transaction);
+      await batch.commit();
+      return result;
+    });
+
+    // Keep the queue going even when a transaction fails
+    queue = run.catch(() => {});
+    return run;
+  };
+};
+
+export const createLocalFirestore = (state) => ({
+  collection: (name) => createCollectionReference(state, name),
+  batch: () => createWriteBatch(state),
+  runTransaction: createTransactionRunner(state)
+});
@@ -0,0 +1,34 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync, renameSync } from 'fs';
+import { dirname } from 'path';
+
+// Deep copy so callers never hold references into the stored tree
+export const clone = (value) => {
+  if (value === undefined || value === null) return null;
+  return JSON.parse(JSON.stringify(value));
+};
+
+// Create the shared state for the local store, optionally backed by a JSON file
+export const createLocalState = (filePath = null) => {
+  let data = { database: {}, firestore: {}, auth: {} };
+
+  if (filePath && existsSync(filePath)) {
+    try {
+      data = { ...data, ...JSON.parse(readFileSync(filePath, 'utf8')) };
+    } catch (error) {
+      throw new Error(`Failed to read local data file at ${filePath}: ${error.message}`);
+    }
+  }
+
+  // Write the whole tree after every mutation (temp file + rename so a crash
+  // mid-write never leaves a truncated file behind)
+  const persist = () => {
+    if (!filePath) return;
+
+    mkdirSync(dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    renameSync(tempPath, filePath);
+  };
+
+  return { data, persist };
+};
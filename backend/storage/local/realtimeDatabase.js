@@ -0,0 +1,272 @@
+import { clone } from './jsonFile.js';
+
+// Local stand-in for the subset of the Firebase Realtime Database API the
+// controllers use: ref(), once('value'), set/update/remove/push,
+// transaction() and orderByChild/orderByKey queries with
+// equalTo/startAt/endAt/limit.
+
+const splitPath = (path = '') => String(path).split('/').filter(Boolean);
+
+const readPath = (root, segments) => {
+  let node = root;
+  for (const segment of segments) {
+    if (node === null || typeof node !== 'object' || !(segment in node)) {
+      return null;
+    }
+    node = node[segment];
+  }
+  return node === undefined ? null : node;
+};
+
+// Firebase rejects undefined anywhere in a write, so do the same here
+const assertNoUndefined = (value, label) => {
+  if (value === undefined) {
+    throw new Error(`${label} contains undefined`);
+  }
+  if (value !== null && typeof value === 'object') {
+    Object.entries(value).forEach(([key, child]) => {
+      assertNoUndefined(child, `${label}.${key}`);
+    });
+  }
+};
+
+// Empty objects and nulls are never stored, matching Firebase semantics
+const prune = (value) => {
+  if (value === null || typeof value !== 'object') return value;
+
+  const result = Array.isArray(value) ? [] : {};
+  Object.entries(value).forEach(([key, child]) => {
+    const pruned = prune(child);
+    if (pruned !== null && pruned !== undefined) {
+      result[key] = pruned;
+    }
+  });
+
+  return Object.keys(result).length > 0 ? result : null;
+};
+
+const writePath = (root, segments, value) => {
+  const stored = prune(clone(value));
+
+  if (segments.length === 0) {
+    Object.keys(root).forEach(key => delete root[key]);
+    if (stored && typeof stored === 'object') Object.assign(root, stored);
+    return;
+  }
+
+  const parents = [root];
+  let node = root;
+  for (const segment of segments.slice(0, -1)) {
+    if (node[segment] === null || typeof node[segment] !== 'object') {
+      if (stored === null) return;
+      node[segment] = {};
+    }
+    node = node[segment];
+    parents.push(node);
+  }
+
+  const last = segments[segments.length - 1];
+  if (stored === null) {
+    delete node[last];
+  } else {
+    node[last] = stored;
+  }
+
+  // Drop parents left empty by a removal
+  for (let i = parents.length - 1; i > 0; i--) {
+    if (Object.keys(parents[i]).length > 0) break;
+    delete parents[i - 1][segments[i - 1]];
+  }
+};
+
+// Firebase ordering: null < false < true < numbers < strings < objects
+const typeRank = (value) => {
+  if (value === null || value === undefined) return 0;
+  if (value === false) return 1;
+  if (value === true) return 2;
+  if (typeof value === 'number') return 3;
+  if (typeof value === 'string') return 4;
+  return 5;
+};
+
+const compareValues = (a, b) => {
+  const rankDiff = typeRank(a) - typeRank(b);
+  if (rankDiff !== 0) return rankDiff;
+  if (typeRank(a) === 3 || typeRank(a) === 4) {
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+  return 0;
+};
+
+const compareKeys = (a, b) => {
+  const aNum = /^-?\d+$/.test(a);
+  const bNum = /^-?\d+$/.test(b);
+  if (aNum && bNum) return Number(a) - Number(b);
+  if (aNum) return -1;
+  if (bNum) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+const createSnapshot = (key, value, orderedKeys = null) => {
+  const childKeys = () => {
+    if (orderedKeys) return orderedKeys;
+    if (value === null || typeof value !== 'object') return [];
+    return Object.keys(value).sort(compareKeys);
+  };
+
+  return {
+    key,
+    val: () => clone(value),
+    exists: () => value !== null && value !== undefined,
+    hasChildren: () => childKeys().length > 0,
+    numChildren: () => childKeys().length,
+    child: (path) => {
+      const segments = splitPath(path);
+      return createSnapshot(
+        segments[segments.length - 1] || key,
+        readPath(value, segments)
+      );
+    },
+    forEach: (action) => {
+      for (const childKey of childKeys()) {
+        if (action(createSnapshot(childKey, value[childKey])) === true) {
+          return true;
+        }
+      }
+      return false;
+    }
+  };
+};
+
+// Push ids are time-ordered so children sort chronologically by key
+let lastPushTime = 0;
+let pushCounter = 0;
+const generatePushId = () => {
+  const now = Date.now();
+  pushCounter = now === lastPushTime ? pushCounter + 1 : 0;
+  lastPushTime = now;
+  const random = Math.random().toString(36).slice(2, 10);
+  return `-${now.toString(36)}${pushCounter.toString(36).padStart(3, '0')}${random}`;
+};
+
+const applyQuery = (value, query) => {
+  if (value === null || typeof value !== 'object') return { value: null, keys: [] };
+
+  const sortValue = (key) => (query.orderBy === '$key'
+    ? key
+    : readPath(value[key], splitPath(query.orderBy)));
+  const compare = query.orderBy === '$key' ? compareKeys : compareValues;
+
+  let keys = Object.keys(value).sort((a, b) => (
+    compare(sortValue(a), sortValue(b)) || compareKeys(a, b)
+  ));
+
+  if (query.equalTo !== undefined) {
+    keys = keys.filter(key => compare(sortValue(key), query.equalTo) === 0);
+  }
+  if (query.startAt !== undefined) {
+    keys = keys.filter(key => compare(sortValue(key), query.startAt) >= 0);
+  }
+  if (query.endAt !== undefined) {
+    keys = keys.filter(key => compare(sortValue(key), query.endAt) <= 0);
+  }
+  if (query.limitToFirst !== undefined) {
+    keys = keys.slice(0, query.limitToFirst);
+  }
+  if (query.limitToLast !== undefined) {
+    keys = keys.slice(-query.limitToLast);
+  }
+
+  const filtered = {};
+  keys.forEach(key => { filtered[key] = value[key]; });
+
+  return { value: keys.length > 0 ? filtered : null, keys };
+};
+
+const createReference = (state, segments, query = null) => {
+  const root = () => state.data.database;
+  const path = segments.join('/');
+
+  const withQuery = (changes) => createReference(state, segments, {
+    orderBy: '$key',
+    ...query,
+    ...changes
+  });
+
+  const reference = {
+    key: segments.length > 0 ? segments[segments.length - 1] : null,
+
+    toString: () => `/${path}`,
+
+    child: (childPath) => createReference(state, [...segments, ...splitPath(childPath)]),
+
+    once: async (eventType = 'value') => {
+      if (eventType !== 'value') {
+        throw new Error(`Local store only supports 'value' events, got '${eventType}'`);
+      }
+
+      const value = readPath(root(), segments);
+      if (!query) return createSnapshot(reference.key, value);
+
+      const result = applyQuery(value, query);
+      return createSnapshot(reference.key, result.value, result.keys);
+    },
+
+    set: async (value) => {
+      assertNoUndefined(value, `set at /${path}`);
+      writePath(root(), segments, value);
+      state.persist();
+    },
+
+    update: async (values) => {
+      assertNoUndefined(values, `update at /${path}`);
+      Object.entries(values).forEach(([childPath, value]) => {
+        writePath(root(), [...segments, ...splitPath(childPath)], value);
+      });
+      state.persist();
+    },
+
+    remove: async () => {
+      writePath(root(), segments, null);
+      state.persist();
+    },
+
+    // Everything runs on one thread, so the update function always sees the
+    // latest value and never needs a retry. Returning undefined aborts.
+    transaction: async (updateFunction) => {
+      const result = updateFunction(clone(readPath(root(), segments)));
+      if (result === undefined) {
+        return { committed: false, snapshot: createSnapshot(reference.key, readPath(root(), segments)) };
+      }
+
+      assertNoUndefined(result, `transaction at /${path}`);
+      writePath(root(), segments, result);
+      state.persist();
+      return { committed: true, snapshot: createSnapshot(reference.key, readPath(root(), segments)) };
+    },
+
+    push: (value) => {
+      const child = reference.child(generatePushId());
+      if (value !== undefined) {
+        assertNoUndefined(value, `push at /${path}`);
+        writePath(root(), [...segments, child.key], value);
+        state.persist();
+      }
+      return child;
+    },
+
+    orderByChild: (childPath) => withQuery({ orderBy: childPath }),
+    orderByKey: () => withQuery({ orderBy: '$key' }),
+    equalTo: (value) => withQuery({ equalTo: value }),
+    startAt: (value) => withQuery({ startAt: value }),
+    endAt: (value) => withQuery({ endAt: value }),
+    limitToFirst: (limit) => withQuery({ limitToFirst: limit }),
+    limitToLast: (limit) => withQuery({ limitToLast: limit })
+  };
+
+  return reference;
+};
+
+export const createLocalDatabase = (state) => ({
+  ref: (path = '') => createReference(state, splitPath(path))
+});
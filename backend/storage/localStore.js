@@ -0,0 +1,16 @@
+import { createLocalState } from './local/jsonFile.js';
+import { createLocalDatabase } from './local/realtimeDatabase.js';
+import { createLocalFirestore } from './local/firestore.js';
+import { createLocalAuth } from './local/auth.js';
+
+// Build the local adapter. With a file path the data survives restarts;
+// without one everything lives in memory for the life of the process.
+export const createLocalStore = (filePath = null) => {
+  const state = createLocalState(filePath);
+
+  return {
+    db: createLocalDatabase(state),
+    firestore: createLocalFirestore(state),
+    auth: createLocalAuth(state)
+  };
+};
@@ -0,0 +1,59 @@
+import { db } from '../storage/index.js';
+
+// Audit trail for administrative mutations.
+// Entries live under auditLog/{pushId}:
+//   { actorId, actorEmail, action, targetType, targetId, changes, details, timestamp }
+// `changes` maps each changed field to { before, after }; a side that
+// didn't exist is left out (the database drops nulls anyway).
+
+// Fields too large to copy into every entry are summarized instead
+const SUMMARIZED_FIELDS = {
+  imageBase64: (value) => (value ? `<image, ${value.length} chars>` : '')
+};
+
+const summarize = (field, value) => (
+  SUMMARIZED_FIELDS[field] && value !== undefined && value !== null
+    ? SUMMARIZED_FIELDS[field](value)
+    : value
+);
+
+// Field-level diff between two records (either may be null)
+export const diffRecords = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  fields.forEach(field => {
+    const beforeValue = summarize(field, before?.[field]);
+    const afterValue = summarize(field, after?.[field]);
+    if (JSON.stringify(beforeValue) === JSON.stringify(afterValue)) return;
+
+    const change = {};
+    if (beforeValue !== undefined && beforeValue !== null) change.before = beforeValue;
+    if (afterValue !== undefined && afterValue !== null) change.after = afterValue;
+    changes[field] = change;
+  });
+
+  return changes;
+};
+
+// Record one admin action. `actor` is req.user; `details` holds extra
+// context such as cascade counts. A failed write is logged rather than
+// failing the request, since the mutation itself already happened.
+export const recordAudit = async ({ actor, action, targetType, targetId, before = null, after = null, details = null }) => {
+  try {
+    const entry = {
+      actorId: actor.uid,
+      actorEmail: actor.email || null,
+      action,
+      targetType,
+      targetId,
+      changes: diffRecords(before, after),
+      details,
+      timestamp: new Date().toISOString()
+    };
+
+    await db.ref('auditLog').push(entry);
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
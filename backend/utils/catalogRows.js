@@ -0,0 +1,200 @@
+import { parseCsv, formatCsv } from './csv.js';
+
+// Column layout shared by the catalog export and import
+// (controllers/catalogController.js). A row is a game's editable fields:
+//   gameId, title, description, releaseDate, releaseDatePrecision,
+//   platforms, genres, upcoming, released, alternateTitles, franchise,
+//   releases, image
+// In JSON rows are objects with these keys and native values. In CSV
+// the lists are "|"-separated ("pc|ps5") and releases are ";"-separated
+// platform|region|date|edition entries ("ps5|na|2027-06-10|Deluxe; pc|ww|2027-Q3").
+// image is a data:image/...;base64 URL or "file:<name>", naming an image
+// uploaded along with the file. Empty cells leave the stored field as is.
+
+export const CATALOG_COLUMNS = [
+  'gameId',
+  'title',
+  'description',
+  'releaseDate',
+  'releaseDatePrecision',
+  'platforms',
+  'genres',
+  'upcoming',
+  'released',
+  'alternateTitles',
+  'franchise',
+  'releases',
+  'image'
+];
+
+const LIST_COLUMNS = ['platforms', 'genres', 'alternateTitles'];
+
+const LIST_SEPARATOR = '|';
+
+const ENTRY_SEPARATOR = ';';
+
+const DATA_URL = /^data:image\/[a-z0-9.+-]+;base64,/i;
+
+const FILE_REFERENCE = 'file:';
+
+// A described game (see describeGame) as an export row. Images are only
+// included when asked for, they make files very large.
+export const catalogRow = (game, { images = false } = {}) => ({
+  gameId: game.id,
+  title: game.title || '',
+  description: game.description || '',
+  releaseDate: game.releaseDate || '',
+  releaseDatePrecision: game.releaseDatePrecision || '',
+  platforms: game.platforms || [],
+  genres: game.genres || [],
+  upcoming: Boolean(game.upcoming),
+  released: Boolean(game.released),
+  alternateTitles: game.alternateTitles || [],
+  franchise: game.franchise || '',
+  releases: (Array.isArray(game.releases) ? game.releases : [])
+    .map(({ platform, region, date, edition }) => ({ platform, region, date, edition: edition || '' })),
+  image: images ? game.imageBase64 || '' : ''
+});
+
+const formatEntries = (releases) => releases
+  .map(({ platform, region, date, edition }) => [platform, region, date, edition].filter(Boolean).join(LIST_SEPARATOR))
+  .join(`${ENTRY_SEPARATOR} `);
+
+// Export rows as CSV text, header first
+export const catalogCsv = (rows) => formatCsv([
+  CATALOG_COLUMNS,
+  ...rows.map(row => CATALOG_COLUMNS.map(column => {
+    if (LIST_COLUMNS.includes(column)) return row[column].join(LIST_SEPARATOR);
+    if (column === 'releases') return formatEntries(row.releases);
+    return row[column];
+  }))
+]);
+
+// "ps5|na|2027-06-10|Deluxe; pc|ww|2027-Q3" -> release entry objects
+// (see gameSchema.js), or { error }
+const parseEntries = (text) => {
+  const entries = [];
+  const items = text.split(ENTRY_SEPARATOR).map(item => item.trim()).filter(Boolean);
+
+  for (const [index, item] of items.entries()) {
+    const [platform, region, date, ...edition] = item.split(LIST_SEPARATOR).map(part => part.trim());
+    if (!platform || !date) {
+      return { error: `item ${index + 1} must be platform${LIST_SEPARATOR}region${LIST_SEPARATOR}date${LIST_SEPARATOR}edition` };
+    }
+    entries.push({
+      platform,
+      ...(region ? { region } : {}),
+      date,
+      ...(edition.length > 0 && edition.join(LIST_SEPARATOR) ? { edition: edition.join(LIST_SEPARATOR) } : {})
+    });
+  }
+
+  return { value: entries };
+};
+
+// Read an import file into rows of raw column values.
+// CSV needs a header row naming its columns (any order, gameId required);
+// JSON is an array of row objects. Returns { rows } or { error }.
+export const readCatalogFile = (format, data) => {
+  if (format === 'json') {
+    let parsed = data;
+    if (typeof data === 'string') {
+      try {
+        parsed = JSON.parse(data);
+      } catch (error) {
+        return { error: 'data is not valid JSON' };
+      }
+    }
+    const rows = Array.isArray(parsed) ? parsed : parsed?.games;
+    if (!Array.isArray(rows)) {
+      return { error: 'JSON data must be an array of games' };
+    }
+    return { rows };
+  }
+
+  if (typeof data !== 'string') {
+    return { error: 'CSV data must be a string' };
+  }
+  const { rows: records, error } = parseCsv(data);
+  if (error) return { error };
+  if (records.length === 0) return { error: 'CSV data is empty' };
+
+  const [header, ...lines] = records;
+  const columns = header.map(column => column.trim());
+  const unknown = columns.filter(column => !CATALOG_COLUMNS.includes(column));
+  if (unknown.length > 0) {
+    return { error: `Unknown CSV column(s): ${unknown.join(', ')}. Columns are: ${CATALOG_COLUMNS.join(', ')}` };
+  }
+  if (!columns.includes('gameId')) {
+    return { error: 'CSV header must include a gameId column' };
+  }
+
+  return {
+    rows: lines.map(cells => Object.fromEntries(
+      columns.map((column, index) => [column, cells[index] ?? ''])
+    ))
+  };
+};
+
+const isEmpty = (value) => (
+  value === undefined ||
+  value === null ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0)
+);
+
+// Turn one raw row into a game payload for the game schemas. Empty values
+// are left out; `images` maps uploaded file names to data URLs. Returns
+// { value } or { errors } keyed by column.
+export const catalogRowPayload = (row, images = {}) => {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return { errors: { row: 'must be an object' } };
+  }
+
+  const value = {};
+  const errors = {};
+
+  Object.entries(row).forEach(([column, raw]) => {
+    if (!CATALOG_COLUMNS.includes(column)) {
+      errors[column] = 'is not a catalog column';
+      return;
+    }
+    if (isEmpty(raw)) return;
+
+    if (column === 'image') {
+      const reference = String(raw).trim();
+      if (reference.startsWith(FILE_REFERENCE)) {
+        const name = reference.slice(FILE_REFERENCE.length).trim();
+        if (!Object.hasOwn(images, name)) {
+          errors.image = `no uploaded image named "${name}"`;
+        } else if (!DATA_URL.test(images[name])) {
+          errors.image = `uploaded image "${name}" must be a base64 data:image URL`;
+        } else {
+          value.imageBase64 = images[name];
+        }
+      } else if (DATA_URL.test(reference)) {
+        value.imageBase64 = reference;
+      } else {
+        errors.image = 'must be a base64 data:image URL or file:<name>';
+      }
+      return;
+    }
+
+    if (column === 'releases' && typeof raw === 'string') {
+      const { value: entries, error } = parseEntries(raw);
+      if (error) {
+        errors.releases = error;
+      } else {
+        value.releases = entries;
+      }
+      return;
+    }
+
+    // CSV cells are strings; JSON rows may carry arrays instead
+    value[column] = LIST_COLUMNS.includes(column) && typeof raw === 'string'
+      ? raw.split(LIST_SEPARATOR)
+      : raw;
+  });
+
+  return Object.keys(errors).length > 0 ? { errors } : { value };
+};
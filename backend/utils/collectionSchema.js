@@ -0,0 +1,39 @@
+import { string, oneOf } from './schema.js';
+
+// Payload schemas for backlog statuses and custom game lists.
+
+export const GAME_STATUSES = ['wishlist', 'playing', 'completed', 'dropped'];
+
+export const LIST_VISIBILITIES = ['private', 'public'];
+
+const MAX_NOTE_LENGTH = 500;
+
+export const gameStatusSchema = {
+  fields: {
+    status: oneOf({ required: true, values: GAME_STATUSES }),
+    note: string({ max: MAX_NOTE_LENGTH, default: '' })
+  }
+};
+
+const listFields = {
+  name: string({ required: true, min: 1, max: 80 }),
+  description: string({ max: 500, default: '' }),
+  visibility: oneOf({ values: LIST_VISIBILITIES, default: 'private' })
+};
+
+export const listCreateSchema = { fields: listFields };
+
+export const listUpdateSchema = { fields: listFields };
+
+export const listItemSchema = {
+  fields: {
+    gameId: string({ required: true, min: 1 }),
+    note: string({ max: MAX_NOTE_LENGTH, default: '' })
+  }
+};
+
+export const listItemUpdateSchema = {
+  fields: {
+    note: string({ max: MAX_NOTE_LENGTH })
+  }
+};
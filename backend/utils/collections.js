@@ -0,0 +1,33 @@
+import { db } from '../storage/index.js';
+
+// Take a deleted game out of every custom list (the Favorites lists
+// included) and every backlog status, so list counts and reordering only
+// ever see games that exist. Returns { listsUpdated, statusesDeleted }.
+export const removeGameFromCollections = async (gameId) => {
+  const [listsSnapshot, statusesSnapshot] = await Promise.all([
+    db.ref('lists').once('value'),
+    db.ref('gameStatuses').orderByChild('gameId').equalTo(gameId).once('value')
+  ]);
+
+  const now = new Date().toISOString();
+  const updates = {};
+  let listsUpdated = 0;
+
+  Object.entries(listsSnapshot.val() || {}).forEach(([listId, list]) => {
+    if (!list.items?.[gameId]) return;
+    updates[`lists/${listId}/items/${gameId}`] = null;
+    updates[`lists/${listId}/updatedAt`] = now;
+    listsUpdated += 1;
+  });
+
+  const statusKeys = Object.keys(statusesSnapshot.val() || {});
+  statusKeys.forEach(key => {
+    updates[`gameStatuses/${key}`] = null;
+  });
+
+  if (Object.keys(updates).length > 0) {
+    await db.ref().update(updates);
+  }
+
+  return { listsUpdated, statusesDeleted: statusKeys.length };
+};
@@ -0,0 +1,15 @@
+// Confidence-based scoring for up/down style votes.
+
+// Lower bound of the Wilson score interval for the share of positive votes
+// (95% confidence by default). A review with 9 of 10 helpful votes ranks
+// above one with a single helpful vote, which a plain ratio would not do.
+export const wilsonLowerBound = (positive, total, z = 1.96) => {
+  if (total === 0) return 0;
+
+  const phat = positive / total;
+  const z2 = z * z;
+  const score = (phat + z2 / (2 * total) - z * Math.sqrt((phat * (1 - phat) + z2 / (4 * total)) / total)) /
+    (1 + z2 / total);
+
+  return parseFloat(score.toFixed(6));
+};
@@ -0,0 +1,75 @@
+// Minimal CSV (RFC 4180) reader and writer for the catalog import and
+// export. Fields may be quoted with ", doubling quotes inside; quoted
+// fields can hold commas and line breaks. Lines end in LF or CRLF.
+
+// Parse CSV text into rows of strings. Returns { rows } or { error }
+// for an unterminated quote. Blank lines are skipped.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let index = 0;
+  // A leading byte order mark (Excel adds one) isn't part of the header
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  while (index < input.length) {
+    const char = input[index];
+
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        field += '"';
+        index += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      index += 1;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      endRow();
+      if (char === '\r' && input[index + 1] === '\n') index += 1;
+    } else {
+      field += char;
+    }
+    index += 1;
+  }
+
+  if (quoted) {
+    return { error: `unterminated quoted field in row ${rows.length + 1}` };
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return { rows };
+};
+
+// Quote a field when it holds a delimiter, quote or line break
+const formatField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows of values as CSV text with CRLF line endings
+export const formatCsv = (rows) => rows
+  .map(row => row.map(formatField).join(','))
+  .join('\r\n') + '\r\n';
@@ -0,0 +1,89 @@
+import { db } from '../storage/index.js';
+
+// Each user's favorites also appear as a private "Favorites" list (the one
+// marked migratedFrom: 'favorites'), so they can be reordered and annotated
+// like any other list. favorites/{userId}_{gameId} stays the record of what
+// is favorited: syncFavoritesList brings the list in line with it after
+// every favorite change, and adding or removing games on the list itself
+// writes the favorite too (see collectionController).
+
+export const FAVORITES_LIST_SOURCE = 'favorites';
+
+const FAVORITES_LIST_NAME = 'Favorites';
+
+export const favoriteRecord = (userId, gameId, now = new Date().toISOString()) => ({
+  userId,
+  gameId,
+  dateAdded: now.split('T')[0],
+  addedAt: now
+});
+
+const favoriteAddedAt = (favorite) => favorite.addedAt || `${favorite.dateAdded}T00:00:00.000Z`;
+
+export const isFavoritesList = (list) => list?.migratedFrom === FAVORITES_LIST_SOURCE;
+
+export const findFavoritesList = async (userId) => {
+  const snapshot = await db.ref('lists')
+    .orderByChild('userId')
+    .equalTo(userId)
+    .once('value');
+
+  const found = Object.entries(snapshot.val() || {}).find(([, list]) => isFavoritesList(list));
+  return found ? { listId: found[0], list: found[1] } : null;
+};
+
+// Make the user's Favorites list hold exactly their favorites. Games that
+// were added go to the end, oldest first; games that were removed are
+// dropped. The order and notes of the rest are kept. The list is created
+// once the user has a favorite. Returns the listId, or null if there is
+// no list.
+export const syncFavoritesList = async (userId) => {
+  const [favoritesSnapshot, found] = await Promise.all([
+    db.ref('favorites').orderByChild('userId').equalTo(userId).once('value'),
+    findFavoritesList(userId)
+  ]);
+
+  const favorites = Object.values(favoritesSnapshot.val() || {})
+    .sort((a, b) => favoriteAddedAt(a).localeCompare(favoriteAddedAt(b)));
+  if (!found && favorites.length === 0) return null;
+
+  const now = new Date().toISOString();
+  const items = found?.list.items || {};
+
+  const added = {};
+  let position = Math.max(-1, ...Object.values(items).map(item => item.position)) + 1;
+  favorites.forEach(favorite => {
+    if (items[favorite.gameId]) return;
+    added[favorite.gameId] = { position, note: '', addedAt: favoriteAddedAt(favorite) };
+    position += 1;
+  });
+
+  if (!found) {
+    const listRef = db.ref('lists').push();
+    await listRef.set({
+      userId,
+      name: FAVORITES_LIST_NAME,
+      description: '',
+      visibility: 'private',
+      migratedFrom: FAVORITES_LIST_SOURCE,
+      items: added,
+      createdAt: now,
+      updatedAt: now
+    });
+    return listRef.key;
+  }
+
+  const favorited = new Set(favorites.map(favorite => favorite.gameId));
+  const updates = {};
+  Object.entries(added).forEach(([gameId, item]) => {
+    updates[`items/${gameId}`] = item;
+  });
+  Object.keys(items).forEach(gameId => {
+    if (!favorited.has(gameId)) updates[`items/${gameId}`] = null;
+  });
+
+  if (Object.keys(updates).length > 0) {
+    await db.ref(`lists/${found.listId}`).update({ ...updates, updatedAt: now });
+  }
+  return found.listId;
+};
@@ -0,0 +1,174 @@
+import { resolveTermIds } from './taxonomy.js';
+import { releaseWindow } from './releaseDates.js';
+import { releasesWithin, normalizeRegion } from './releaseEntries.js';
+
+// Game filter predicates and facet counts for the filter endpoint.
+// Facets are computed "disjunctively": the counts for one dimension apply
+// every active filter except that dimension's own, so picking "RPG" still
+// shows how many games every other genre would return.
+// Games passed in here must already be described (utils/taxonomy.js), so
+// game.platforms and game.genres hold taxonomy ids.
+// Release dates can be fuzzy (utils/releaseDates.js): date filters match
+// any game whose release window overlaps the range, and TBA games never
+// match them. Games with per-platform/region release entries are matched
+// by those entries instead (utils/releaseEntries.js).
+
+const RATING_BUCKETS = [4, 3, 2, 1];
+
+const STATUS_VALUES = ['upcoming', 'released'];
+
+// Year a game's release window starts in
+const releaseYear = (game) => releaseWindow(game.releaseDate)?.start.slice(0, 4) || null;
+
+// Exact taxonomy matching. `value` lists ids (or names/aliases) separated
+// by commas; `match` is "any" (default) or "all".
+const termFilter = (kind) => (value, match, taxonomy) => {
+  if (!value) return null;
+
+  const { ids, unknown } = resolveTermIds(taxonomy[kind], value);
+  // An unknown term can never match, so "all" can't be satisfied
+  if (ids.length === 0 || (match === 'all' && unknown.length > 0)) {
+    return () => false;
+  }
+
+  return match === 'all'
+    ? game => ids.every(id => game[kind].includes(id))
+    : game => ids.some(id => game[kind].includes(id));
+};
+
+const platformFilter = termFilter('platforms');
+const genreFilter = termFilter('genres');
+
+// Which release entries count for the date range: the ?region= view of
+// them, on the platforms filtered on (if any)
+export const releaseEntryOptions = ({ region, platform, startDate, endDate }, taxonomy) => ({
+  region: normalizeRegion(region) || null,
+  platformIds: platform ? resolveTermIds(taxonomy.platforms, platform).ids : null,
+  startDate,
+  endDate
+});
+
+// Each filter reads its query param(s) and returns a predicate, or null
+// when the filter isn't active
+const FILTERS = {
+  platform: ({ platform, platformMatch }, taxonomy) => platformFilter(platform, platformMatch, taxonomy),
+
+  genre: ({ genre, genreMatch }, taxonomy) => genreFilter(genre, genreMatch, taxonomy),
+
+  status: ({ status }) => {
+    if (status === 'upcoming') return game => game.upcoming === true;
+    if (status === 'released') return game => game.released === true;
+    return null;
+  },
+
+  minRating: ({ minRating }) => {
+    if (!minRating) return null;
+    const minRatingNum = parseFloat(minRating);
+    return game => game.averageRating && game.averageRating >= minRatingNum;
+  },
+
+  year: ({ year }) => (year
+    ? game => releaseYear(game) === String(year)
+    : null),
+
+  // Games delayed within the last N days ("recently delayed")
+  delayedWithin: ({ delayedWithin }) => {
+    const days = parseInt(delayedWithin, 10);
+    if (!days || days < 1) return null;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    return game => Boolean(game.lastDelayedAt) && game.lastDelayedAt >= since;
+  },
+
+  dateRange: (query, taxonomy) => {
+    const { startDate, endDate, ...options } = releaseEntryOptions(query, taxonomy);
+    return startDate && endDate
+      ? game => releasesWithin(game, startDate, endDate, options)
+      : null;
+  }
+};
+
+// Facet dimensions, keyed by the query param that filters on them
+const FACETS = {
+  platform: {
+    values: game => game.platforms,
+    kind: 'platforms'
+  },
+  genre: {
+    values: game => game.genres,
+    kind: 'genres'
+  },
+  status: {
+    values: game => STATUS_VALUES.filter(status => game[status] === true),
+    order: STATUS_VALUES
+  },
+  minRating: {
+    // Buckets are cumulative ("3+" includes every 4 and 5 star game)
+    values: game => RATING_BUCKETS
+      .filter(bucket => (game.averageRating || 0) >= bucket)
+      .map(String),
+    order: RATING_BUCKETS.map(String)
+  },
+  year: {
+    values: game => (releaseYear(game) ? [releaseYear(game)] : []),
+    // Newest years first
+    compare: (a, b) => b.value.localeCompare(a.value)
+  }
+};
+
+export const FACET_NAMES = Object.keys(FACETS);
+
+export const buildGameFilters = (query, taxonomy) => Object.entries(FILTERS)
+  .map(([key, build]) => ({ key, test: build(query, taxonomy) }))
+  .filter(filter => filter.test);
+
+export const applyGameFilters = (games, filters, exceptKey = null) => games.filter(game => (
+  filters.every(filter => filter.key === exceptKey || filter.test(game))
+));
+
+// Parse the `facets` query param: "true" for every facet, or a list
+export const parseFacetParam = (value) => {
+  if (!value || value === 'false') return [];
+  if (value === 'true' || value === '1') return FACET_NAMES;
+  return String(value).split(',').map(name => name.trim()).filter(name => FACETS[name]);
+};
+
+// Count each facet value against every other active filter.
+// Returns { [facet]: [{ value, count }] } without zero-count values;
+// platform and genre entries also carry the term's display name.
+export const computeFacets = (games, filters, names = FACET_NAMES, taxonomy = null) => {
+  const facets = {};
+
+  names.forEach(name => {
+    const facet = FACETS[name];
+    const counts = new Map(); // lowercased value -> { value, count }
+
+    applyGameFilters(games, filters, name).forEach(game => {
+      new Set(facet.values(game)).forEach(value => {
+        const key = value.toLowerCase();
+        const entry = counts.get(key) || { value, count: 0 };
+        entry.count += 1;
+        counts.set(key, entry);
+      });
+    });
+
+    let entries = [...counts.values()];
+    if (facet.kind && taxonomy) {
+      entries = entries.map(entry => ({
+        ...entry,
+        name: taxonomy[facet.kind][entry.value]?.name || entry.value
+      }));
+    }
+
+    if (facet.order) {
+      entries.sort((a, b) => facet.order.indexOf(a.value) - facet.order.indexOf(b.value));
+    } else if (facet.compare) {
+      entries.sort(facet.compare);
+    } else {
+      entries.sort((a, b) => b.count - a.count || (a.name || a.value).localeCompare(b.name || b.value));
+    }
+
+    facets[name] = entries;
+  });
+
+  return facets;
+};
@@ -0,0 +1,71 @@
+import { string, boolean, list, oneOf, releaseDate, objectList } from './schema.js';
+import { RELEASE_PRECISIONS } from './releaseDates.js';
+import { REGION_CODES, WORLDWIDE, MAX_RELEASE_ENTRIES, normalizeRegion } from './releaseEntries.js';
+
+// Game payload schemas shared by addGame and updateGame.
+// Platforms and genres are only shape-checked here; the controller
+// resolves them against the taxonomy.
+
+// Base64 limit (~1MB base64 = ~750KB actual)
+const MAX_IMAGE_LENGTH = 1400000;
+
+// One platform/region launch (see utils/releaseEntries.js). The platform
+// is resolved against the taxonomy by the controller.
+const releaseEntrySchema = {
+  fields: {
+    platform: string({ required: true, min: 1, max: 100 }),
+    region: oneOf({ values: REGION_CODES, default: WORLDWIDE, normalize: normalizeRegion }),
+    date: releaseDate({ required: true }),
+    edition: string({ max: 100, default: '' })
+  }
+};
+
+const gameFields = {
+  title: string({ required: true, min: 1, max: 200 }),
+  description: string({ required: true, min: 1, max: 5000 }),
+  // Exact day or a fuzzier date ("2027-Q3", "2027-spring", "TBA", ...).
+  // The precision is worked out from the date; sending it with an exact
+  // day coarsens that day (see resolveReleaseFields).
+  releaseDate: releaseDate({ required: true }),
+  releaseDatePrecision: oneOf({ values: RELEASE_PRECISIONS }),
+  // Launch dates per platform and region, when they differ
+  releases: objectList({ schema: releaseEntrySchema, maxItems: MAX_RELEASE_ENTRIES }),
+  platforms: list({ required: true, min: 1, alias: 'platform' }),
+  genres: list({ required: true, min: 1, alias: 'genre' }),
+  upcoming: boolean({ default: false }),
+  released: boolean({ default: false }),
+  alternateTitles: list({ maxItems: 20, default: () => [] }),
+  // Series the game belongs to, used for recommendations
+  franchise: string({ max: 100, default: '' }),
+  imageBase64: string({
+    max: MAX_IMAGE_LENGTH,
+    maxMessage: 'Image too large. Please use image under 1MB',
+    default: ''
+  })
+};
+
+const gameChecks = [
+  (game) => (game.upcoming && game.released
+    ? { field: 'released', message: 'a game cannot be both upcoming and released' }
+    : null)
+];
+
+export const gameCreateSchema = {
+  fields: {
+    gameId: string({
+      required: true,
+      min: 1,
+      max: 64,
+      pattern: /^[A-Za-z0-9_-]+$/,
+      patternMessage: 'may only contain letters, numbers, "-" and "_"'
+    }),
+    ...gameFields
+  },
+  checks: gameChecks
+};
+
+// The id is part of the URL and can't be changed by an update
+export const gameUpdateSchema = {
+  fields: gameFields,
+  checks: gameChecks
+};
@@ -0,0 +1,183 @@
+import { db } from '../storage/index.js';
+import { TAXONOMY_KINDS, describeGame, resolveTermIds } from './taxonomy.js';
+import { validate } from './schema.js';
+import { gameCreateSchema, gameUpdateSchema } from './gameSchema.js';
+import { emptyRatingStats } from './ratingCalculator.js';
+import { resolveReleaseFields } from './releaseDates.js';
+import { resolveReleaseEntries, sameReleaseEntries } from './releaseEntries.js';
+import { initialReleaseFields, releaseChangeFields, releaseSequenceFields, recordReleaseDateChange } from './releaseHistory.js';
+import { indexGame } from './searchIndex.js';
+import { recordAudit } from './audit.js';
+import { notifyReleaseDateChange } from './notifications.js';
+
+// Game writes shared by addGame, updateGame and the catalog import, so
+// every way of writing a game applies the same rules.
+// The prepare helpers return { value } with the record to store or
+// { errors } keyed by field without touching the database; the save
+// helpers store a prepared record along with everything that follows it.
+
+// Resolve validated platform/genre lists (ids, names or aliases) into
+// taxonomy ids. Returns { values } keyed by game field, plus field-level
+// { errors } for unknown terms.
+export const resolveGameTaxonomy = (game, taxonomy) => {
+  const values = {};
+  const errors = {};
+
+  Object.entries(TAXONOMY_KINDS).forEach(([kind, { gameField, label }]) => {
+    if (game[gameField] === undefined) return;
+
+    const { ids, unknown } = resolveTermIds(taxonomy[kind], game[gameField]);
+    if (unknown.length > 0) {
+      errors[gameField] = `unknown ${label.toLowerCase()}(s): ${unknown.join(', ')}`;
+    } else {
+      values[gameField] = ids;
+    }
+  });
+
+  return { values, errors: Object.keys(errors).length > 0 ? errors : null };
+};
+
+// The full record of a new game, with empty ratings
+export const prepareGameCreate = (body, taxonomy, createdAt = new Date().toISOString()) => {
+  const { value, errors } = validate(gameCreateSchema, body);
+  if (errors) return { errors };
+
+  const { values: release, errors: releaseErrors } = resolveReleaseFields(value);
+  if (releaseErrors) return { errors: releaseErrors };
+
+  const { values: terms, errors: termErrors } = resolveGameTaxonomy(value, taxonomy);
+  if (termErrors) return { errors: termErrors };
+
+  const { values: entries, errors: entryErrors } = resolveReleaseEntries(value.releases, terms.platforms, taxonomy);
+  if (entryErrors) return { errors: entryErrors };
+
+  return {
+    value: {
+      ...value,
+      ...terms,
+      ...release,
+      ...entries,
+      ...initialReleaseFields(release.releaseDate),
+      ratingStats: emptyRatingStats(),
+      createdAt
+    }
+  };
+};
+
+const sameFieldValue = (field, a, b) => (
+  field === 'releases'
+    ? sameReleaseEntries(a, b)
+    : JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+);
+
+// The fields to write for a partial update of `currentGame` (omitted
+// fields are left as is). Along with the value it gives
+// releaseDateChanged and changedFields, the sent fields whose stored
+// value actually differs.
+export const prepareGameUpdate = (currentGame, changes, taxonomy, changedAt = new Date().toISOString()) => {
+  const { value, errors } = validate(gameUpdateSchema, changes, {
+    partial: true,
+    current: currentGame
+  });
+  if (errors) return { errors };
+
+  const { values: release, errors: releaseErrors } = resolveReleaseFields(value, currentGame);
+  if (releaseErrors) return { errors: releaseErrors };
+
+  const { values: terms, errors: termErrors } = resolveGameTaxonomy(value, taxonomy);
+  if (termErrors) return { errors: termErrors };
+
+  // Release entries must stay on the game's platforms, so a platform
+  // change re-checks the stored entries too
+  const platformIds = terms.platforms || describeGame(currentGame, taxonomy).platforms;
+  const checkedReleases = value.releases !== undefined
+    ? value.releases
+    : (terms.platforms && Array.isArray(currentGame.releases) ? currentGame.releases : undefined);
+  const { values: entries, errors: entryErrors } = resolveReleaseEntries(checkedReleases, platformIds, taxonomy);
+  if (entryErrors) return { errors: entryErrors };
+
+  const sent = { ...value, ...terms, ...release, ...entries };
+  const changedFields = Object.keys(sent).filter(field => !sameFieldValue(field, sent[field], currentGame[field]));
+
+  const updateData = { ...sent };
+  const releaseDateChanged = Boolean(release.releaseDate) && release.releaseDate !== currentGame.releaseDate;
+  if (releaseDateChanged) {
+    Object.assign(updateData, releaseChangeFields(currentGame, release.releaseDate, changedAt));
+  }
+
+  // Anything calendar events show bumps their sequence number
+  const releasesChanged = entries.releases !== undefined && !sameReleaseEntries(entries.releases, currentGame.releases);
+  const titleChanged = value.title !== undefined && value.title !== currentGame.title;
+  if (releaseDateChanged || releasesChanged || titleChanged) {
+    Object.assign(updateData, releaseSequenceFields(currentGame, changedAt));
+  }
+
+  // Replace the term ids and drop any legacy free-text value
+  Object.values(TAXONOMY_KINDS).forEach(({ gameField, displayField }) => {
+    if (terms[gameField]) {
+      updateData[displayField] = null;
+    }
+  });
+
+  return { value: updateData, releaseDateChanged, changedFields };
+};
+
+// Store a new game, index it and audit the creation
+export const saveNewGame = async ({ gameId, gameData, taxonomy, actor, details = null }) => {
+  await db.ref(`games/${gameId}`).set(gameData);
+  indexGame(gameId, describeGame(gameData, taxonomy));
+
+  await recordAudit({
+    actor,
+    action: 'game.create',
+    targetType: 'game',
+    targetId: gameId,
+    after: gameData,
+    details
+  });
+};
+
+// Store a prepared update, then record a release date change in the
+// history, re-index, audit and tell favoriters about the new date
+export const saveGameUpdate = async ({
+  gameId,
+  currentGame,
+  updateData,
+  releaseDateChanged,
+  changedAt,
+  taxonomy,
+  actor,
+  note = null,
+  details = null
+}) => {
+  await db.ref(`games/${gameId}`).update(updateData);
+
+  if (releaseDateChanged) {
+    await recordReleaseDateChange({
+      gameId,
+      from: currentGame.releaseDate,
+      to: updateData.releaseDate,
+      note,
+      changedBy: actor.uid,
+      changedAt
+    });
+  }
+
+  // Re-index with the stored record so search sees the merged result
+  const updatedSnapshot = await db.ref(`games/${gameId}`).once('value');
+  indexGame(gameId, describeGame(updatedSnapshot.val(), taxonomy));
+
+  await recordAudit({
+    actor,
+    action: 'game.update',
+    targetType: 'game',
+    targetId: gameId,
+    before: currentGame,
+    after: updatedSnapshot.val(),
+    details
+  });
+
+  if (releaseDateChanged) {
+    await notifyReleaseDateChange(gameId, updatedSnapshot.val(), currentGame.releaseDate);
+  }
+};
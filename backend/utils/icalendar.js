@@ -0,0 +1,101 @@
+// Minimal iCalendar (RFC 5545) writer for the release calendar feeds.
+// Only what the feeds need: all-day events with a stable UID and a
+// SEQUENCE, so calendar apps update an event in place when a release
+// date moves instead of adding a second one.
+
+const PRODUCT_ID = '-//VGB//Video Game Bulletin Releases//EN';
+
+// How often subscribed calendars should check for changes
+const REFRESH_INTERVAL = 'PT6H';
+
+// Lines longer than this many octets are folded onto continuation lines
+const MAX_LINE_OCTETS = 75;
+
+// Escape TEXT values (backslash, semicolon, comma and newlines)
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold a content line at 75 octets without splitting a UTF-8 character
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts toward the limit
+    if (octets + size > MAX_LINE_OCTETS) {
+      parts.push(current);
+      current = ' ';
+      octets = 1;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n');
+};
+
+// 2027-05-14 -> 20270514
+const formatDay = (day) => day.replace(/-/g, '');
+
+// ISO timestamp -> 20270514T093000Z
+const formatTimestamp = (iso) => new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const nextDay = (day) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+};
+
+// One all-day VEVENT.
+// event = { uid, day (YYYY-MM-DD), summary, description, url, sequence, updatedAt }
+const formatEvent = ({ uid, day, summary, description, url, sequence = 0, updatedAt }) => {
+  const stamp = formatTimestamp(updatedAt || new Date().toISOString());
+  return [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${stamp}`,
+    `LAST-MODIFIED:${stamp}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTART;VALUE=DATE:${formatDay(day)}`,
+    `DTEND;VALUE=DATE:${formatDay(nextDay(day))}`,
+    `SUMMARY:${escapeText(summary)}`,
+    description ? `DESCRIPTION:${escapeText(description)}` : null,
+    url ? `URL:${url}` : null,
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT'
+  ].filter(Boolean);
+};
+
+// A whole VCALENDAR document (CRLF line endings, folded lines)
+export const buildCalendar = ({ name, description, events }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    description ? `X-WR-CALDESC:${escapeText(description)}` : null,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+    ...events.flatMap(formatEvent),
+    'END:VCALENDAR'
+  ].filter(Boolean);
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+// Send a calendar with the headers calendar apps expect
+export const sendCalendar = (res, filename, calendar) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${filename}"`
+  });
+  res.send(calendar);
+};
@@ -0,0 +1,18 @@
+import { boolean, integer } from './schema.js';
+
+// Per-user notification preferences, stored at
+// users/{uid}/notificationPreferences.
+
+export const MAX_LEAD_TIME_DAYS = 30;
+
+export const notificationPreferencesSchema = {
+  fields: {
+    // "Releasing soon" reminders, sent leadTimeDays before release
+    releaseReminders: boolean({ default: true }),
+    leadTimeDays: integer({ min: 1, max: MAX_LEAD_TIME_DAYS, default: 3 }),
+    // "Out now" on release day
+    releases: boolean({ default: true }),
+    // The release date of a favorited game moved
+    dateChanges: boolean({ default: true })
+  }
+};
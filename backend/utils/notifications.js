@@ -0,0 +1,169 @@
+import { db } from '../storage/index.js';
+import { validate } from './schema.js';
+import { notificationPreferencesSchema, MAX_LEAD_TIME_DAYS } from './notificationSchema.js';
+import { precisionOf, isLaterRelease, describeReleaseDate } from './releaseDates.js';
+
+// In-app notifications about favorited games.
+// notifications/{notificationId} = { userId, type, gameId, gameTitle,
+//   message, releaseDate, previousReleaseDate, read, createdAt }
+// Types:
+//   release-soon      - a favorited game releases within the user's lead time
+//   released          - a favorited game is out
+//   date-changed      - an admin moved a favorited game's release date
+// The first two come from runReleaseNotifications (a periodic job) and are
+// keyed on the release date, so running the job again never repeats them
+// but a delayed game is announced again for its new date. Only games with
+// an exact release day get them.
+
+export const NOTIFICATION_TYPES = ['release-soon', 'released', 'date-changed'];
+
+// Which preference switches each type off
+const PREFERENCE_FOR_TYPE = {
+  'release-soon': 'releaseReminders',
+  released: 'releases',
+  'date-changed': 'dateChanges'
+};
+
+// Games released this many days ago still get their "out now" notification,
+// so a job that didn't run for a while catches up
+const RELEASED_GRACE_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const todayString = (now) => now.toISOString().slice(0, 10);
+
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+export const DEFAULT_PREFERENCES = validate(notificationPreferencesSchema, {}).value;
+
+export const loadPreferences = async (userId) => {
+  const snapshot = await db.ref(`users/${userId}/notificationPreferences`).once('value');
+  return { ...DEFAULT_PREFERENCES, ...(snapshot.val() || {}) };
+};
+
+// Users who favorited a game
+const loadFavoriters = async (gameId) => {
+  const snapshot = await db.ref('favorites')
+    .orderByChild('gameId')
+    .equalTo(gameId)
+    .once('value');
+  return [...new Set(Object.values(snapshot.val() || {}).map(favorite => favorite.userId))];
+};
+
+const describeNotification = (type, game, { daysUntil, previousReleaseDate } = {}) => {
+  if (type === 'release-soon') {
+    return daysUntil === 1
+      ? `${game.title} releases tomorrow`
+      : `${game.title} releases in ${daysUntil} days (${describeReleaseDate(game.releaseDate)})`;
+  }
+  if (type === 'released') {
+    return `${game.title} is out now`;
+  }
+  const from = previousReleaseDate ? describeReleaseDate(previousReleaseDate) : 'unset';
+  const to = describeReleaseDate(game.releaseDate);
+  return isLaterRelease(previousReleaseDate, game.releaseDate)
+    ? `${game.title} was delayed from ${from} to ${to}`
+    : `${game.title} now releases ${to} (was ${from})`;
+};
+
+const buildNotification = (userId, type, gameId, game, details = {}) => ({
+  userId,
+  type,
+  gameId,
+  gameTitle: game.title,
+  message: describeNotification(type, game, details),
+  releaseDate: game.releaseDate,
+  previousReleaseDate: details.previousReleaseDate || null,
+  read: false,
+  createdAt: new Date().toISOString()
+});
+
+// Write a notification under a fixed id unless it already exists.
+// Returns true when it was created.
+const createOnce = async (notificationId, notification) => {
+  const { committed } = await db.ref(`notifications/${notificationId}`)
+    .transaction(current => (current === null ? notification : undefined));
+  return committed;
+};
+
+// Tell everyone who favorited a game that its release date moved.
+// Called after updateGame; failures are logged rather than failing the update.
+export const notifyReleaseDateChange = async (gameId, game, previousReleaseDate) => {
+  try {
+    const userIds = await loadFavoriters(gameId);
+    let sent = 0;
+
+    for (const userId of userIds) {
+      const preferences = await loadPreferences(userId);
+      if (!preferences[PREFERENCE_FOR_TYPE['date-changed']]) continue;
+
+      await db.ref('notifications').push(
+        buildNotification(userId, 'date-changed', gameId, game, { previousReleaseDate })
+      );
+      sent++;
+    }
+
+    return sent;
+  } catch (error) {
+    console.error('Release date notification error:', error);
+    return 0;
+  }
+};
+
+// Periodic job: "releasing soon" and "out now" notifications for favorited
+// games. Safe to run as often as you like.
+// Returns { games, created } - games looked at and notifications written.
+export const runReleaseNotifications = async ({ now = new Date() } = {}) => {
+  const today = todayString(now);
+  const snapshot = await db.ref('games').once('value');
+
+  const candidates = Object.entries(snapshot.val() || {}).filter(([, game]) => {
+    if (!game.releaseDate || precisionOf(game) !== 'day') return false;
+    const daysUntil = daysBetween(today, game.releaseDate);
+    return daysUntil <= MAX_LEAD_TIME_DAYS && daysUntil >= -RELEASED_GRACE_DAYS;
+  });
+
+  const preferencesCache = new Map();
+  let created = 0;
+
+  for (const [gameId, game] of candidates) {
+    const daysUntil = daysBetween(today, game.releaseDate);
+    const type = daysUntil > 0 ? 'release-soon' : 'released';
+    const userIds = await loadFavoriters(gameId);
+
+    for (const userId of userIds) {
+      if (!preferencesCache.has(userId)) {
+        preferencesCache.set(userId, await loadPreferences(userId));
+      }
+      const preferences = preferencesCache.get(userId);
+
+      if (!preferences[PREFERENCE_FOR_TYPE[type]]) continue;
+      if (type === 'release-soon' && daysUntil > preferences.leadTimeDays) continue;
+
+      const notificationId = `${userId}_${type}_${game.releaseDate}_${gameId}`;
+      const notification = buildNotification(userId, type, gameId, game, { daysUntil });
+      if (await createOnce(notificationId, notification)) {
+        created++;
+      }
+    }
+  }
+
+  return { games: candidates.length, created };
+};
+
+// Run the release job in the server process every `minutes` minutes
+export const scheduleReleaseNotifications = (minutes) => {
+  const run = async () => {
+    try {
+      const { created } = await runReleaseNotifications();
+      if (created > 0) {
+        console.log(`🔔 Sent ${created} release notification(s)`);
+      }
+    } catch (error) {
+      console.error('Release notification job error:', error);
+    }
+  };
+
+  run();
+  return setInterval(run, minutes * 60 * 1000);
+};
@@ -0,0 +1,96 @@
+// Cursor pagination helpers shared by the listing endpoints.
+// Cursors are opaque base64url strings that remember the sort they were
+// issued for, so a cursor can't be replayed against a different ordering.
+
+export const DEFAULT_PAGE_SIZE = 24;
+export const MAX_PAGE_SIZE = 100;
+
+export const encodeCursor = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+export const decodeCursor = (cursor) => {
+  try {
+    const data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return data && typeof data === 'object' ? data : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Read limit/cursor/sort/order from the query string.
+// `sorts` maps each allowed sort name to its definition ({ order, ... }).
+// Returns { error } when a parameter is invalid.
+export const parsePageParams = (query, { sorts, defaultSort, defaultLimit = DEFAULT_PAGE_SIZE, maxLimit = MAX_PAGE_SIZE }) => {
+  const sort = query.sort || defaultSort;
+  if (!sorts[sort]) {
+    return { error: `Invalid sort. Use one of: ${Object.keys(sorts).join(', ')}` };
+  }
+
+  const order = query.order || sorts[sort].order;
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'order must be asc or desc' };
+  }
+
+  let limit = defaultLimit;
+  if (query.limit !== undefined && query.limit !== '') {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return { error: 'limit must be a positive integer' };
+    }
+    limit = Math.min(limit, maxLimit);
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor || cursor.sort !== sort || cursor.order !== order) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  return { sort, order, limit, cursor };
+};
+
+const isMissing = (value) => value === null || value === undefined || value === '';
+
+// Missing sort values always go last, ties are broken by id
+const compareKeys = (a, b, direction) => {
+  const aMissing = isMissing(a.value);
+  const bMissing = isMissing(b.value);
+
+  if (aMissing !== bMissing) return aMissing ? 1 : -1;
+  if (!aMissing && a.value !== b.value) {
+    return (a.value < b.value ? -1 : 1) * direction;
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+};
+
+// Sort an in-memory list and cut one page out of it.
+// Pages are keyed on (sort value, id) rather than offsets so items added or
+// removed between requests don't shift later pages.
+export const paginateList = (items, { sorts, sort, order, limit, cursor }, getId = (item) => item.id) => {
+  const getValue = sorts[sort].value;
+  const direction = order === 'desc' ? -1 : 1;
+
+  const entries = items
+    .map(item => ({ item, value: getValue(item) ?? null, id: String(getId(item)) }))
+    .sort((a, b) => compareKeys(a, b, direction));
+
+  const start = cursor
+    ? entries.findIndex(entry => compareKeys(entry, cursor, direction) > 0)
+    : 0;
+  const pageEntries = start === -1 ? [] : entries.slice(start, start + limit);
+  const hasMore = start !== -1 && start + limit < entries.length;
+  const last = pageEntries[pageEntries.length - 1];
+
+  return {
+    items: pageEntries.map(entry => entry.item),
+    page: {
+      limit,
+      sort,
+      order,
+      total: entries.length,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor({ sort, order, value: last.value, id: last.id }) : null
+    }
+  };
+};
@@ -0,0 +1,62 @@
+// Per-resource authorization policies.
+// Every policy receives the acting user derived from the verified token
+// (req.user = { uid, isAdmin }) and the resource being acted on, and
+// returns true when the action is allowed. Request bodies and URL params
+// never decide who the actor is.
+
+const isOwner = (user, resource) => Boolean(user && resource && resource.userId === user.uid);
+
+const isOwnerOrAdmin = (user, resource) => Boolean(user && (user.isAdmin || isOwner(user, resource)));
+
+const isPublicOrOwnerOrAdmin = (user, resource) => Boolean(
+  resource?.visibility === 'public' || isOwnerOrAdmin(user, resource)
+);
+
+const POLICIES = {
+  admin: (user) => Boolean(user && user.isAdmin),
+
+  // Reviews: posted as yourself, authors edit their own, admins can also
+  // remove them and read their edit history
+  'review:create': isOwner,
+  'review:update': isOwner,
+  'review:delete': isOwnerOrAdmin,
+  'review:history': isOwnerOrAdmin,
+
+  // Favorites are private to their owner (admins may look)
+  'favorites:read': isOwnerOrAdmin,
+  'favorites:write': isOwner,
+
+  // Game lists: public ones are readable by anyone (even logged out)
+  'list:read': isPublicOrOwnerOrAdmin,
+  'list:write': isOwner,
+
+  // User profiles (admins can correct other users' details)
+  'user:read': isOwnerOrAdmin,
+  'user:update': isOwnerOrAdmin
+};
+
+// Messages for the 403 responses, so every denial reads the same way
+const DENIAL_MESSAGES = {
+  admin: 'Admin access required',
+  'review:create': 'You can only post reviews as yourself',
+  'review:update': 'You can only edit your own reviews',
+  'review:delete': 'You can only delete your own reviews',
+  'review:history': 'You can only view the history of your own reviews',
+  'favorites:read': 'You can only view your own favorites',
+  'favorites:write': 'You can only change your own favorites',
+  'list:read': 'This list is private',
+  'list:write': 'You can only change your own lists',
+  'user:read': 'You can only view your own account',
+  'user:update': 'You can only update your own account'
+};
+
+export const can = (user, action, resource) => {
+  const policy = POLICIES[action];
+  if (!policy) throw new Error(`Unknown policy action: ${action}`);
+  return policy(user, resource);
+};
+
+export const sendForbidden = (res, action) => res.status(403).json({
+  error: DENIAL_MESSAGES[action] || 'You do not have permission to do that',
+  action
+});
@@ -0,0 +1,88 @@
+import { releaseWindow } from './releaseDates.js';
+
+// Ranking helpers for the "top rated" and "trending" listings.
+
+// Weighted ("Bayesian") rating: each game's average is pulled toward a
+// prior mean by `minVotes` imaginary ratings, so a single 5-star review
+// can't outrank hundreds of 4.8s. Games with many ratings end up close
+// to their own average.
+export const weightedRating = ({ averageRating = 0, totalRatings = 0 }, { prior, minVotes }) => {
+  if (totalRatings + minVotes === 0) return 0;
+
+  const score = (totalRatings / (totalRatings + minVotes)) * averageRating +
+    (minVotes / (totalRatings + minVotes)) * prior;
+
+  return parseFloat(score.toFixed(4));
+};
+
+// Mean of every rating across the games (the default prior)
+export const meanRating = (games) => {
+  let sum = 0;
+  let count = 0;
+  games.forEach(game => {
+    sum += (game.averageRating || 0) * (game.totalRatings || 0);
+    count += game.totalRatings || 0;
+  });
+  return count > 0 ? sum / count : 0;
+};
+
+// Release windows for the top list, in days back from today
+export const RANKING_WINDOWS = {
+  month: 30,
+  quarter: 90,
+  year: 365,
+  all: null
+};
+
+// Predicate for games released inside the window, or null for "all"
+export const releaseWindowFilter = (window, now = new Date()) => {
+  const days = RANKING_WINDOWS[window];
+  if (!days) return null;
+
+  const today = now.toISOString().slice(0, 10);
+  const start = new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  // Fuzzy dates count once the last day they could fall on has passed
+  return game => {
+    const release = releaseWindow(game.releaseDate);
+    return Boolean(release) && release.end >= start && release.end <= today;
+  };
+};
+
+// Trending windows: how far back activity counts and how quickly it fades
+// (activity loses half its weight every halfLifeHours)
+export const TRENDING_WINDOWS = {
+  '24h': { hours: 24, halfLifeHours: 6 },
+  '7d': { hours: 24 * 7, halfLifeHours: 48 },
+  '30d': { hours: 24 * 30, halfLifeHours: 24 * 7 }
+};
+
+// How much each kind of activity is worth before decay
+export const ACTIVITY_WEIGHTS = {
+  review: 3,
+  rating: 2,
+  favorite: 1
+};
+
+// Sum of decayed activity weights per game.
+// `events` are { gameId, type, at } with `at` an ISO timestamp.
+// Returns Map gameId -> { score, review, rating, favorite } (event counts)
+export const trendingScores = (events, window, now = new Date()) => {
+  const { hours, halfLifeHours } = TRENDING_WINDOWS[window];
+  const scores = new Map();
+
+  events.forEach(({ gameId, type, at }) => {
+    const ageHours = (now.getTime() - new Date(at).getTime()) / (60 * 60 * 1000);
+    if (!(ageHours <= hours)) return;
+
+    const entry = scores.get(gameId) || { score: 0, review: 0, rating: 0, favorite: 0 };
+    entry.score += ACTIVITY_WEIGHTS[type] * 0.5 ** (Math.max(0, ageHours) / halfLifeHours);
+    entry[type] += 1;
+    scores.set(gameId, entry);
+  });
+
+  scores.forEach(entry => {
+    entry.score = parseFloat(entry.score.toFixed(4));
+  });
+
+  return scores;
+};
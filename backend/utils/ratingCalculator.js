@@ -1,34 +1,132 @@
-import { firestore, db } from '../config/firebase.js';
+import { firestore, db } from '../storage/index.js';
 
-// Update game's average rating
-export const updateGameRating = async (gameId) => {
+// Rating aggregates of each game, kept in their own games/{id}/ratingStats
+// node so review writes only ever transact on that (not on the whole game
+// with its cover image, and not against admin edits to other fields):
+//   ratingSum, totalRatings, averageRating and
+//   ratingHistogram { star1 ... star5 } (ratings per star value)
+// describeGame puts them on the game as top-level fields for clients.
+// Review writes adjust them incrementally in a database transaction;
+// recomputeGameRating rebuilds them from the reviews for repairs.
+// Hidden reviews and reviews without a rating don't count.
+
+const STARS = [1, 2, 3, 4, 5];
+
+// Keys are prefixed because the Realtime Database turns objects with
+// numeric keys into arrays
+const starKey = (star) => `star${star}`;
+
+const emptyHistogram = () => Object.fromEntries(STARS.map(star => [starKey(star), 0]));
+
+// The rating a review contributes to its game's aggregates, or null
+export const countedRating = (review) => (
+  review && !review.hidden && review.rating ? review.rating : null
+);
+
+const aggregateFields = (ratingSum, totalRatings, ratingHistogram) => ({
+  ratingSum,
+  totalRatings,
+  averageRating: totalRatings > 0 ? parseFloat((ratingSum / totalRatings).toFixed(1)) : 0,
+  ratingHistogram
+});
+
+export const emptyRatingStats = () => aggregateFields(0, 0, emptyHistogram());
+
+// A stored game's aggregates. Games not yet moved to ratingStats (see
+// migrateRatingStats) still carry them as top-level fields.
+export const gameRatingStats = (game) => {
+  const stats = game?.ratingStats || game || {};
+  const histogram = { ...emptyHistogram(), ...stats.ratingHistogram };
+  return aggregateFields(stats.ratingSum || 0, stats.totalRatings || 0, histogram);
+};
+
+const LEGACY_FIELDS = { ratingSum: null, totalRatings: null, averageRating: null, ratingHistogram: null };
+
+// Move one review's contribution from `from` to `to` (either may be null).
+// Games without a ratingStats node yet are rebuilt from scratch.
+export const applyRatingChange = async (gameId, from, to) => {
+  if (from === to) return null;
+
+  const { committed, snapshot } = await db.ref(`games/${gameId}/ratingStats`).transaction(stats => {
+    // Null is either a first attempt made before the server value arrived
+    // or a game without stats. Writing it back unchanged makes the former
+    // retry with real data and commits nothing for the latter.
+    if (!stats) return null;
+
+    const histogram = { ...emptyHistogram(), ...stats.ratingHistogram };
+    let sum = stats.ratingSum || 0;
+    let count = stats.totalRatings || 0;
+
+    if (from) {
+      histogram[starKey(from)] = Math.max(0, histogram[starKey(from)] - 1);
+      sum -= from;
+      count -= 1;
+    }
+    if (to) {
+      histogram[starKey(to)] += 1;
+      sum += to;
+      count += 1;
+    }
+
+    return aggregateFields(sum, Math.max(0, count), histogram);
+  });
+
+  if (!committed) return null;
+  if (!snapshot.exists()) {
+    return recomputeGameRating(gameId);
+  }
+  return snapshot.val();
+};
+
+// Rebuild a game's aggregates from its reviews. Not atomic with concurrent
+// review writes, so run it when reviews are quiet (or run it again).
+// Returns the new aggregates, or null if the game doesn't exist.
+export const recomputeGameRating = async (gameId) => {
   try {
+    const gameSnapshot = await db.ref(`games/${gameId}/title`).once('value');
+    if (!gameSnapshot.exists()) return null;
+
     const reviewsSnapshot = await firestore.collection('reviews')
       .where('gameId', '==', gameId)
       .where('rating', '!=', null)
       .get();
-    
+
     let totalRating = 0;
     let count = 0;
-    
+    const histogram = emptyHistogram();
+
     reviewsSnapshot.forEach(doc => {
-      const review = doc.data();
-      if (review.rating) {
-        totalRating += review.rating;
+      const rating = countedRating(doc.data());
+      if (rating) {
+        totalRating += rating;
         count++;
+        histogram[starKey(rating)] += 1;
       }
     });
-    
-    const averageRating = count > 0 ? parseFloat((totalRating / count).toFixed(1)) : 0;
-    
-    await db.ref(`games/${gameId}`).update({
-      averageRating,
-      totalRatings: count
-    });
-    
-    return { averageRating, totalRatings: count };
+
+    // Clears the top-level fields of games from before ratingStats
+    const fields = aggregateFields(totalRating, count, histogram);
+    await db.ref(`games/${gameId}`).update({ ...LEGACY_FIELDS, ratingStats: fields });
+
+    return fields;
   } catch (error) {
-    console.error('Update game rating error:', error);
+    console.error('Recompute game rating error:', error);
     throw error;
   }
-};
\ No newline at end of file
+};
+
+// Give every game from before ratingStats its node, rebuilt from the
+// reviews. Run once on startup (utils/startupMigrations.js).
+export const migrateRatingStats = async () => {
+  const snapshot = await db.ref('games').once('value');
+
+  let migrated = 0;
+  for (const [gameId, game] of Object.entries(snapshot.val() || {})) {
+    if (game.ratingStats) continue;
+
+    await recomputeGameRating(gameId);
+    migrated += 1;
+  }
+
+  return { migrated };
+};
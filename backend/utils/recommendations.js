@@ -0,0 +1,147 @@
+// Game recommendations for one user.
+// Two signals are combined for every candidate game:
+//   content  - shared franchise, genres and platforms with games the user likes
+//   community - other users who like the same games also like this one
+//              (item-to-item cosine over favorites and 4-5 star ratings)
+// Each recommendation names the liked game that contributed most to it.
+// Games must be described (utils/taxonomy.js) so genres/platforms are ids.
+
+// A rating counts as "liking" a game from this many stars
+export const LIKE_THRESHOLD = 4;
+
+const CONTENT_WEIGHT = 1;
+const COMMUNITY_WEIGHT = 2;
+
+// How strongly each kind of like counts as a seed
+const seedWeight = ({ favorite, rating }) => Math.max(
+  favorite ? 1 : 0,
+  rating >= 5 ? 1 : rating >= LIKE_THRESHOLD ? 0.75 : 0
+);
+
+const jaccard = (a = [], b = []) => {
+  if (a.length === 0 || b.length === 0) return 0;
+  const setB = new Set(b);
+  const shared = a.filter(value => setB.has(value)).length;
+  return shared / (a.length + b.length - shared);
+};
+
+const normalizeFranchise = (game) => String(game.franchise || '').trim().toLowerCase();
+
+// Content similarity between two games with the dominant reason
+const contentSimilarity = (seed, candidate) => {
+  const parts = {
+    franchise: normalizeFranchise(seed) && normalizeFranchise(seed) === normalizeFranchise(candidate) ? 2 : 0,
+    genre: jaccard(seed.genres, candidate.genres),
+    platform: 0.5 * jaccard(seed.platforms, candidate.platforms)
+  };
+  const [reason, top] = Object.entries(parts).sort((a, b) => b[1] - a[1])[0];
+
+  return {
+    score: parts.franchise + parts.genre + parts.platform,
+    reason: top > 0 ? reason : null
+  };
+};
+
+// likes: [{ userId, gameId, favorite, rating }] for every user.
+// Returns Map userId -> Map gameId -> weight
+const groupLikes = (likes) => {
+  const byUser = new Map();
+  likes.forEach(like => {
+    const weight = seedWeight(like);
+    if (weight === 0) return;
+    if (!byUser.has(like.userId)) byUser.set(like.userId, new Map());
+    const games = byUser.get(like.userId);
+    games.set(like.gameId, Math.max(games.get(like.gameId) || 0, weight));
+  });
+  return byUser;
+};
+
+const describeReason = (seed, reason, candidate, taxonomy) => {
+  if (reason === 'franchise') return `Also in the ${candidate.franchise} series`;
+  if (reason === 'community') return `Players who liked ${seed.title} also liked this`;
+
+  const kind = reason === 'genre' ? 'genres' : 'platforms';
+  const shared = (candidate[kind] || []).filter(id => (seed[kind] || []).includes(id));
+  const names = shared.map(id => taxonomy[kind][id]?.name || id).join(', ');
+  return reason === 'genre' ? `Shares ${names} with ${seed.title}` : `Also on ${names}`;
+};
+
+// Build the ranked recommendations.
+// `engaged` lists every game the user has favorited or reviewed (excluded).
+// Returns [{ game, score, because: { gameId, title, reason } }]
+export const recommendGames = ({ userId, games, likes, engaged, taxonomy }) => {
+  const gamesById = new Map(games.map(game => [game.id, game]));
+  const likesByUser = groupLikes(likes);
+  const seeds = [...(likesByUser.get(userId) || new Map())]
+    .filter(([gameId]) => gamesById.has(gameId));
+
+  if (seeds.length === 0) return [];
+
+  // How many users like each game, for cosine normalization
+  const popularity = new Map();
+  likesByUser.forEach(liked => {
+    liked.forEach((weight, gameId) => {
+      popularity.set(gameId, (popularity.get(gameId) || 0) + 1);
+    });
+  });
+
+  // Co-likes: seed -> candidate -> number of other users liking both
+  const coLikes = new Map(seeds.map(([gameId]) => [gameId, new Map()]));
+  likesByUser.forEach((liked, otherUserId) => {
+    if (otherUserId === userId) return;
+    seeds.forEach(([seedId]) => {
+      if (!liked.has(seedId)) return;
+      liked.forEach((weight, gameId) => {
+        if (gameId === seedId) return;
+        const counts = coLikes.get(seedId);
+        counts.set(gameId, (counts.get(gameId) || 0) + 1);
+      });
+    });
+  });
+
+  const excluded = new Set(engaged);
+  const results = [];
+
+  games.forEach(candidate => {
+    if (excluded.has(candidate.id)) return;
+
+    let score = 0;
+    let best = null;
+
+    seeds.forEach(([seedId, weight]) => {
+      const seed = gamesById.get(seedId);
+      const content = contentSimilarity(seed, candidate);
+      const together = coLikes.get(seedId).get(candidate.id) || 0;
+      const community = together > 0
+        ? together / Math.sqrt(popularity.get(seedId) * popularity.get(candidate.id))
+        : 0;
+
+      const contentPart = weight * CONTENT_WEIGHT * content.score;
+      const communityPart = weight * COMMUNITY_WEIGHT * community;
+      score += contentPart + communityPart;
+
+      const contribution = contentPart + communityPart;
+      if (contribution > 0 && (!best || contribution > best.contribution)) {
+        best = {
+          contribution,
+          seed,
+          reason: communityPart >= contentPart ? 'community' : content.reason
+        };
+      }
+    });
+
+    if (!best) return;
+
+    results.push({
+      game: candidate,
+      score: parseFloat(score.toFixed(4)),
+      because: {
+        gameId: best.seed.id,
+        title: best.seed.title,
+        reason: describeReason(best.seed, best.reason, candidate, taxonomy)
+      }
+    });
+  });
+
+  return results;
+};
@@ -0,0 +1,219 @@
+// Release dates at different precisions.
+// A game's releaseDate is stored in one canonical form per precision:
+//   day      2027-05-14
+//   month    2027-05
+//   quarter  2027-Q3
+//   season   2027-spring | 2027-summer | 2027-fall | 2027-winter
+//   year     2027
+//   tba      TBA
+// and releaseDatePrecision names which one it is. Every precision except
+// TBA covers a window of days { start, end }; sorting and range filters
+// work on that window instead of comparing the raw strings.
+
+export const RELEASE_PRECISIONS = ['day', 'month', 'quarter', 'season', 'year', 'tba'];
+
+// Seasons by their first and last month. Winter runs from December into
+// the next year's February.
+const SEASONS = {
+  spring: [3, 5],
+  summer: [6, 8],
+  fall: [9, 11],
+  winter: [12, 14]
+};
+
+const SEASON_ALIASES = { autumn: 'fall' };
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// Last day of a month, where month 13/14 roll over into the next year
+const monthEnd = (year, month) => {
+  const date = new Date(Date.UTC(year, month, 0));
+  return date.toISOString().slice(0, 10);
+};
+
+const monthStart = (year, month) => `${year}-${pad(month)}-01`;
+
+const isValidDay = (value) => {
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+// Accept the canonical forms plus a few natural spellings
+// ("Q3 2027", "Spring 2027", "autumn 2027", "tba")
+const normalizeInput = (text) => {
+  if (/^tba$/i.test(text)) return 'TBA';
+
+  const quarter = text.match(/^(\d{4})[-\s]?q([1-4])$/i) || text.match(/^q([1-4])[-\s]?(\d{4})$/i);
+  if (quarter) {
+    const [year, number] = /^\d{4}$/.test(quarter[1]) ? [quarter[1], quarter[2]] : [quarter[2], quarter[1]];
+    return `${year}-Q${number}`;
+  }
+
+  const season = text.match(/^(\d{4})[-\s](\w+)$/) || text.match(/^(\w+)\s+(\d{4})$/);
+  if (season) {
+    const [year, name] = /^\d{4}$/.test(season[1]) ? [season[1], season[2]] : [season[2], season[1]];
+    const key = name.toLowerCase();
+    const canonical = SEASON_ALIASES[key] || key;
+    if (SEASONS[canonical]) return `${year}-${canonical}`;
+  }
+
+  return text;
+};
+
+// Parse a release date in any supported form.
+// Returns { value, precision } with the canonical value, or { error }.
+export const parseReleaseDate = (input) => {
+  if (typeof input !== 'string') return { error: 'must be a string' };
+  const value = normalizeInput(input.trim());
+
+  if (value === 'TBA') return { value, precision: 'tba' };
+  if (/^\d{4}$/.test(value)) return { value, precision: 'year' };
+  if (/^\d{4}-Q[1-4]$/.test(value)) return { value, precision: 'quarter' };
+  if (/^\d{4}-(spring|summer|fall|winter)$/.test(value)) return { value, precision: 'season' };
+
+  const month = value.match(/^\d{4}-(\d{2})$/);
+  if (month) {
+    return Number(month[1]) >= 1 && Number(month[1]) <= 12
+      ? { value, precision: 'month' }
+      : { error: 'has an invalid month' };
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value) && isValidDay(value)) {
+    return { value, precision: 'day' };
+  }
+
+  return { error: 'must be a date (YYYY-MM-DD), YYYY-MM, YYYY-Q1..Q4, YYYY-spring/summer/fall/winter, YYYY or TBA' };
+};
+
+// { start, end } days covered by a release date, or null for TBA (and for
+// values that don't parse)
+export const releaseWindow = (releaseDate) => {
+  const { value, precision, error } = parseReleaseDate(releaseDate || '');
+  if (error || precision === 'tba') return null;
+
+  const year = Number(value.slice(0, 4));
+
+  switch (precision) {
+    case 'day':
+      return { start: value, end: value };
+    case 'month': {
+      const month = Number(value.slice(5, 7));
+      return { start: monthStart(year, month), end: monthEnd(year, month) };
+    }
+    case 'quarter': {
+      const first = (Number(value.slice(6)) - 1) * 3 + 1;
+      return { start: monthStart(year, first), end: monthEnd(year, first + 2) };
+    }
+    case 'season': {
+      const [first, last] = SEASONS[value.slice(5)];
+      return { start: monthStart(year, first), end: monthEnd(year, last) };
+    }
+    default:
+      return { start: `${year}-01-01`, end: `${year}-12-31` };
+  }
+};
+
+export const precisionOf = (game) => (
+  game.releaseDatePrecision || parseReleaseDate(game.releaseDate || '').precision || null
+);
+
+// Sort key: by the last day a game could come out, exact dates before
+// vaguer ones ending on the same day. TBA has no key and sorts last.
+export const releaseSortKey = (game) => {
+  const window = releaseWindow(game.releaseDate);
+  if (!window) return null;
+  return `${window.end}~${RELEASE_PRECISIONS.indexOf(precisionOf(game))}`;
+};
+
+// Whether a release date window overlaps [startDate, endDate]
+export const releaseOverlaps = (releaseDate, startDate, endDate) => {
+  const window = releaseWindow(releaseDate);
+  return Boolean(window) && window.start <= endDate && window.end >= startDate;
+};
+
+// A move is a delay when the new date can only be later than the old one
+// (pushing a dated game back to TBA counts too)
+export const isLaterRelease = (from, to) => {
+  const before = releaseWindow(from);
+  if (!before) return false;
+  const after = releaseWindow(to);
+  return !after || after.start > before.end;
+};
+
+// Reduce an exact day to a coarser precision (for forms that pick a day
+// and a precision). Returns the canonical value or null if not possible.
+const coarsen = (day, precision) => {
+  const year = Number(day.slice(0, 4));
+  const month = Number(day.slice(5, 7));
+
+  switch (precision) {
+    case 'day':
+      return day;
+    case 'month':
+      return day.slice(0, 7);
+    case 'quarter':
+      return `${year}-Q${Math.ceil(month / 3)}`;
+    case 'season': {
+      if (month <= 2) return `${year - 1}-winter`;
+      const season = Object.keys(SEASONS).find(name => month >= SEASONS[name][0] && month <= SEASONS[name][1]);
+      return `${year}-${season}`;
+    }
+    case 'year':
+      return String(year);
+    case 'tba':
+      return 'TBA';
+    default:
+      return null;
+  }
+};
+
+// Work out releaseDate/releaseDatePrecision from a validated payload.
+// `releaseDatePrecision` on its own re-states the current date at that
+// precision; with an exact day it coarsens it. Returns { values } with the
+// fields to store (empty when neither was sent), or { errors }.
+export const resolveReleaseFields = ({ releaseDate, releaseDatePrecision }, current = {}) => {
+  if (releaseDate === undefined && releaseDatePrecision === undefined) return { values: {} };
+
+  const parsed = parseReleaseDate(releaseDate ?? current.releaseDate ?? '');
+  if (parsed.error) return { errors: { releaseDate: parsed.error } };
+
+  if (!releaseDatePrecision || releaseDatePrecision === parsed.precision) {
+    return { values: { releaseDate: parsed.value, releaseDatePrecision: parsed.precision } };
+  }
+
+  const value = releaseDatePrecision === 'tba' || parsed.precision === 'day'
+    ? coarsen(parsed.value, releaseDatePrecision)
+    : null;
+  if (!value) {
+    return {
+      errors: { releaseDatePrecision: `doesn't match releaseDate (${parsed.value} is ${parsed.precision} precision)` }
+    };
+  }
+
+  return { values: { releaseDate: value, releaseDatePrecision } };
+};
+
+// Human readable form, e.g. for notification messages
+export const describeReleaseDate = (releaseDate) => {
+  const { value, precision, error } = parseReleaseDate(releaseDate || '');
+  if (error) return releaseDate || 'unknown';
+
+  const year = value.slice(0, 4);
+  switch (precision) {
+    case 'day':
+      return value;
+    case 'month':
+      return `${MONTH_NAMES[Number(value.slice(5, 7)) - 1]} ${year}`;
+    case 'quarter':
+      return `${value.slice(5)} ${year}`;
+    case 'season':
+      return `${value.charAt(5).toUpperCase()}${value.slice(6)} ${year}`;
+    case 'year':
+      return year;
+    default:
+      return 'TBA';
+  }
+};
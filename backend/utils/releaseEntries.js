@@ -0,0 +1,129 @@
+import { resolveTermIds } from './taxonomy.js';
+import { parseReleaseDate, releaseOverlaps, releaseSortKey } from './releaseDates.js';
+
+// Per-platform and per-region release dates.
+// A game's releaseDate is its headline date. When launches differ by
+// platform or region the game also lists them:
+//   releases: [{ platform, region, date, precision, edition }]
+// platform is one of the game's own platform ids, region one of REGIONS
+// ('ww' for a worldwide launch), date any release date form (see
+// utils/releaseDates.js) and edition an optional label ("Deluxe",
+// "Physical"). Entries are stored earliest first.
+
+export const REGIONS = {
+  ww: 'Worldwide',
+  na: 'North America',
+  eu: 'Europe',
+  jp: 'Japan',
+  asia: 'Asia',
+  oce: 'Oceania'
+};
+
+export const REGION_CODES = Object.keys(REGIONS);
+
+export const WORLDWIDE = 'ww';
+
+// Region codes are accepted in any case ("NA", "na") and stored lower-case
+export const normalizeRegion = (region) => (typeof region === 'string' ? region.trim().toLowerCase() : region);
+
+export const MAX_RELEASE_ENTRIES = 50;
+
+const entrySortKey = (entry) => releaseSortKey({ releaseDate: entry.date, releaseDatePrecision: entry.precision });
+
+// Earliest first, TBA last
+const compareEntries = (a, b) => {
+  const keyA = entrySortKey(a);
+  const keyB = entrySortKey(b);
+  if (keyA === keyB) return 0;
+  if (keyA === null) return 1;
+  if (keyB === null) return -1;
+  return keyA.localeCompare(keyB);
+};
+
+// Resolve validated entries (see gameSchema.js) against the taxonomy.
+// Every entry's platform must be one of `platformIds`, the platforms the
+// game will have once saved. Returns { values } with the releases field
+// to store (empty when none were sent), or { errors }.
+export const resolveReleaseEntries = (releases, platformIds, taxonomy) => {
+  if (releases === undefined) return { values: {} };
+
+  const resolved = [];
+  const seen = new Set();
+
+  for (const [index, entry] of releases.entries()) {
+    const item = `item ${index + 1}`;
+    const { ids } = resolveTermIds(taxonomy.platforms, [entry.platform]);
+
+    if (ids.length === 0) {
+      return { errors: { releases: `${item}: unknown platform: ${entry.platform}` } };
+    }
+    if (!platformIds.includes(ids[0])) {
+      return { errors: { releases: `${item}: ${entry.platform} is not one of the game's platforms` } };
+    }
+
+    const key = `${ids[0]}|${entry.region}|${(entry.edition || '').toLowerCase()}`;
+    if (seen.has(key)) {
+      return { errors: { releases: `${item}: duplicates an earlier platform, region and edition` } };
+    }
+    seen.add(key);
+
+    resolved.push({
+      platform: ids[0],
+      region: entry.region,
+      date: entry.date,
+      precision: parseReleaseDate(entry.date).precision,
+      edition: entry.edition || ''
+    });
+  }
+
+  return { values: { releases: resolved.sort(compareEntries) } };
+};
+
+const entryKey = (entry) => `${entry.platform}|${entry.region}|${entry.date}|${entry.edition || ''}`;
+
+// Whether two stored entry lists describe the same launches
+export const sameReleaseEntries = (a, b) => (
+  (a || []).map(entryKey).sort().join('\n') === (b || []).map(entryKey).sort().join('\n')
+);
+
+// A game's entries as seen from one region: for each platform and edition
+// the region's own entry wins over the worldwide one, and other regions'
+// entries are left out. Without a region every entry is returned.
+// `platformIds` optionally narrows to some platforms.
+export const releaseEntriesFor = (game, { region = null, platformIds = null } = {}) => {
+  const entries = (Array.isArray(game.releases) ? game.releases : [])
+    .filter(entry => !platformIds || platformIds.includes(entry.platform));
+  if (!region) return entries;
+
+  const regional = new Set(entries
+    .filter(entry => entry.region === region)
+    .map(entry => `${entry.platform}|${entry.edition || ''}`));
+
+  return entries.filter(entry => (
+    entry.region === region ||
+    (entry.region === WORLDWIDE && !regional.has(`${entry.platform}|${entry.edition || ''}`))
+  ));
+};
+
+// Whether a game comes out within [startDate, endDate] as seen from a
+// region: by its entries when it has any that apply, else by its headline
+// releaseDate
+export const releasesWithin = (game, startDate, endDate, options = {}) => {
+  const entries = releaseEntriesFor(game, options);
+  return entries.length > 0
+    ? entries.some(entry => releaseOverlaps(entry.date, startDate, endDate))
+    : releaseOverlaps(game.releaseDate, startDate, endDate);
+};
+
+// Entries to list with a game in filter results, with display names.
+// With a date range only the entries inside it are given.
+export const describeReleaseEntries = (game, taxonomy, { startDate, endDate, ...options } = {}) => (
+  releaseEntriesFor(game, options)
+    .filter(entry => !startDate || !endDate || releaseOverlaps(entry.date, startDate, endDate))
+    .map(entry => ({
+      ...entry,
+      edition: entry.edition || '',
+      platformName: taxonomy.platforms[entry.platform]?.name || entry.platform,
+      regionName: REGIONS[entry.region] || entry.region
+    }))
+);
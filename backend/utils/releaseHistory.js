@@ -0,0 +1,100 @@
+import { db } from '../storage/index.js';
+import { isLaterRelease, parseReleaseDate } from './releaseDates.js';
+
+// Release date history.
+// Every change to a game's releaseDate is kept as
+// releaseDateChanges/{changeId} = { gameId, from, to, note, changedBy, changedAt }
+// and the game itself carries a summary for listings and filters:
+//   originalReleaseDate - the first date the game was announced with
+//   delayCount          - how many changes pushed the date later (see
+//                         isLaterRelease for fuzzy dates)
+//   lastDelayedAt       - when the latest delay was recorded
+
+export const MAX_NOTE_LENGTH = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isExactDay = (value) => parseReleaseDate(value || '').precision === 'day';
+
+// Summary fields for a new game
+export const initialReleaseFields = (releaseDate) => ({
+  originalReleaseDate: releaseDate,
+  delayCount: 0
+});
+
+// Game fields to write along with a release date change.
+// Games created before the history existed start from their current date.
+export const releaseChangeFields = (currentGame, newDate, changedAt) => {
+  const fields = {
+    originalReleaseDate: currentGame.originalReleaseDate || currentGame.releaseDate || newDate,
+    delayCount: currentGame.delayCount || 0
+  };
+
+  if (isLaterRelease(currentGame.releaseDate, newDate)) {
+    fields.delayCount += 1;
+    fields.lastDelayedAt = changedAt;
+  }
+
+  return fields;
+};
+
+// Calendar feeds (controllers/calendarController.js) give a game's events
+// SEQUENCE = releaseSequence, so subscribed calendars replace them in place
+// when the dates or title change
+export const releaseSequenceFields = (currentGame, changedAt) => ({
+  releaseSequence: (currentGame.releaseSequence || 0) + 1,
+  releaseUpdatedAt: changedAt
+});
+
+export const recordReleaseDateChange = ({ gameId, from, to, note, changedBy, changedAt }) => (
+  db.ref('releaseDateChanges').push({
+    gameId,
+    from: from || null,
+    to,
+    note: note || null,
+    changedBy,
+    changedAt
+  })
+);
+
+// A game's changes, oldest first, with how far each one moved the date
+// (shiftDays is only given between two exact days)
+export const loadReleaseHistory = async (gameId) => {
+  const snapshot = await db.ref('releaseDateChanges')
+    .orderByChild('gameId')
+    .equalTo(gameId)
+    .once('value');
+
+  return Object.entries(snapshot.val() || {})
+    .map(([changeId, change]) => ({
+      changeId,
+      from: change.from,
+      to: change.to,
+      note: change.note || null,
+      changedAt: change.changedAt,
+      delayed: isLaterRelease(change.from, change.to),
+      shiftDays: isExactDay(change.from) && isExactDay(change.to)
+        ? Math.round((Date.parse(change.to) - Date.parse(change.from)) / DAY_MS)
+        : null
+    }))
+    .sort((a, b) => a.changedAt.localeCompare(b.changedAt));
+};
+
+// Remove a deleted game's history. Returns how many changes were removed.
+export const deleteReleaseHistory = async (gameId) => {
+  const snapshot = await db.ref('releaseDateChanges')
+    .orderByChild('gameId')
+    .equalTo(gameId)
+    .once('value');
+
+  const updates = {};
+  snapshot.forEach(child => {
+    updates[child.key] = null;
+  });
+
+  if (Object.keys(updates).length > 0) {
+    await db.ref('releaseDateChanges').update(updates);
+  }
+
+  return Object.keys(updates).length;
+};
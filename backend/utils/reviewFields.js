@@ -0,0 +1,41 @@
+import { firestore } from '../storage/index.js';
+import { commitInBatches } from './reviewRecords.js';
+
+// Backfill of review fields added after launch.
+// Public review queries filter on hidden == false, the "helpful" sort
+// orders by helpfulScore and edited reviews are marked by revisionCount;
+// Firestore leaves out documents that don't have the field at all, so
+// older reviews need explicit defaults. New reviews are written with them
+// (see addReview).
+
+// Field -> [check that the stored value is valid, default]
+const DEFAULTS = {
+  hidden: [value => typeof value === 'boolean', false],
+  helpfulCount: [value => typeof value === 'number', 0],
+  unhelpfulCount: [value => typeof value === 'number', 0],
+  helpfulScore: [value => typeof value === 'number', 0],
+  revisionCount: [value => typeof value === 'number', 0]
+};
+
+const missingFields = (review) => {
+  const fields = {};
+  Object.entries(DEFAULTS).forEach(([field, [isValid, fallback]]) => {
+    if (!isValid(review[field])) fields[field] = fallback;
+  });
+  return fields;
+};
+
+// Write the defaults into every review missing a field. Returns
+// { checked, updated } counts; a dry run only counts.
+export const backfillReviewFields = async ({ dryRun = false } = {}) => {
+  const snapshot = await firestore.collection('reviews').get();
+  const missing = snapshot.docs
+    .map(doc => ({ doc, fields: missingFields(doc.data()) }))
+    .filter(({ fields }) => Object.keys(fields).length > 0);
+
+  if (!dryRun) {
+    await commitInBatches(missing.map(({ doc, fields }) => batch => batch.update(doc.ref, fields)));
+  }
+
+  return { checked: snapshot.size, updated: missing.length };
+};
@@ -0,0 +1,56 @@
+import { firestore } from '../storage/index.js';
+
+// Documents kept per review, each carrying the reviewId it belongs to:
+// helpful votes (reviewVotes), edit history (reviewRevisions) and reports
+// (reviewReports). Review ids are reused when a user reviews the same game
+// again, so these have to go with their review or the new one would
+// inherit them. Moderation cases stay behind as the record of what was
+// decided; see reportReview for how a reused id starts a new one.
+const REVIEW_RECORDS = ['reviewVotes', 'reviewRevisions', 'reviewReports'];
+
+// Firestore batches are capped at 500 writes
+const BATCH_SIZE = 400;
+
+// Apply writes (functions that add one write to a batch) in as many
+// batches as needed
+export const commitInBatches = async (writes) => {
+  for (let start = 0; start < writes.length; start += BATCH_SIZE) {
+    const batch = firestore.batch();
+    writes.slice(start, start + BATCH_SIZE).forEach(write => write(batch));
+    await batch.commit();
+  }
+};
+
+const deleteInBatches = (refs) => commitInBatches(refs.map(ref => batch => batch.delete(ref)));
+
+// Delete every record kept for the given reviews. Returns how many
+// documents were removed.
+export const deleteReviewRecords = async (reviewIds) => {
+  const refs = [];
+
+  for (const reviewId of reviewIds) {
+    for (const collection of REVIEW_RECORDS) {
+      const snapshot = await firestore.collection(collection)
+        .where('reviewId', '==', reviewId)
+        .get();
+      snapshot.forEach(doc => refs.push(doc.ref));
+    }
+  }
+
+  await deleteInBatches(refs);
+  return refs.length;
+};
+
+// Delete the moderation cases on a game's reviews, including those of
+// reviews deleted earlier. Returns the ids of the reviews they were on.
+export const deleteGameModerationCases = async (gameId) => {
+  const snapshot = await firestore.collection('moderationCases')
+    .where('gameId', '==', gameId)
+    .get();
+
+  const refs = [];
+  snapshot.forEach(doc => refs.push(doc.ref));
+  await deleteInBatches(refs);
+
+  return refs.map(ref => ref.id);
+};
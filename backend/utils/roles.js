@@ -0,0 +1,45 @@
+import { db } from '../storage/index.js';
+
+// Role storage. roles/{uid} = { admin: true, grantedBy, grantedAt } is the
+// only source verifyToken trusts; users/{uid}/administrator is kept in sync
+// as a display flag for clients. Every grant and revoke is appended to
+// roleChanges/{pushId}.
+
+export const ROLE_ADMIN = 'admin';
+
+export const isAdmin = async (uid) => {
+  const snapshot = await db.ref(`roles/${uid}/${ROLE_ADMIN}`).once('value');
+  return snapshot.val() === true;
+};
+
+export const countAdmins = async () => {
+  const snapshot = await db.ref('roles')
+    .orderByChild(ROLE_ADMIN)
+    .equalTo(true)
+    .once('value');
+  return snapshot.numChildren();
+};
+
+// Grant or revoke admin in one multi-path write together with its record.
+// changedBy is the acting admin's uid (or "bootstrap" from the CLI script).
+export const setAdminRole = async (uid, granted, { changedBy, reason = null }) => {
+  const changedAt = new Date().toISOString();
+  const changeId = db.ref('roleChanges').push().key;
+
+  await db.ref().update({
+    [`roles/${uid}`]: granted
+      ? { [ROLE_ADMIN]: true, grantedBy: changedBy, grantedAt: changedAt }
+      : null,
+    [`users/${uid}/administrator`]: granted,
+    [`roleChanges/${changeId}`]: {
+      userId: uid,
+      role: ROLE_ADMIN,
+      action: granted ? 'grant' : 'revoke',
+      changedBy,
+      changedAt,
+      reason
+    }
+  });
+
+  return changeId;
+};
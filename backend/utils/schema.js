@@ -0,0 +1,150 @@
+import { parseReleaseDate } from './releaseDates.js';
+
+// Minimal declarative payload validation.
+// A schema is { fields, checks }: `fields` maps each accepted body key to a
+// field type built with the helpers below, `checks` are cross-field rules
+// run against the full record once every field parses.
+
+// Each type returns { required, alias, default, parse } where parse gives
+// back { value } or { error }
+const fieldType = (parse) => (options = {}) => ({
+  required: false,
+  ...options,
+  parse: (value) => parse(value, options)
+});
+
+export const string = fieldType((value, { min = 0, max = Infinity, maxMessage, pattern, patternMessage }) => {
+  if (typeof value !== 'string') return { error: 'must be a string' };
+
+  const trimmed = value.trim();
+  if (trimmed.length < min) {
+    return { error: min === 1 ? 'cannot be empty' : `must be at least ${min} characters` };
+  }
+  if (trimmed.length > max) return { error: maxMessage || `must be at most ${max} characters` };
+  if (pattern && !pattern.test(trimmed)) return { error: patternMessage || 'has an invalid format' };
+
+  return { value: trimmed };
+});
+
+// Accepts real booleans and the "true"/"false" strings form posts send
+export const boolean = fieldType((value) => {
+  if (value === true || value === 'true') return { value: true };
+  if (value === false || value === 'false') return { value: false };
+  return { error: 'must be true or false' };
+});
+
+// A release date at any precision, normalized to its canonical form
+// (see utils/releaseDates.js)
+export const releaseDate = fieldType((value) => {
+  const { value: parsed, error } = parseReleaseDate(value);
+  return error ? { error } : { value: parsed };
+});
+
+// Whole numbers, also accepted as numeric strings from form posts
+export const integer = fieldType((value, { min = -Infinity, max = Infinity }) => {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (!Number.isInteger(number)) return { error: 'must be a whole number' };
+  if (number < min || number > max) return { error: `must be between ${min} and ${max}` };
+  return { value: number };
+});
+
+// One of a fixed set of strings. `normalize` maps the value first (e.g. to
+// lower case) and its result is what gets stored.
+export const oneOf = fieldType((value, { values = [], normalize = (raw) => raw }) => {
+  const normalized = normalize(value);
+  if (!values.includes(normalized)) return { error: `must be one of: ${values.join(', ')}` };
+  return { value: normalized };
+});
+
+// A list of strings, sent as an array or a comma-separated string
+export const list = fieldType((value, { min = 0, maxItems = Infinity }) => {
+  let items;
+  if (Array.isArray(value)) {
+    if (!value.every(item => typeof item === 'string')) return { error: 'must only contain strings' };
+    items = value;
+  } else if (typeof value === 'string') {
+    items = value.split(',');
+  } else {
+    return { error: 'must be a list or a comma-separated string' };
+  }
+
+  items = [...new Set(items.map(item => item.trim()).filter(Boolean))];
+  if (items.length < min) return { error: `must contain at least ${min} value(s)` };
+  if (items.length > maxItems) return { error: `must contain at most ${maxItems} values` };
+
+  return { value: items };
+});
+
+// A list of objects, each validated against its own schema. The first
+// problem is reported with its position, e.g. "item 2: date is required"
+export const objectList = fieldType((value, { schema, maxItems = Infinity }) => {
+  if (!Array.isArray(value)) return { error: 'must be a list' };
+  if (value.length > maxItems) return { error: `must contain at most ${maxItems} items` };
+
+  const items = [];
+  for (const [index, item] of value.entries()) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      return { error: `item ${index + 1} must be an object` };
+    }
+    const { value: parsed, errors } = validate(schema, item);
+    if (errors) {
+      const [field, message] = Object.entries(errors)[0];
+      return { error: `item ${index + 1}: ${field} ${message}` };
+    }
+    items.push(parsed);
+  }
+
+  return { value: items };
+});
+
+// Validate a request body against a schema.
+// With `partial` (PATCH semantics) missing fields are left out instead of
+// being required or defaulted, and checks run against `current` merged
+// with the changes.
+// Returns { value, errors } where errors is { field: message } or null.
+export const validate = (schema, input, { partial = false, current = {} } = {}) => {
+  const body = input && typeof input === 'object' ? input : {};
+  const value = {};
+  const errors = {};
+
+  const knownKeys = new Set();
+  Object.entries(schema.fields).forEach(([name, field]) => {
+    knownKeys.add(name);
+    if (field.alias) knownKeys.add(field.alias);
+  });
+
+  Object.keys(body).forEach(key => {
+    if (!knownKeys.has(key)) errors[key] = 'is not an accepted field';
+  });
+
+  Object.entries(schema.fields).forEach(([name, field]) => {
+    const raw = body[name] !== undefined ? body[name] : (field.alias ? body[field.alias] : undefined);
+
+    if (raw === undefined || raw === null) {
+      if (partial) return;
+      if (field.required) {
+        errors[name] = 'is required';
+      } else if (field.default !== undefined) {
+        value[name] = typeof field.default === 'function' ? field.default() : field.default;
+      }
+      return;
+    }
+
+    const result = field.parse(raw);
+    if (result.error) {
+      errors[field.alias && body[name] === undefined ? field.alias : name] = result.error;
+    } else {
+      value[name] = result.value;
+    }
+  });
+
+  if (Object.keys(errors).length === 0) {
+    const record = { ...current, ...value };
+    (schema.checks || []).forEach(check => {
+      const failure = check(record);
+      if (failure && !errors[failure.field]) errors[failure.field] = failure.message;
+    });
+  }
+
+  return { value, errors: Object.keys(errors).length > 0 ? errors : null };
+};
@@ -0,0 +1,311 @@
+import { db } from '../storage/index.js';
+import { loadTaxonomy, describeGame } from './taxonomy.js';
+
+// In-process full-text index over the game catalog.
+// Indexes title, alternate titles, genre, platform and description, and
+// supports prefix matching, typo tolerance, title acronyms ("totk", "ff7")
+// and roman/arabic numeral variants. Kept in sync by gameController on
+// add/update/delete and rebuilt from the database when it goes stale.
+// Games are indexed in their described form (see utils/taxonomy.js) so
+// platform and genre names are searchable.
+
+// Field weights used when ranking
+const FIELD_WEIGHTS = {
+  title: 10,
+  alternateTitles: 8,
+  genre: 4,
+  platform: 3,
+  description: 1
+};
+
+// Match quality multipliers
+const EXACT_MATCH = 1;
+const PREFIX_MATCH = 0.75;
+const FUZZY_MATCH = 0.5;
+
+// Rebuild from the database at most this often, to pick up writes made
+// outside this process (e.g. the Firebase console)
+const MAX_INDEX_AGE_MS = 10 * 60 * 1000;
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'of', 'in', 'on', 'to', 'for', 'at', 'or']);
+
+// Drop stop words, unless that would leave nothing
+const withoutStopWords = (tokens) => {
+  const meaningful = tokens.filter(token => !STOP_WORDS.has(token));
+  return meaningful.length > 0 ? meaningful : tokens;
+};
+
+const ROMAN_NUMERALS = ['i', 'ii', 'iii', 'iv', 'v', 'vi', 'vii', 'viii', 'ix', 'x',
+  'xi', 'xii', 'xiii', 'xiv', 'xv', 'xvi', 'xvii', 'xviii', 'xix', 'xx'];
+
+const documents = new Map(); // gameId -> { title, terms: Map<term, { field, words }> }
+const postings = new Map(); // term -> Set<gameId>
+let builtAt = 0;
+let buildPromise = null;
+
+// Lowercase, strip accents and split on anything that isn't a letter or digit
+export const tokenize = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+// "vii" <-> "7"
+const numeralVariant = (token) => {
+  const romanIndex = ROMAN_NUMERALS.indexOf(token);
+  if (romanIndex >= 1) return String(romanIndex + 1);
+
+  const number = Number(token);
+  if (/^\d+$/.test(token) && number >= 2 && number <= ROMAN_NUMERALS.length) {
+    return ROMAN_NUMERALS[number - 1];
+  }
+  return null;
+};
+
+const isNumeral = (token) => /^\d+$/.test(token) || numeralVariant(token) !== null;
+
+// Acronyms for a title and for each of its ":"/"-" separated parts, so
+// "The Legend of Zelda: Tears of the Kingdom" yields "totk" and
+// "Final Fantasy VII Remake" yields "ffviir" and "ff7r"
+const titleAcronyms = (title) => {
+  const parts = [title, ...String(title || '').split(/\s*[:\-–—]\s*/)];
+  const acronyms = new Map();
+
+  parts.forEach(part => {
+    const tokens = tokenize(part);
+    if (tokens.length < 2) return;
+
+    const letters = tokens.map(token => (isNumeral(token) ? token : token[0]));
+    const arabic = tokens.map(token => {
+      if (!isNumeral(token)) return token[0];
+      return /^\d+$/.test(token) ? token : numeralVariant(token);
+    });
+
+    // Stop words give the acronym a letter but aren't highlighted, the
+    // same as they don't score when typed out
+    const words = withoutStopWords(tokens);
+    [letters.join(''), arabic.join('')].forEach(acronym => {
+      if (acronym.length >= 2) acronyms.set(acronym, words);
+    });
+  });
+
+  return acronyms;
+};
+
+const toList = (value) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') return value.split(',');
+  return [];
+};
+
+// Build the term table for one game: term -> best field and source words
+const analyzeGame = (game) => {
+  const terms = new Map();
+
+  const addTerm = (term, field, words) => {
+    const existing = terms.get(term);
+    if (!existing || FIELD_WEIGHTS[field] > FIELD_WEIGHTS[existing.field]) {
+      terms.set(term, { field, words });
+    }
+  };
+
+  const addText = (text, field) => {
+    tokenize(text).forEach(token => {
+      addTerm(token, field, [token]);
+      const variant = numeralVariant(token);
+      if (variant) addTerm(variant, field, [token]);
+    });
+  };
+
+  const titles = [
+    [game.title, 'title'],
+    ...toList(game.alternateTitles).map(title => [title, 'alternateTitles'])
+  ];
+
+  titles.forEach(([title, field]) => {
+    addText(title, field);
+    titleAcronyms(title).forEach((words, acronym) => addTerm(acronym, field, words));
+  });
+
+  addText(toList(game.genre).join(' '), 'genre');
+  addText(toList(game.platform).join(' '), 'platform');
+  addText(game.description, 'description');
+
+  return terms;
+};
+
+export const indexGame = (gameId, game) => {
+  removeGameFromIndex(gameId);
+
+  const terms = analyzeGame(game);
+  documents.set(gameId, { title: game.title, terms });
+
+  terms.forEach((_, term) => {
+    if (!postings.has(term)) postings.set(term, new Set());
+    postings.get(term).add(gameId);
+  });
+};
+
+export const removeGameFromIndex = (gameId) => {
+  const document = documents.get(gameId);
+  if (!document) return;
+
+  document.terms.forEach((_, term) => {
+    const ids = postings.get(term);
+    ids.delete(gameId);
+    if (ids.size === 0) postings.delete(term);
+  });
+  documents.delete(gameId);
+};
+
+const buildIndex = async () => {
+  const [snapshot, taxonomy] = await Promise.all([
+    db.ref('games').once('value'),
+    loadTaxonomy()
+  ]);
+
+  documents.clear();
+  postings.clear();
+  snapshot.forEach((child) => {
+    indexGame(child.key, describeGame(child.val(), taxonomy));
+  });
+  builtAt = Date.now();
+};
+
+// Force a rebuild on the next search (e.g. after a taxonomy rename)
+export const invalidateSearchIndex = () => {
+  builtAt = 0;
+};
+
+// Build the index on first use and refresh it once it gets too old
+export const ensureSearchIndex = async () => {
+  if (builtAt && Date.now() - builtAt < MAX_INDEX_AGE_MS) return;
+
+  if (!buildPromise) {
+    buildPromise = buildIndex().finally(() => {
+      buildPromise = null;
+    });
+  }
+  await buildPromise;
+};
+
+// Optimal string alignment distance (Levenshtein plus adjacent swaps),
+// giving up early once it exceeds maxDistance
+const editDistance = (a, b, maxDistance) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+      if (previousPrevious && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Short words must match exactly, longer ones may contain a typo or two
+const allowedTypos = (token) => {
+  if (token.length < 4) return 0;
+  if (token.length < 8) return 1;
+  return 2;
+};
+
+// Every index term a query token can match, with its match quality
+const expandToken = (token, isLastToken) => {
+  const matches = new Map();
+  const maxTypos = allowedTypos(token);
+
+  postings.forEach((_, term) => {
+    if (term === token) {
+      matches.set(term, EXACT_MATCH);
+    } else if (term.startsWith(token) && (token.length >= 2 || isLastToken)) {
+      // Shorter completions rank closer to an exact match
+      matches.set(term, PREFIX_MATCH * (0.8 + 0.2 * token.length / term.length));
+    } else if (maxTypos > 0) {
+      const distance = editDistance(token, term, maxTypos);
+      if (distance <= maxTypos) {
+        matches.set(term, FUZZY_MATCH / distance);
+      }
+    }
+  });
+
+  return matches;
+};
+
+// Search the catalog. Returns [{ gameId, score, matchedTerms }] ordered by
+// relevance; matchedTerms are the indexed words to highlight. Game data
+// itself isn't kept here so callers always join against fresh records.
+export const searchIndex = async (query) => {
+  await ensureSearchIndex();
+
+  const tokens = withoutStopWords(tokenize(query));
+  if (tokens.length === 0) return [];
+
+  const totalDocuments = documents.size;
+  const scores = new Map(); // gameId -> { score, matchedTokens, words }
+
+  tokens.forEach((token, position) => {
+    const bestPerGame = new Map();
+
+    expandToken(token, position === tokens.length - 1).forEach((quality, term) => {
+      const ids = postings.get(term);
+      // Rarer terms count for more
+      const idf = Math.log(1 + totalDocuments / ids.size);
+
+      ids.forEach(gameId => {
+        const { field, words } = documents.get(gameId).terms.get(term);
+        const score = FIELD_WEIGHTS[field] * quality * idf;
+        const best = bestPerGame.get(gameId);
+        if (!best || score > best.score) {
+          bestPerGame.set(gameId, { score, words });
+        }
+      });
+    });
+
+    bestPerGame.forEach(({ score, words }, gameId) => {
+      const entry = scores.get(gameId) || { score: 0, matchedTokens: 0, words: new Set() };
+      entry.score += score;
+      entry.matchedTokens += 1;
+      words.forEach(word => entry.words.add(word));
+      scores.set(gameId, entry);
+    });
+  });
+
+  const normalizedQuery = tokens.join(' ');
+
+  return [...scores.entries()]
+    .map(([gameId, entry]) => {
+      const { title } = documents.get(gameId);
+      // Favour games that match every word of the query
+      let score = entry.score * Math.pow(entry.matchedTokens / tokens.length, 2);
+
+      // Phrase bonus when the title contains the query as typed
+      if (tokenize(title).join(' ').includes(normalizedQuery)) {
+        score *= 1.5;
+      }
+
+      return {
+        gameId,
+        score: parseFloat(score.toFixed(4)),
+        matchedTerms: [...entry.words]
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+};
@@ -0,0 +1,9 @@
+// Links from the API's feeds back to the frontend. SITE_URL is where the
+// frontend is served; without it feeds leave page links out.
+
+export const siteUrl = () => (process.env.SITE_URL ? process.env.SITE_URL.replace(/\/$/, '') : null);
+
+export const gamePageUrl = (gameId) => (siteUrl() ? `${siteUrl()}/game-detail.html?id=${gameId}` : null);
+
+// The URL a request was made to, e.g. for a feed's rel="self" link
+export const requestUrl = (req) => `${req.protocol}://${req.get('host')}${req.originalUrl}`;
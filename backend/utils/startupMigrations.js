@@ -0,0 +1,34 @@
+import { db } from '../storage/index.js';
+import { backfillReviewFields } from './reviewFields.js';
+import { migrateRatingStats } from './ratingCalculator.js';
+
+// Data migrations the server runs itself before it takes requests, for
+// changes that existing data would break until they've run. Each one runs
+// until it succeeds once; migrations/{name} records when it did. A failed
+// migration is logged and tried again on the next start.
+const STARTUP_MIGRATIONS = {
+  // Reviews without hidden == false don't show up in public listings
+  reviewFields: backfillReviewFields,
+  // Review writes only update games/{id}/ratingStats
+  ratingStats: migrateRatingStats
+};
+
+export const runStartupMigrations = async () => {
+  const snapshot = await db.ref('migrations').once('value');
+  const completed = snapshot.val() || {};
+
+  for (const [name, migrate] of Object.entries(STARTUP_MIGRATIONS)) {
+    if (completed[name]) continue;
+
+    try {
+      const result = await migrate();
+      await db.ref(`migrations/${name}`).set({
+        completedAt: new Date().toISOString(),
+        result: result || null
+      });
+      console.log(`✅ Startup migration ${name} complete`);
+    } catch (error) {
+      console.error(`Startup migration ${name} error:`, error);
+    }
+  }
+};
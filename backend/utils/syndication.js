@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+
+// Atom and RSS 2.0 writers for the syndication feeds.
+// Controllers describe a feed once and pick the format from the URL:
+//   feed  = { id, title, subtitle, selfUrl, link, updated, entries }
+//   entry = { id, title, link, published, updated, author, summary, content }
+// ids are stable URNs, timestamps ISO strings. Missing links are left out.
+
+export const FEED_FORMATS = {
+  atom: 'application/atom+xml; charset=utf-8',
+  rss: 'application/rss+xml; charset=utf-8'
+};
+
+// How long readers may reuse a feed before asking again (they still get
+// a 304 after that when nothing changed)
+const MAX_AGE_SECONDS = 300;
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const element = (name, value, attributes = '') => (
+  value === null || value === undefined || value === ''
+    ? null
+    : `<${name}${attributes}>${escapeXml(value)}</${name}>`
+);
+
+const indent = (lines, spaces) => lines
+  .filter(Boolean)
+  .map(line => `${' '.repeat(spaces)}${line}`);
+
+// Newest timestamp among a feed's entries (or `fallback` when empty)
+export const latestUpdate = (entries, fallback = new Date(0).toISOString()) => entries
+  .map(entry => entry.updated)
+  .filter(Boolean)
+  .reduce((latest, updated) => (updated > latest ? updated : latest), fallback);
+
+const atomEntry = (entry) => [
+  '<entry>',
+  ...indent([
+    element('id', entry.id),
+    element('title', entry.title),
+    entry.link ? `<link rel="alternate" type="text/html" href="${escapeXml(entry.link)}"/>` : null,
+    element('published', entry.published),
+    element('updated', entry.updated),
+    entry.author ? `<author><name>${escapeXml(entry.author)}</name></author>` : null,
+    element('summary', entry.summary),
+    element('content', entry.content, ' type="text"')
+  ], 2),
+  '</entry>'
+];
+
+export const buildAtomFeed = (feed) => [
+  '<?xml version="1.0" encoding="utf-8"?>',
+  '<feed xmlns="http://www.w3.org/2005/Atom">',
+  ...indent([
+    element('id', feed.id),
+    element('title', feed.title),
+    element('subtitle', feed.subtitle),
+    element('updated', feed.updated),
+    `<link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}"/>`,
+    feed.link ? `<link rel="alternate" type="text/html" href="${escapeXml(feed.link)}"/>` : null,
+    '<author><name>Video Game Bulletin</name></author>',
+    ...feed.entries.flatMap(atomEntry)
+  ], 2),
+  '</feed>',
+  ''
+].join('\n');
+
+// RSS dates are RFC 822
+const rssDate = (iso) => (iso ? new Date(iso).toUTCString() : null);
+
+const rssItem = (entry) => [
+  '<item>',
+  ...indent([
+    element('title', entry.title),
+    element('link', entry.link),
+    element('guid', entry.id, ' isPermaLink="false"'),
+    element('pubDate', rssDate(entry.published || entry.updated)),
+    element('dc:creator', entry.author),
+    element('description', entry.content || entry.summary)
+  ], 2),
+  '</item>'
+];
+
+export const buildRssFeed = (feed) => [
+  '<?xml version="1.0" encoding="utf-8"?>',
+  '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+  '  <channel>',
+  ...indent([
+    element('title', feed.title),
+    // RSS requires a channel link; the feed itself stands in without SITE_URL
+    element('link', feed.link || feed.selfUrl),
+    element('description', feed.subtitle || feed.title),
+    element('lastBuildDate', rssDate(feed.updated)),
+    `<atom:link rel="self" type="application/rss+xml" href="${escapeXml(feed.selfUrl)}"/>`,
+    ...feed.entries.flatMap(rssItem)
+  ], 4),
+  '  </channel>',
+  '</rss>',
+  ''
+].join('\n');
+
+// Send a feed in `format` with an ETag of its body, answering conditional
+// GETs (If-None-Match) with 304. There is no Last-Modified: hiding or
+// deleting a review changes a feed without making any entry newer, so
+// only the body tells whether it changed.
+export const sendFeed = (req, res, format, feed) => {
+  const body = format === 'rss' ? buildRssFeed(feed) : buildAtomFeed(feed);
+  const etag = `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+
+  res.set({
+    'Content-Type': FEED_FORMATS[format],
+    'Cache-Control': `public, max-age=${MAX_AGE_SECONDS}`,
+    ETag: etag
+  });
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.send(body);
+};
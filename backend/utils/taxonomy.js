@@ -0,0 +1,107 @@
+import { db } from '../storage/index.js';
+import { gameRatingStats } from './ratingCalculator.js';
+
+// Platform and genre taxonomy.
+// Terms live under platforms/{id} and genres/{id} as { id, name, aliases }.
+// Games store arrays of term ids (game.platforms, game.genres); the display
+// strings clients read (game.platform, game.genre) are derived from the
+// current term names whenever a game is sent out.
+
+export const TAXONOMY_KINDS = {
+  platforms: { gameField: 'platforms', displayField: 'platform', label: 'Platform' },
+  genres: { gameField: 'genres', displayField: 'genre', label: 'Genre' }
+};
+
+export const slugify = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+const normalizeName = (text) => String(text || '').trim().toLowerCase();
+
+export const loadTaxonomy = async () => {
+  const [platformsSnapshot, genresSnapshot] = await Promise.all([
+    db.ref('platforms').once('value'),
+    db.ref('genres').once('value')
+  ]);
+
+  return {
+    platforms: platformsSnapshot.val() || {},
+    genres: genresSnapshot.val() || {}
+  };
+};
+
+// Split legacy free-text values such as "PC, PS5" or "PC / PS5"
+export const splitLegacyValue = (value) => String(value || '')
+  .split(/\s*[,/]\s*/)
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// Find the term whose id, display name or alias matches (case-insensitive)
+export const findTerm = (terms, value) => {
+  const wanted = normalizeName(value);
+  if (!wanted) return null;
+
+  if (terms[wanted]) return terms[wanted];
+
+  return Object.values(terms).find(term => (
+    normalizeName(term.name) === wanted ||
+    (term.aliases || []).some(alias => normalizeName(alias) === wanted)
+  )) || null;
+};
+
+// Resolve ids/names/aliases to term ids. Returns { ids, unknown }.
+export const resolveTermIds = (terms, values) => {
+  const list = Array.isArray(values) ? values : splitLegacyValue(values);
+  const ids = [];
+  const unknown = [];
+
+  list.forEach(value => {
+    const term = findTerm(terms, value);
+    if (!term) {
+      unknown.push(value);
+    } else if (!ids.includes(term.id)) {
+      ids.push(term.id);
+    }
+  });
+
+  return { ids, unknown };
+};
+
+// Term ids on a game. Games that predate the taxonomy still carry a
+// free-text string, which is resolved on the fly until they're migrated.
+export const getGameTermIds = (game, taxonomy, kind) => {
+  const { gameField, displayField } = TAXONOMY_KINDS[kind];
+
+  if (Array.isArray(game[gameField])) return game[gameField];
+  return resolveTermIds(taxonomy[kind], game[displayField] || '').ids;
+};
+
+// Add the id arrays and derived display strings clients read, and lift
+// the rating aggregates out of ratingStats
+export const describeGame = (game, taxonomy) => {
+  const { ratingStats, ...fields } = game;
+  const described = { ...fields, ...gameRatingStats(game) };
+
+  Object.entries(TAXONOMY_KINDS).forEach(([kind, { gameField, displayField }]) => {
+    const ids = getGameTermIds(game, taxonomy, kind);
+    described[gameField] = ids;
+
+    // Keep an unmigrated free-text value if none of it matched a term
+    if (ids.length > 0 || Array.isArray(game[gameField])) {
+      described[displayField] = ids
+        .map(id => taxonomy[kind][id]?.name || id)
+        .join(', ');
+    }
+  });
+
+  return described;
+};
+
+// Normalize an aliases payload (array or comma-separated string)
+export const parseAliases = (value) => {
+  const aliases = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(aliases.map(alias => String(alias).trim()).filter(Boolean))];
+};
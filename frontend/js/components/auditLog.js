@@ -0,0 +1,127 @@
+// Audit Log Component - admin viewer for the audit trail
+import { adminAPI } from '../services/api.js';
+import { createPagedListing } from './loadMore.js';
+import { showError, showLoading, escapeHtml } from '../utils/helpers.js';
+
+const TARGET_TYPES = {
+  game: 'Games',
+  review: 'Reviews',
+  user: 'Users',
+  platforms: 'Platforms',
+  genres: 'Genres'
+};
+
+const formatValue = (value) => (value === undefined ? '—' : escapeHtml(JSON.stringify(value)));
+
+export const createAuditLogViewer = (containerId) => {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const typeOptions = Object.entries(TARGET_TYPES)
+    .map(([value, label]) => `<option value="${value}">${label}</option>`)
+    .join('');
+
+  container.innerHTML = `
+    <form id="audit-filters" class="filter-bar">
+      <div class="filter-group">
+        <input type="text" id="audit-actor" class="search-input" placeholder="Actor user ID">
+      </div>
+      <div class="filter-group">
+        <select id="audit-target-type" class="filter-select">
+          <option value="">All Targets</option>
+          ${typeOptions}
+        </select>
+      </div>
+      <div class="filter-group">
+        <input type="text" id="audit-target-id" class="search-input" placeholder="Target ID">
+      </div>
+      <div class="filter-group">
+        <input type="date" id="audit-from" class="search-input" title="From">
+      </div>
+      <div class="filter-group">
+        <input type="date" id="audit-to" class="search-input" title="To">
+      </div>
+      <button type="submit" class="btn-secondary">Search</button>
+    </form>
+    <div id="audit-entries" class="audit-entries"></div>
+  `;
+
+  document.getElementById('audit-filters').addEventListener('submit', (e) => {
+    e.preventDefault();
+    loadAuditLog();
+  });
+
+  loadAuditLog();
+};
+
+const loadAuditLog = async () => {
+  const filters = {
+    actor: document.getElementById('audit-actor').value.trim(),
+    targetType: document.getElementById('audit-target-type').value,
+    targetId: document.getElementById('audit-target-id').value.trim(),
+    from: document.getElementById('audit-from').value,
+    to: document.getElementById('audit-to').value
+  };
+
+  try {
+    showLoading(true);
+    await createPagedListing({
+      containerId: 'audit-entries',
+      fetchPage: (cursor) => adminAPI.getAuditLog({ ...filters, cursor }),
+      itemsKey: 'entries',
+      render: renderAuditEntries
+    });
+  } catch (error) {
+    showError('Failed to load audit log: ' + error.message);
+  } finally {
+    showLoading(false);
+  }
+};
+
+const renderAuditEntries = (entries, containerId, { append = false } = {}) => {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  if (!append && entries.length === 0) {
+    container.innerHTML = '<p class="no-reviews">No audit entries match these filters.</p>';
+    return;
+  }
+
+  const html = entries.map(entry => {
+    const changes = Object.entries(entry.changes || {}).map(([field, change]) => `
+      <tr>
+        <td>${escapeHtml(field)}</td>
+        <td>${formatValue(change.before)}</td>
+        <td>${formatValue(change.after)}</td>
+      </tr>
+    `).join('');
+
+    const details = entry.details
+      ? `<p class="audit-details">${escapeHtml(JSON.stringify(entry.details))}</p>`
+      : '';
+
+    return `
+      <details class="audit-entry">
+        <summary>
+          <span class="audit-time">${new Date(entry.timestamp).toLocaleString()}</span>
+          <span class="audit-action">${escapeHtml(entry.action)}</span>
+          <span>${escapeHtml(entry.targetType)} / ${escapeHtml(entry.targetId)}</span>
+          <span class="audit-actor">by ${escapeHtml(entry.actorEmail || entry.actorId)}</span>
+        </summary>
+        ${details}
+        ${changes ? `
+          <table class="audit-changes">
+            <thead><tr><th>Field</th><th>Before</th><th>After</th></tr></thead>
+            <tbody>${changes}</tbody>
+          </table>
+        ` : '<p class="audit-details">No field changes recorded.</p>'}
+      </details>
+    `;
+  }).join('');
+
+  if (append) {
+    container.insertAdjacentHTML('beforeend', html);
+  } else {
+    container.innerHTML = html;
+  }
+};
@@ -1,10 +1,21 @@
 // Calendar Component with Game Releases
 import { gameAPI } from '../services/api.js';
+import { getPreferredRegion } from '../services/auth.js';
 import { formatDate } from '../utils/helpers.js';
 
 let currentMonth = new Date().getMonth();
 let currentYear = new Date().getFullYear();
+// Calendar items are { game, badge }: one per release entry (badge names
+// the platform, and the region/edition when there is one) or the game
+// itself when it has no per-platform dates
 let gamesByDate = {};
+// Items dated to the month, quarter or season rather than a day, grouped
+// by that date ("2026-10", "2026-Q4", "2026-fall")
+let gamesInTray = {};
+
+// Precisions shown in the month tray. Year-only and TBA games would show
+// up in every month, so they're left out.
+const TRAY_DATE = /^\d{4}-(\d{2}|Q[1-4]|spring|summer|fall|winter)$/;
 
 export const initCalendar = async () => {
   await loadGamesForMonth(currentYear, currentMonth);
@@ -15,26 +26,65 @@ export const initCalendar = async () => {
 const loadGamesForMonth = async (year, month) => {
   try {
     // Get first and last day of month
-    const startDate = new Date(year, month, 1).toISOString().split('T')[0];
-    const endDate = new Date(year, month + 1, 0).toISOString().split('T')[0];
+    const monthKey = `${year}-${String(month + 1).padStart(2, '0')}`;
+    const startDate = `${monthKey}-01`;
+    const endDate = `${monthKey}-${String(new Date(year, month + 1, 0).getDate()).padStart(2, '0')}`;
     
-    // Fetch games for this month
-    const games = await gameAPI.filter({ startDate, endDate });
+    // Fetch games for this month (including fuzzy dates overlapping it).
+    // Worldwide shows every region's launches; another region only its own.
+    const region = getPreferredRegion();
+    const games = await gameAPI.filterAll({ startDate, endDate, ...(region !== 'ww' ? { region } : {}) });
     
-    // Group games by date
+    // Group by date, each release entry on its own day; vaguer dates go
+    // to the tray
     gamesByDate = {};
+    gamesInTray = {};
     games.forEach(game => {
-      const dateKey = game.releaseDate;
-      if (!gamesByDate[dateKey]) {
-        gamesByDate[dateKey] = [];
-      }
-      gamesByDate[dateKey].push(game);
+      const items = game.releaseEntries?.length
+        ? game.releaseEntries.map(entry => ({ game, date: entry.date, badge: entryBadge(entry) }))
+        : [{ game, date: game.releaseDate, badge: null }];
+      
+      items.forEach(({ date: dateKey, ...item }) => {
+        const groups = TRAY_DATE.test(dateKey) ? gamesInTray : gamesByDate;
+        if (!groups[dateKey]) {
+          groups[dateKey] = [];
+        }
+        groups[dateKey].push(item);
+      });
     });
   } catch (error) {
     console.error('Failed to load games for calendar:', error);
   }
 };
 
+// "PS5", "PS5 · JP", "PC · Deluxe"
+const entryBadge = (entry) => [
+  entry.platformName,
+  entry.region !== 'ww' ? entry.region.toUpperCase() : null,
+  entry.edition || null
+].filter(Boolean).join(' · ');
+
+// Clickable calendar tag for a game, with its platform badge
+const createGameTag = ({ game, badge }) => {
+  const gameTag = document.createElement('div');
+  gameTag.className = 'calendar-game-tag';
+  gameTag.textContent = game.title;
+  gameTag.title = `${game.title} - ${badge || game.platform}`;
+  
+  if (badge) {
+    const badgeElement = document.createElement('span');
+    badgeElement.className = 'calendar-platform-badge';
+    badgeElement.textContent = badge;
+    gameTag.appendChild(badgeElement);
+  }
+  
+  gameTag.addEventListener('click', (e) => {
+    e.stopPropagation();
+    showGameDetails(game);
+  });
+  return gameTag;
+};
+
 const generateCalendar = (year, month) => {
   const calendar = document.getElementById('calendar');
   const monthYear = document.getElementById('month-year');
@@ -92,16 +142,8 @@ const generateCalendar = (year, month) => {
       const gamesContainer = document.createElement('div');
       gamesContainer.className = 'calendar-games';
       
-      gamesOnThisDay.forEach(game => {
-        const gameTag = document.createElement('div');
-        gameTag.className = 'calendar-game-tag';
-        gameTag.textContent = game.title;
-        gameTag.title = `${game.title} - ${game.platform}`;
-        gameTag.addEventListener('click', (e) => {
-          e.stopPropagation();
-          showGameDetails(game);
-        });
-        gamesContainer.appendChild(gameTag);
+      gamesOnThisDay.forEach(item => {
+        gamesContainer.appendChild(createGameTag(item));
       });
       
       cell.appendChild(gamesContainer);
@@ -109,6 +151,46 @@ const generateCalendar = (year, month) => {
     
     calendar.appendChild(cell);
   }
+  
+  renderTray(calendar);
+};
+
+// "Sometime this month/quarter" games below the grid
+const renderTray = (calendar) => {
+  let tray = document.getElementById('calendar-tray');
+  if (!tray) {
+    tray = document.createElement('div');
+    tray.id = 'calendar-tray';
+    tray.className = 'calendar-tray';
+    calendar.insertAdjacentElement('afterend', tray);
+  }
+  
+  // Month first, then quarter and season
+  const rank = (dateKey) => (/^\d{4}-\d{2}$/.test(dateKey) ? 0 : 1);
+  const groups = Object.keys(gamesInTray).sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+  tray.innerHTML = '';
+  tray.hidden = groups.length === 0;
+  if (groups.length === 0) return;
+  
+  const title = document.createElement('h3');
+  title.textContent = 'Sometime this month or quarter';
+  tray.appendChild(title);
+  
+  groups.forEach(dateKey => {
+    const group = document.createElement('div');
+    group.className = 'calendar-tray-group';
+    
+    const label = document.createElement('span');
+    label.className = 'calendar-tray-label';
+    label.textContent = formatDate(dateKey);
+    group.appendChild(label);
+    
+    gamesInTray[dateKey].forEach(item => {
+      group.appendChild(createGameTag(item));
+    });
+    
+    tray.appendChild(group);
+  });
 };
 
 const setupCalendarControls = () => {
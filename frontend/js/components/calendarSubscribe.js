@@ -0,0 +1,54 @@
+// Calendar Subscribe Component - .ics feeds for calendar apps
+import { calendarAPI } from '../services/api.js';
+import { getCurrentUserData, getPreferredRegion } from '../services/auth.js';
+import { showMessage, showError } from '../utils/helpers.js';
+
+// "Subscribe" and "Download" links for every release (in the user's
+// region), plus the signed-in user's private favorites feed
+export const createCalendarSubscribe = (containerId) => {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const region = getPreferredRegion();
+  const releasesUrl = calendarAPI.releasesUrl(region !== 'ww' ? { region } : {});
+  const userData = getCurrentUserData();
+
+  container.className = 'calendar-subscribe';
+  container.innerHTML = `
+    <a class="btn-secondary" href="${calendarAPI.toWebcal(releasesUrl)}">📅 Subscribe to releases</a>
+    <a class="btn-secondary" href="${releasesUrl}" download>⬇ Download .ics</a>
+    ${userData ? '<button class="btn-secondary" id="favoritesFeedBtn">⭐ Subscribe to my favorites</button>' : ''}
+    <div class="calendar-feed-link" id="favoritesFeed" hidden></div>
+  `;
+
+  if (userData) {
+    container.querySelector('#favoritesFeedBtn').addEventListener('click', () => (
+      showFavoritesFeed(userData.userId, calendarAPI.getFavoritesFeed)
+    ));
+  }
+};
+
+// Show the private feed link with a way to replace it if it leaked
+const showFavoritesFeed = async (userId, fetchFeed) => {
+  const panel = document.getElementById('favoritesFeed');
+  try {
+    const { feedPath } = await fetchFeed(userId);
+    const feedUrl = calendarAPI.feedUrl(feedPath);
+
+    panel.hidden = false;
+    panel.innerHTML = `
+      <p>Your private favorites calendar. Anyone with this link can see your favorites.</p>
+      <input type="text" readonly value="${feedUrl}">
+      <a class="btn-primary" href="${calendarAPI.toWebcal(feedUrl)}">Open in calendar app</a>
+      <button class="btn-secondary" id="resetFeedBtn">Reset link</button>
+    `;
+    panel.querySelector('input').addEventListener('focus', (e) => e.target.select());
+    panel.querySelector('#resetFeedBtn').addEventListener('click', async () => {
+      if (!confirm('Reset the link? Calendars subscribed with the old one stop updating.')) return;
+      await showFavoritesFeed(userId, calendarAPI.resetFavoritesFeed);
+      showMessage('Calendar link reset');
+    });
+  } catch (error) {
+    showError('Failed to load calendar link: ' + error.message);
+  }
+};
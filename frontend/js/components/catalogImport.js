@@ -0,0 +1,184 @@
+// Catalog Import Component - admin bulk export and import of games
+import { adminAPI } from '../services/api.js';
+import { convertToBase64 } from '../utils/imageHandler.js';
+import { showMessage, showError, showLoading, escapeHtml } from '../utils/helpers.js';
+
+const ACTION_LABELS = {
+  create: 'Create',
+  update: 'Update',
+  unchanged: 'Unchanged',
+  conflict: 'Conflict',
+  invalid: 'Invalid'
+};
+
+// The preview the Import button applies; cleared whenever a file changes
+let previewedPayload = null;
+
+export const createCatalogImport = (containerId) => {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  container.innerHTML = `
+    <div class="catalog-tools">
+      <div class="catalog-export">
+        <h3>Export</h3>
+        <select id="catalog-export-format" class="filter-select">
+          <option value="csv">CSV</option>
+          <option value="json">JSON</option>
+        </select>
+        <label><input type="checkbox" id="catalog-export-images"> Include cover images</label>
+        <button type="button" id="catalog-export" class="btn-secondary">Download</button>
+      </div>
+      <div class="catalog-import">
+        <h3>Import</h3>
+        <p class="catalog-hint">
+          A CSV or JSON file in the export's columns. Games are matched by gameId:
+          new ids are created, existing ones updated; empty cells are left as they are.
+          Cover images can be embedded as data URLs or given as file:&lt;name&gt; and picked below.
+        </p>
+        <label>Games file <input type="file" id="catalog-file" accept=".csv,.json"></label>
+        <label>Cover images <input type="file" id="catalog-images" accept="image/*" multiple></label>
+        <label><input type="checkbox" id="catalog-duplicate-titles"> Allow titles that match another game</label>
+        <div class="catalog-actions">
+          <button type="button" id="catalog-preview" class="btn-secondary">Preview</button>
+          <button type="button" id="catalog-apply" class="btn-secondary" disabled>Import</button>
+        </div>
+      </div>
+    </div>
+    <div id="catalog-report" class="catalog-report"></div>
+  `;
+
+  document.getElementById('catalog-export').addEventListener('click', exportCatalog);
+  document.getElementById('catalog-preview').addEventListener('click', previewImport);
+  document.getElementById('catalog-apply').addEventListener('click', applyImport);
+
+  ['catalog-file', 'catalog-images', 'catalog-duplicate-titles'].forEach(id => {
+    document.getElementById(id).addEventListener('change', resetPreview);
+  });
+};
+
+const resetPreview = () => {
+  previewedPayload = null;
+  document.getElementById('catalog-apply').disabled = true;
+  document.getElementById('catalog-report').innerHTML = '';
+};
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+const exportCatalog = async () => {
+  const format = document.getElementById('catalog-export-format').value;
+  const images = document.getElementById('catalog-export-images').checked;
+
+  try {
+    showLoading(true);
+    const blob = await adminAPI.exportGames({ format, images: images || undefined });
+    downloadBlob(blob, `vgb-games-${new Date().toISOString().slice(0, 10)}.${format}`);
+  } catch (error) {
+    showError('Failed to export games: ' + error.message);
+  } finally {
+    showLoading(false);
+  }
+};
+
+// Read the chosen games file and images into an import payload
+const readImportFiles = async () => {
+  const file = document.getElementById('catalog-file').files[0];
+  if (!file) {
+    throw new Error('Choose a CSV or JSON file first');
+  }
+
+  const images = {};
+  for (const image of document.getElementById('catalog-images').files) {
+    images[image.name] = await convertToBase64(image);
+  }
+
+  return {
+    format: file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv',
+    data: await file.text(),
+    images
+  };
+};
+
+const importOptions = () => ({
+  allowDuplicateTitles: document.getElementById('catalog-duplicate-titles').checked
+});
+
+const previewImport = async () => {
+  resetPreview();
+
+  try {
+    showLoading(true);
+    const payload = await readImportFiles();
+    const report = await adminAPI.importGames(payload, { dryRun: true, ...importOptions() });
+    renderReport(report);
+
+    const { conflict, invalid, create, update } = report.summary;
+    if (conflict + invalid === 0 && create + update > 0) {
+      previewedPayload = payload;
+      document.getElementById('catalog-apply').disabled = false;
+    }
+  } catch (error) {
+    showError('Failed to preview import: ' + error.message);
+  } finally {
+    showLoading(false);
+  }
+};
+
+const applyImport = async () => {
+  if (!previewedPayload) return;
+
+  try {
+    showLoading(true);
+    const report = await adminAPI.importGames(previewedPayload, importOptions());
+    renderReport(report);
+    previewedPayload = null;
+    document.getElementById('catalog-apply').disabled = true;
+    showMessage(`Imported ${report.summary.create} new and ${report.summary.update} updated game(s)`);
+  } catch (error) {
+    showError('Failed to import games: ' + error.message);
+  } finally {
+    showLoading(false);
+  }
+};
+
+const rowDetails = (row) => {
+  if (row.errors) {
+    return Object.entries(row.errors)
+      .map(([field, message]) => `${escapeHtml(field)} ${escapeHtml(message)}`)
+      .join('<br>');
+  }
+  return row.changes ? `Changes: ${row.changes.map(escapeHtml).join(', ')}` : '';
+};
+
+const renderReport = ({ dryRun, summary, rows }) => {
+  const container = document.getElementById('catalog-report');
+  const counts = Object.entries(ACTION_LABELS)
+    .map(([action, label]) => `<span class="catalog-action catalog-action-${action}">${label}: ${summary[action]}</span>`)
+    .join('');
+
+  container.innerHTML = `
+    <p class="catalog-summary">${dryRun ? 'Preview' : 'Imported'} — ${counts}</p>
+    <table class="audit-changes">
+      <thead><tr><th>Row</th><th>Game ID</th><th>Action</th><th>Details</th></tr></thead>
+      <tbody>
+        ${rows.map(row => `
+          <tr>
+            <td>${row.row}</td>
+            <td>${escapeHtml(row.gameId || '—')}</td>
+            <td class="catalog-action-${row.action}">${ACTION_LABELS[row.action]}</td>
+            <td>${rowDetails(row)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+};
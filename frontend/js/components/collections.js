@@ -0,0 +1,321 @@
+// Collections Component - favorites, backlog statuses and custom lists
+import { favoriteAPI } from '../services/api.js';
+import { createGameCard } from './gameCard.js';
+import { showMessage, showError, showLoading, escapeHtml } from '../utils/helpers.js';
+
+export const STATUS_LABELS = {
+  wishlist: 'Wishlist',
+  playing: 'Playing',
+  completed: 'Completed',
+  dropped: 'Dropped'
+};
+
+let currentUserId = null;
+let currentTab = 'favorites';
+let openListId = null;
+
+export const createCollectionsManager = (containerId, userId) => {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  currentUserId = userId;
+
+  container.innerHTML = `
+    <section class="collections-backlog">
+      <div id="collection-tabs" class="moderation-tabs"></div>
+      <div class="game-grid" id="collection-games"></div>
+    </section>
+    <section class="collections-lists">
+      <h2>My Lists</h2>
+      <form id="new-list-form" class="filter-bar">
+        <div class="filter-group">
+          <input type="text" id="new-list-name" class="search-input" placeholder="List name" maxlength="100" required>
+        </div>
+        <div class="filter-group">
+          <input type="text" id="new-list-description" class="search-input" placeholder="Description (optional)" maxlength="500">
+        </div>
+        <div class="filter-group">
+          <select id="new-list-visibility" class="filter-select">
+            <option value="private">Private</option>
+            <option value="public">Public</option>
+          </select>
+        </div>
+        <button type="submit" class="btn-primary">Create List</button>
+      </form>
+      <div id="collection-lists"></div>
+    </section>
+  `;
+
+  document.getElementById('collection-tabs').addEventListener('click', (e) => {
+    const tab = e.target.closest('[data-tab]');
+    if (!tab) return;
+    currentTab = tab.dataset.tab;
+    loadTab();
+  });
+
+  document.getElementById('new-list-form').addEventListener('submit', createList);
+
+  document.getElementById('collection-lists').addEventListener('click', async (e) => {
+    const button = e.target.closest('[data-list-action]');
+    if (!button) return;
+    await applyListAction(button.dataset);
+  });
+
+  loadTab();
+  loadLists();
+};
+
+// ----- Favorites and backlog statuses -----
+
+const renderTabs = (counts) => {
+  const tabs = document.getElementById('collection-tabs');
+  if (!tabs) return;
+
+  const labels = { favorites: 'Favorites', ...STATUS_LABELS };
+  tabs.innerHTML = Object.entries(labels).map(([tab, label]) => `
+    <button class="btn-secondary ${tab === currentTab ? 'active' : ''}" data-tab="${tab}">
+      ${label}${counts[tab] !== undefined ? ` (${counts[tab]})` : ''}
+    </button>
+  `).join('');
+};
+
+const loadTab = async () => {
+  const container = document.getElementById('collection-games');
+  if (!container) return;
+
+  try {
+    showLoading(true);
+    let entries;
+    let counts;
+
+    if (currentTab === 'favorites') {
+      const [favorites, statuses] = await Promise.all([
+        favoriteAPI.getUserFavorites(currentUserId),
+        favoriteAPI.getStatuses(currentUserId)
+      ]);
+      entries = favorites;
+      counts = { ...statuses.counts, favorites: favorites.length };
+    } else {
+      const data = await favoriteAPI.getStatuses(currentUserId, currentTab);
+      entries = data.statuses;
+      counts = data.counts;
+    }
+
+    renderTabs(counts);
+
+    container.innerHTML = '';
+    if (entries.length === 0) {
+      container.innerHTML = '<p class="no-games">No games here yet</p>';
+      return;
+    }
+
+    entries.forEach(entry => {
+      const card = createGameCard(entry.game);
+      if (entry.note) {
+        const note = document.createElement('p');
+        note.className = 'collection-note';
+        note.textContent = entry.note;
+        card.querySelector('.game-info').appendChild(note);
+      }
+      container.appendChild(card);
+    });
+  } catch (error) {
+    showError('Failed to load collection: ' + error.message);
+  } finally {
+    showLoading(false);
+  }
+};
+
+// ----- Custom lists -----
+
+const loadLists = async () => {
+  const container = document.getElementById('collection-lists');
+  if (!container) return;
+
+  try {
+    const lists = await favoriteAPI.getLists(currentUserId);
+
+    if (lists.length === 0) {
+      container.innerHTML = '<p class="no-games">You have no lists yet</p>';
+      return;
+    }
+
+    container.innerHTML = lists.map(list => `
+      <div class="collection-list" data-list-id="${list.listId}">
+        <div class="collection-list-header">
+          <h3>${escapeHtml(list.name)}</h3>
+          <span class="collection-list-meta">${list.itemCount} game(s) · ${list.visibility === 'public' ? 'Public' : 'Private'}</span>
+          <button class="btn-secondary" data-list-action="open" data-list-id="${list.listId}">
+            ${list.listId === openListId ? 'Hide' : 'Show'}
+          </button>
+          <button class="btn-secondary" data-list-action="visibility" data-list-id="${list.listId}" data-visibility="${list.visibility}">
+            Make ${list.visibility === 'public' ? 'Private' : 'Public'}
+          </button>
+          <button class="btn-secondary" data-list-action="delete" data-list-id="${list.listId}">Delete</button>
+        </div>
+        ${list.description ? `<p class="collection-list-description">${escapeHtml(list.description)}</p>` : ''}
+        <div class="collection-list-items" id="list-items-${list.listId}"></div>
+      </div>
+    `).join('');
+
+    if (lists.some(list => list.listId === openListId)) {
+      await loadListItems(openListId);
+    }
+  } catch (error) {
+    showError('Failed to load lists: ' + error.message);
+  }
+};
+
+const loadListItems = async (listId) => {
+  const container = document.getElementById(`list-items-${listId}`);
+  if (!container) return;
+
+  const list = await favoriteAPI.getList(listId);
+
+  if (list.items.length === 0) {
+    container.innerHTML = '<p class="no-games">Add games to this list from their detail page</p>';
+    return;
+  }
+
+  container.innerHTML = list.items.map((item, index) => `
+    <div class="collection-list-item">
+      <a href="game-detail.html?id=${item.gameId}">${escapeHtml(item.game.title)}</a>
+      <span class="collection-note">${escapeHtml(item.note || '')}</span>
+      <div class="collection-list-item-actions">
+        <button class="btn-secondary" data-list-action="up" data-list-id="${listId}" data-game-id="${item.gameId}" ${index === 0 ? 'disabled' : ''}>↑</button>
+        <button class="btn-secondary" data-list-action="down" data-list-id="${listId}" data-game-id="${item.gameId}" ${index === list.items.length - 1 ? 'disabled' : ''}>↓</button>
+        <button class="btn-secondary" data-list-action="note" data-list-id="${listId}" data-game-id="${item.gameId}">Note</button>
+        <button class="btn-secondary" data-list-action="remove" data-list-id="${listId}" data-game-id="${item.gameId}">Remove</button>
+      </div>
+    </div>
+  `).join('');
+
+  container.dataset.order = JSON.stringify(list.items.map(item => item.gameId));
+  container.dataset.notes = JSON.stringify(Object.fromEntries(list.items.map(item => [item.gameId, item.note || ''])));
+};
+
+const createList = async (e) => {
+  e.preventDefault();
+
+  try {
+    showLoading(true);
+    await favoriteAPI.createList({
+      name: document.getElementById('new-list-name').value.trim(),
+      description: document.getElementById('new-list-description').value.trim(),
+      visibility: document.getElementById('new-list-visibility').value
+    });
+    e.target.reset();
+    showMessage('List created');
+    await loadLists();
+  } catch (error) {
+    showError('Failed to create list: ' + error.message);
+  } finally {
+    showLoading(false);
+  }
+};
+
+// Move a game one place up or down and save the whole order
+const moveItem = async (listId, gameId, offset) => {
+  const order = JSON.parse(document.getElementById(`list-items-${listId}`).dataset.order || '[]');
+  const from = order.indexOf(gameId);
+  const to = from + offset;
+  if (from === -1 || to < 0 || to >= order.length) return;
+
+  [order[from], order[to]] = [order[to], order[from]];
+  await favoriteAPI.reorderList(listId, order);
+};
+
+const applyListAction = async ({ listAction: action, listId, gameId, visibility }) => {
+  if (action === 'open') {
+    openListId = openListId === listId ? null : listId;
+    await loadLists();
+    return;
+  }
+
+  if (action === 'delete' && !confirm('Delete this list?')) return;
+
+  try {
+    showLoading(true);
+
+    if (action === 'visibility') {
+      await favoriteAPI.updateList(listId, { visibility: visibility === 'public' ? 'private' : 'public' });
+    } else if (action === 'delete') {
+      await favoriteAPI.deleteList(listId);
+      showMessage('List deleted');
+    } else if (action === 'up' || action === 'down') {
+      await moveItem(listId, gameId, action === 'up' ? -1 : 1);
+    } else if (action === 'note') {
+      const notes = JSON.parse(document.getElementById(`list-items-${listId}`).dataset.notes || '{}');
+      const note = prompt('Note for this game:', notes[gameId] || '');
+      if (note === null) return;
+      await favoriteAPI.updateListItem(listId, gameId, note.trim());
+    } else if (action === 'remove') {
+      await favoriteAPI.removeFromList(listId, gameId);
+      showMessage('Game removed from list');
+    }
+
+    await loadLists();
+  } catch (error) {
+    showError('Failed to update list: ' + error.message);
+  } finally {
+    showLoading(false);
+  }
+};
+
+// ----- Game detail controls -----
+
+// Status select and "add to list" picker for one game
+export const createCollectionControls = async (gameId, userId, containerId) => {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const [{ statuses }, lists] = await Promise.all([
+    favoriteAPI.getStatuses(userId),
+    favoriteAPI.getLists(userId)
+  ]);
+  const current = statuses.find(entry => entry.gameId === gameId);
+
+  const statusOptions = Object.entries(STATUS_LABELS)
+    .map(([status, label]) => `<option value="${status}" ${current?.status === status ? 'selected' : ''}>${label}</option>`)
+    .join('');
+  const listOptions = lists
+    .map(list => `<option value="${list.listId}">${escapeHtml(list.name)}</option>`)
+    .join('');
+
+  container.innerHTML = `
+    <div class="collection-controls">
+      <label for="gameStatus">My status:</label>
+      <select id="gameStatus" class="filter-select">
+        <option value="">None</option>
+        ${statusOptions}
+      </select>
+      ${lists.length > 0 ? `
+        <select id="addToListSelect" class="filter-select">${listOptions}</select>
+        <button id="addToListBtn" class="btn-secondary">Add to List</button>
+      ` : '<a href="my-favorites.html">Create a list</a>'}
+    </div>
+  `;
+
+  document.getElementById('gameStatus').addEventListener('change', async (e) => {
+    try {
+      if (e.target.value) {
+        await favoriteAPI.setStatus(gameId, e.target.value);
+        showMessage(`Marked as ${STATUS_LABELS[e.target.value]}`);
+      } else {
+        await favoriteAPI.removeStatus(gameId);
+        showMessage('Status cleared');
+      }
+    } catch (error) {
+      showError('Failed to update status: ' + error.message);
+    }
+  });
+
+  document.getElementById('addToListBtn')?.addEventListener('click', async () => {
+    try {
+      await favoriteAPI.addToList(document.getElementById('addToListSelect').value, gameId);
+      showMessage('Added to list!');
+    } catch (error) {
+      showError('Failed to add to list: ' + error.message);
+    }
+  });
+};
@@ -0,0 +1,36 @@
+// Feed Links Component - Atom/RSS subscriptions for a page
+import { feedAPI } from '../services/api.js';
+import { escapeHtml } from '../utils/helpers.js';
+
+// Page feeds by name; each url(format) builds the feed address
+export const PAGE_FEEDS = {
+  newGames: { title: 'New games', url: (format) => feedAPI.newGamesUrl(format) },
+  upcoming: { title: 'Releasing this week', url: (format) => feedAPI.upcomingUrl(format) },
+  reviews: { title: 'Latest reviews', url: (format) => feedAPI.reviewsUrl(format) }
+};
+
+// Announce feeds to readers and browsers (<link rel="alternate"> in the
+// head) and list Atom/RSS links in the container, if the page has one.
+// feeds: [{ title, url(format) }]
+export const addFeedLinks = (feeds, containerId) => {
+  feeds.forEach(feed => {
+    const link = document.createElement('link');
+    link.rel = 'alternate';
+    link.type = 'application/atom+xml';
+    link.title = feed.title;
+    link.href = feed.url('atom');
+    document.head.appendChild(link);
+  });
+
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  container.classList.add('feed-links');
+  container.innerHTML = feeds.map(feed => `
+    <div class="feed-link">
+      <span>📰 ${escapeHtml(feed.title)}</span>
+      <a href="${feed.url('atom')}" target="_blank" rel="noopener">Atom</a>
+      <a href="${feed.url('rss')}" target="_blank" rel="noopener">RSS</a>
+    </div>
+  `).join('');
+};
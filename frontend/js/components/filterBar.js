@@ -1,58 +1,62 @@
 // Filter Bar Component
 import { gameAPI } from '../services/api.js';
-import { renderGameGrid } from './gameCard.js';
+import { renderPagedGameGrid } from './gameCard.js';
 import { showError, showLoading, debounce } from '../utils/helpers.js';
 
 let currentFilters = {};
 
+const STATUS_LABELS = {
+  upcoming: 'Upcoming',
+  released: 'Released'
+};
+
+// Dropdowns built from the facet counts returned by the filter endpoint,
+// keyed by the filter param (and facet name) they control
+const FACET_SELECTS = {
+  platform: { id: 'platform-filter', allLabel: 'All Platforms' },
+  genre: { id: 'genre-filter', allLabel: 'All Genres' },
+  status: { id: 'status-filter', allLabel: 'All Status', label: (value) => STATUS_LABELS[value] || value },
+  minRating: { id: 'rating-filter', allLabel: 'All Ratings', label: (value) => `${value}+ Stars` },
+  year: { id: 'year-filter', allLabel: 'All Years' }
+};
+
 export const createFilterBar = (containerId) => {
   const container = document.getElementById(containerId);
   if (!container) return;
   
+  const facetSelects = Object.values(FACET_SELECTS).map(({ id, allLabel }) => `
+      <div class="filter-group">
+        <select id="${id}" class="filter-select">
+          <option value="">${allLabel}</option>
+        </select>
+      </div>
+  `).join('');
+  
   container.innerHTML = `
     <div class="filter-bar">
       <div class="filter-group">
         <input type="text" id="search-input" placeholder="Search games..." class="search-input">
       </div>
       
-      <div class="filter-group">
-        <select id="platform-filter" class="filter-select">
-          <option value="">All Platforms</option>
-          <option value="PC">PC</option>
-          <option value="PS5">PlayStation 5</option>
-          <option value="Xbox Series X">Xbox Series X</option>
-          <option value="Nintendo Switch">Nintendo Switch</option>
-        </select>
-      </div>
-      
-      <div class="filter-group">
-        <select id="genre-filter" class="filter-select">
-          <option value="">All Genres</option>
-          <option value="Action">Action</option>
-          <option value="RPG">RPG</option>
-          <option value="Strategy">Strategy</option>
-          <option value="Horror">Horror</option>
-          <option value="Racing">Racing</option>
-          <option value="Adventure">Adventure</option>
-          <option value="FPS">FPS</option>
-          <option value="Platformer">Platformer</option>
-        </select>
-      </div>
+      ${facetSelects}
       
       <div class="filter-group">
-        <select id="status-filter" class="filter-select">
-          <option value="">All Status</option>
-          <option value="upcoming">Upcoming</option>
-          <option value="released">Released</option>
+        <select id="delayed-filter" class="filter-select">
+          <option value="">Any Schedule</option>
+          <option value="30">Delayed in Last 30 Days</option>
+          <option value="90">Delayed in Last 90 Days</option>
         </select>
       </div>
       
       <div class="filter-group">
-        <select id="rating-filter" class="filter-select">
-          <option value="">All Ratings</option>
-          <option value="4">4+ Stars</option>
-          <option value="3">3+ Stars</option>
-          <option value="2">2+ Stars</option>
+        <select id="sort-filter" class="filter-select">
+          <option value="">Sort: Best Match</option>
+          <option value="title">Sort: Title</option>
+          <option value="releaseDate">Sort: Release Date</option>
+          <option value="averageRating">Sort: Average Rating</option>
+          <option value="totalRatings">Sort: Most Rated</option>
+          <option value="newest">Sort: Newest</option>
+          <option value="lastDelayed">Sort: Recently Delayed</option>
         </select>
       </div>
       
@@ -61,14 +65,48 @@ export const createFilterBar = (containerId) => {
   `;
   
   initializeFilterListeners();
+  loadFacets();
+};
+
+// Fill the dropdowns with the options available across the whole catalog
+const loadFacets = async () => {
+  try {
+    const data = await gameAPI.filter({ facets: true, limit: 1 });
+    updateFacetOptions(data.facets || {});
+  } catch (error) {
+    console.error('Failed to load filter options:', error);
+  }
+};
+
+// Rebuild each dropdown as "RPG (42)" style options, hiding options that
+// would return no games
+const updateFacetOptions = (facets) => {
+  Object.entries(FACET_SELECTS).forEach(([name, config]) => {
+    const select = document.getElementById(config.id);
+    if (!select || !facets[name]) return;
+    
+    const selected = currentFilters[name] || '';
+    const options = facets[name].filter(option => option.count > 0);
+    const selectedOption = options.find(option => option.value.toLowerCase() === selected.toLowerCase());
+    
+    // Keep the current choice visible even if nothing matches it any more
+    if (selected && !selectedOption) {
+      options.push({ value: selected, count: 0 });
+    }
+    
+    // Platform and genre facets carry the term's display name
+    const label = config.label || ((value, option) => option.name || value);
+    select.innerHTML = `<option value="">${config.allLabel}</option>` + options.map(option => `
+      <option value="${option.value}">${label(option.value, option)} (${option.count})</option>
+    `).join('');
+    select.value = selectedOption ? selectedOption.value : selected;
+  });
 };
 
 const initializeFilterListeners = () => {
   const searchInput = document.getElementById('search-input');
-  const platformFilter = document.getElementById('platform-filter');
-  const genreFilter = document.getElementById('genre-filter');
-  const statusFilter = document.getElementById('status-filter');
-  const ratingFilter = document.getElementById('rating-filter');
+  const sortFilter = document.getElementById('sort-filter');
+  const delayedFilter = document.getElementById('delayed-filter');
   const clearBtn = document.getElementById('clear-filters');
   
   // Debounced search
@@ -80,30 +118,23 @@ const initializeFilterListeners = () => {
   }
   
   // Filter changes
-  if (platformFilter) {
-    platformFilter.addEventListener('change', (e) => {
-      currentFilters.platform = e.target.value;
+  Object.entries(FACET_SELECTS).forEach(([name, { id }]) => {
+    document.getElementById(id)?.addEventListener('change', (e) => {
+      currentFilters[name] = e.target.value;
       applyFilters();
     });
-  }
+  });
   
-  if (genreFilter) {
-    genreFilter.addEventListener('change', (e) => {
-      currentFilters.genre = e.target.value;
+  if (delayedFilter) {
+    delayedFilter.addEventListener('change', (e) => {
+      currentFilters.delayedWithin = e.target.value;
       applyFilters();
     });
   }
   
-  if (statusFilter) {
-    statusFilter.addEventListener('change', (e) => {
-      currentFilters.status = e.target.value;
-      applyFilters();
-    });
-  }
-  
-  if (ratingFilter) {
-    ratingFilter.addEventListener('change', (e) => {
-      currentFilters.minRating = e.target.value;
+  if (sortFilter) {
+    sortFilter.addEventListener('change', (e) => {
+      currentFilters.sort = e.target.value;
       applyFilters();
     });
   }
@@ -123,22 +154,21 @@ const applyFilters = async () => {
       Object.entries(currentFilters).filter(([_, v]) => v !== '')
     );
     
-    let games;
+    // The filter endpoint handles text search too, and the first page
+    // brings back updated facet counts for the dropdowns
+    const fetchPage = async (cursor) => {
+      const data = await gameAPI.filter({
+        ...cleanFilters,
+        cursor,
+        facets: cursor ? undefined : true
+      });
+      if (data.facets) {
+        updateFacetOptions(data.facets);
+      }
+      return data;
+    };
     
-    // If only title search, use search endpoint
-    if (Object.keys(cleanFilters).length === 1 && cleanFilters.title) {
-      games = await gameAPI.search(cleanFilters.title);
-    } 
-    // If no filters, get all
-    else if (Object.keys(cleanFilters).length === 0) {
-      games = await gameAPI.getAll();
-    }
-    // Otherwise use filter endpoint
-    else {
-      games = await gameAPI.filter(cleanFilters);
-    }
-    
-    renderGameGrid(games, 'games-container');
+    await renderPagedGameGrid(fetchPage, 'games-container');
   } catch (error) {
     showError('Failed to filter games: ' + error.message);
   } finally {
@@ -150,10 +180,11 @@ const clearFilters = () => {
   currentFilters = {};
   
   document.getElementById('search-input').value = '';
-  document.getElementById('platform-filter').value = '';
-  document.getElementById('genre-filter').value = '';
-  document.getElementById('status-filter').value = '';
-  document.getElementById('rating-filter').value = '';
+  document.getElementById('sort-filter').value = '';
+  document.getElementById('delayed-filter').value = '';
+  Object.values(FACET_SELECTS).forEach(({ id }) => {
+    document.getElementById(id).value = '';
+  });
   
   applyFilters();
-};
\ No newline at end of file
+};
@@ -1,5 +1,7 @@
 // Game Card Component
-import { createStarRating, formatDate } from '../utils/helpers.js';
+import { createStarRating, formatDate, highlightTerms, releaseForRegion, REGIONS } from '../utils/helpers.js';
+import { getPreferredRegion } from '../services/auth.js';
+import { createPagedListing } from './loadMore.js';
 
 export const createGameCard = (game) => {
   const card = document.createElement('div');
@@ -9,6 +11,11 @@ export const createGameCard = (game) => {
   const imageUrl = game.imageBase64 || game.image || 'images/placeholder.png';
   const rating = game.averageRating || 0;
   const totalRatings = game.totalRatings || 0;
+  // Search results carry the matched words to highlight
+  const matchedTerms = game.search?.matchedTerms || [];
+  // Launch date in the user's region when the game has per-region dates
+  const release = releaseForRegion(game, getPreferredRegion());
+  const releaseRegion = release.region && release.region !== 'ww' ? ` (${REGIONS[release.region]})` : '';
   
   card.innerHTML = `
     <div class="game-image">
@@ -18,14 +25,14 @@ export const createGameCard = (game) => {
       </span>
     </div>
     <div class="game-info">
-      <h3 class="game-title">${game.title}</h3>
-      <p class="game-genre">${game.genre}</p>
-      <p class="game-platform">${game.platform}</p>
+      <h3 class="game-title">${highlightTerms(game.title, matchedTerms)}</h3>
+      <p class="game-genre">${highlightTerms(game.genre, matchedTerms)}</p>
+      <p class="game-platform">${highlightTerms(game.platform, matchedTerms)}</p>
       <div class="game-rating">
         <span class="stars">${createStarRating(rating)}</span>
         <span class="rating-text">${rating.toFixed(1)}/5 (${totalRatings})</span>
       </div>
-      <p class="game-release">Release: ${formatDate(game.releaseDate)}</p>
+      <p class="game-release">Release: ${formatDate(release.date)}${releaseRegion}</p>
     </div>
   `;
   
@@ -36,13 +43,15 @@ export const createGameCard = (game) => {
   return card;
 };
 
-export const renderGameGrid = (games, containerId) => {
+export const renderGameGrid = (games, containerId, { append = false } = {}) => {
   const container = document.getElementById(containerId);
   if (!container) return;
   
-  container.innerHTML = '';
+  if (!append) {
+    container.innerHTML = '';
+  }
   
-  if (games.length === 0) {
+  if (games.length === 0 && !append) {
     container.innerHTML = '<p class="no-games">No games found</p>';
     return;
   }
@@ -50,4 +59,13 @@ export const renderGameGrid = (games, containerId) => {
   games.forEach(game => {
     container.appendChild(createGameCard(game));
   });
-};
\ No newline at end of file
+};
+
+// Render a cursor-paged game listing with a "Load More" button
+// fetchPage(cursor) should call one of the gameAPI listing methods
+export const renderPagedGameGrid = (fetchPage, containerId) => createPagedListing({
+  containerId,
+  fetchPage,
+  itemsKey: 'games',
+  render: renderGameGrid
+});
@@ -0,0 +1,62 @@
+// Load More Component - cursor pagination for game and review listings
+import { showError, showLoading } from '../utils/helpers.js';
+
+// Active listing per container, so a newer listing (e.g. a filter change)
+// replaces the older one and late responses from the old one are ignored
+const listings = {};
+
+// Show a paged listing in a container.
+// fetchPage(cursor) must resolve to { [itemsKey]: [...], page: { hasMore, nextCursor } }
+// render(items, containerId, { append }) draws the items.
+export const createPagedListing = async ({ containerId, fetchPage, itemsKey, render }) => {
+  const listing = { fetchPage, itemsKey, render, cursor: null };
+  listings[containerId] = listing;
+
+  await loadNextPage(containerId, listing, false);
+};
+
+const loadNextPage = async (containerId, listing, append) => {
+  const data = await listing.fetchPage(listing.cursor);
+
+  // A newer listing took over this container while we were waiting
+  if (listings[containerId] !== listing) return;
+
+  listing.render(data[listing.itemsKey] || [], containerId, { append });
+  listing.cursor = data.page?.nextCursor || null;
+
+  updateLoadMoreButton(containerId, listing, data.page?.hasMore === true);
+};
+
+const updateLoadMoreButton = (containerId, listing, hasMore) => {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const buttonId = `${containerId}-load-more`;
+  let button = document.getElementById(buttonId);
+
+  if (!hasMore) {
+    button?.remove();
+    return;
+  }
+
+  if (!button) {
+    button = document.createElement('button');
+    button.id = buttonId;
+    button.className = 'btn-secondary load-more-btn';
+    button.textContent = 'Load More';
+    container.insertAdjacentElement('afterend', button);
+  }
+
+  button.onclick = async () => {
+    try {
+      button.disabled = true;
+      showLoading(true);
+      await loadNextPage(containerId, listing, true);
+    } catch (error) {
+      showError('Failed to load more: ' + error.message);
+    } finally {
+      button.disabled = false;
+      showLoading(false);
+    }
+  };
+};
@@ -0,0 +1,155 @@
+// Moderation Queue Component - reported reviews for admins
+import { moderationAPI } from '../services/api.js';
+import { createPagedListing } from './loadMore.js';
+import { showMessage, showError, showLoading, escapeHtml } from '../utils/helpers.js';
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  hidden: 'Hidden',
+  dismissed: 'Dismissed',
+  restored: 'Restored',
+  deleted: 'Deleted',
+  all: 'All'
+};
+
+// Actions offered for a case in each status (mirrors the backend rules)
+const STATUS_ACTIONS = {
+  pending: ['dismiss', 'hide', 'delete', 'warn'],
+  hidden: ['restore', 'delete', 'warn'],
+  dismissed: ['hide', 'delete', 'warn'],
+  restored: ['hide', 'delete', 'warn'],
+  deleted: ['warn']
+};
+
+const ACTION_LABELS = {
+  dismiss: 'Dismiss',
+  hide: 'Hide',
+  restore: 'Restore',
+  delete: 'Delete',
+  warn: 'Warn Author'
+};
+
+let currentStatus = 'pending';
+
+export const createModerationQueue = (containerId) => {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  container.innerHTML = `
+    <div id="moderation-tabs" class="moderation-tabs"></div>
+    <div id="moderation-cases"></div>
+  `;
+
+  document.getElementById('moderation-tabs').addEventListener('click', (e) => {
+    const tab = e.target.closest('[data-status]');
+    if (!tab) return;
+    currentStatus = tab.dataset.status;
+    loadQueue();
+  });
+
+  document.getElementById('moderation-cases').addEventListener('click', async (e) => {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+    await applyAction(button.dataset.reviewId, button.dataset.action);
+  });
+
+  loadQueue();
+};
+
+const renderTabs = (counts) => {
+  const tabs = document.getElementById('moderation-tabs');
+  if (!tabs) return;
+
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  tabs.innerHTML = Object.entries(STATUS_LABELS).map(([status, label]) => `
+    <button class="btn-secondary ${status === currentStatus ? 'active' : ''}" data-status="${status}">
+      ${label} (${status === 'all' ? total : counts[status] || 0})
+    </button>
+  `).join('');
+};
+
+const loadQueue = async () => {
+  try {
+    showLoading(true);
+    await createPagedListing({
+      containerId: 'moderation-cases',
+      fetchPage: async (cursor) => {
+        const data = await moderationAPI.getQueue({ status: currentStatus, cursor });
+        renderTabs(data.counts || {});
+        return data;
+      },
+      itemsKey: 'cases',
+      render: renderCases
+    });
+  } catch (error) {
+    showError('Failed to load moderation queue: ' + error.message);
+  } finally {
+    showLoading(false);
+  }
+};
+
+const renderCases = (cases, containerId, { append = false } = {}) => {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  if (!append && cases.length === 0) {
+    container.innerHTML = '<p class="no-reviews">No reported reviews here.</p>';
+    return;
+  }
+
+  const html = cases.map(moderationCase => {
+    const reasons = Object.entries(moderationCase.reasons || {})
+      .map(([reason, count]) => `${reason} × ${count}`)
+      .join(', ');
+    const actions = (STATUS_ACTIONS[moderationCase.status] || []).map(action => `
+      <button class="btn-secondary" data-review-id="${moderationCase.reviewId}" data-action="${action}">
+        ${ACTION_LABELS[action]}
+      </button>
+    `).join('');
+
+    return `
+      <div class="review-card moderation-case">
+        <div class="review-header">
+          <span class="review-author">User ${moderationCase.authorId.substring(0, 8)} on ${moderationCase.gameId}</span>
+          ${moderationCase.review?.rating ? `<span class="review-rating">${'⭐'.repeat(moderationCase.review.rating)}</span>` : ''}
+          <span class="moderation-status">${STATUS_LABELS[moderationCase.status] || moderationCase.status}</span>
+        </div>
+        ${moderationCase.review?.text ? `<p class="review-text">${escapeHtml(moderationCase.review.text)}</p>` : ''}
+        <p class="moderation-meta">
+          ${moderationCase.reportCount} report(s): ${reasons}
+          ${moderationCase.warnings ? ` · author warned ${moderationCase.warnings} time(s)` : ''}
+        </p>
+        <div class="moderation-actions">${actions}</div>
+      </div>
+    `;
+  }).join('');
+
+  if (append) {
+    container.insertAdjacentHTML('beforeend', html);
+  } else {
+    container.innerHTML = html;
+  }
+};
+
+const applyAction = async (reviewId, action) => {
+  const options = {};
+
+  if (action === 'delete' && !confirm('Delete this review permanently?')) return;
+
+  if (action === 'warn') {
+    const message = prompt('Warning message for the author:');
+    if (message === null) return;
+    options.message = message.trim() || undefined;
+  }
+
+  try {
+    showLoading(true);
+    await moderationAPI.act(reviewId, action, options);
+    showMessage(`${ACTION_LABELS[action]} applied`);
+    await loadQueue();
+  } catch (error) {
+    showError(`Failed to ${action} review: ` + error.message);
+  } finally {
+    showLoading(false);
+  }
+};
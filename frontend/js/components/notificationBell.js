@@ -0,0 +1,172 @@
+// Notification Bell Component - unread badge and inbox in the page header
+import { notificationAPI } from '../services/api.js';
+import { createPagedListing } from './loadMore.js';
+import { showMessage, showError, escapeHtml } from '../utils/helpers.js';
+
+// How often the badge checks for new notifications
+const POLL_INTERVAL_MS = 60 * 1000;
+
+const TYPE_ICONS = {
+  'release-soon': '⏰',
+  released: '🎮',
+  'date-changed': '📅'
+};
+
+// Add the bell to a header's .auth box (before the logout button)
+export const createNotificationBell = (authElement) => {
+  if (!authElement || authElement.querySelector('.notification-bell')) return;
+
+  const bell = document.createElement('div');
+  bell.className = 'notification-bell';
+  bell.innerHTML = `
+    <button class="notification-toggle" id="notificationToggle" title="Notifications">
+      🔔 <span class="notification-badge" id="notificationBadge" hidden></span>
+    </button>
+    <div class="notification-inbox" id="notificationInbox" hidden>
+      <div class="notification-inbox-header">
+        <strong>Notifications</strong>
+        <button class="btn-secondary" id="notificationsReadAll">Mark all read</button>
+        <button class="btn-secondary" id="notificationsSettings">Settings</button>
+      </div>
+      <form class="notification-preferences" id="notificationPreferences" hidden></form>
+      <div class="notification-list" id="notification-list"></div>
+    </div>
+  `;
+  authElement.insertBefore(bell, authElement.querySelector('.logout'));
+
+  const inbox = bell.querySelector('#notificationInbox');
+
+  bell.querySelector('#notificationToggle').addEventListener('click', () => {
+    inbox.hidden = !inbox.hidden;
+    if (!inbox.hidden) loadInbox();
+  });
+
+  bell.querySelector('#notificationsReadAll').addEventListener('click', async () => {
+    try {
+      await notificationAPI.markAllRead();
+      await loadInbox();
+    } catch (error) {
+      showError('Failed to update notifications: ' + error.message);
+    }
+  });
+
+  bell.querySelector('#notificationsSettings').addEventListener('click', () => {
+    const form = bell.querySelector('#notificationPreferences');
+    form.hidden = !form.hidden;
+    if (!form.hidden) loadPreferences(form);
+  });
+
+  bell.querySelector('#notification-list').addEventListener('click', async (e) => {
+    const item = e.target.closest('[data-notification-id]');
+    if (!item) return;
+    await openNotification(item.dataset.notificationId, item.dataset.gameId, item.dataset.read === 'true');
+  });
+
+  refreshBadge();
+  setInterval(refreshBadge, POLL_INTERVAL_MS);
+};
+
+const updateBadge = (unreadCount) => {
+  const badge = document.getElementById('notificationBadge');
+  if (!badge) return;
+  badge.textContent = unreadCount > 99 ? '99+' : String(unreadCount);
+  badge.hidden = unreadCount === 0;
+};
+
+const refreshBadge = async () => {
+  try {
+    const { unreadCount } = await notificationAPI.getUnreadCount();
+    updateBadge(unreadCount);
+  } catch (error) {
+    console.error('Failed to check notifications:', error);
+  }
+};
+
+const renderNotifications = (notifications, containerId, { append = false } = {}) => {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  if (!append && notifications.length === 0) {
+    container.innerHTML = '<p class="notification-empty">No notifications yet</p>';
+    return;
+  }
+
+  const html = notifications.map(notification => `
+    <div class="notification-item ${notification.read ? '' : 'unread'}"
+         data-notification-id="${notification.notificationId}"
+         data-game-id="${notification.gameId}"
+         data-read="${notification.read}">
+      <span class="notification-icon">${TYPE_ICONS[notification.type] || '🔔'}</span>
+      <span class="notification-message">${escapeHtml(notification.message)}</span>
+      <span class="notification-time">${new Date(notification.createdAt).toLocaleDateString()}</span>
+    </div>
+  `).join('');
+
+  if (append) {
+    container.insertAdjacentHTML('beforeend', html);
+  } else {
+    container.innerHTML = html;
+  }
+};
+
+const loadInbox = async () => {
+  try {
+    await createPagedListing({
+      containerId: 'notification-list',
+      fetchPage: async (cursor) => {
+        const data = await notificationAPI.getAll({ cursor, limit: 10 });
+        updateBadge(data.unreadCount);
+        return data;
+      },
+      itemsKey: 'notifications',
+      render: renderNotifications
+    });
+  } catch (error) {
+    showError('Failed to load notifications: ' + error.message);
+  }
+};
+
+// Mark as read and go to the game
+const openNotification = async (notificationId, gameId, read) => {
+  try {
+    if (!read) {
+      await notificationAPI.markRead(notificationId);
+    }
+    window.location.href = `game-detail.html?id=${gameId}`;
+  } catch (error) {
+    showError('Failed to open notification: ' + error.message);
+  }
+};
+
+const loadPreferences = async (form) => {
+  try {
+    const preferences = await notificationAPI.getPreferences();
+    form.innerHTML = `
+      <label><input type="checkbox" name="releaseReminders" ${preferences.releaseReminders ? 'checked' : ''}>
+        Remind me
+        <input type="number" name="leadTimeDays" min="1" max="30" value="${preferences.leadTimeDays}">
+        day(s) before a favorite releases</label>
+      <label><input type="checkbox" name="releases" ${preferences.releases ? 'checked' : ''}> When a favorite is released</label>
+      <label><input type="checkbox" name="dateChanges" ${preferences.dateChanges ? 'checked' : ''}> When a favorite's release date changes</label>
+      <button type="submit" class="btn-primary">Save</button>
+    `;
+
+    form.onsubmit = async (e) => {
+      e.preventDefault();
+      try {
+        await notificationAPI.updatePreferences({
+          releaseReminders: form.releaseReminders.checked,
+          leadTimeDays: form.leadTimeDays.value,
+          releases: form.releases.checked,
+          dateChanges: form.dateChanges.checked
+        });
+        showMessage('Notification settings saved');
+        form.hidden = true;
+      } catch (error) {
+        showError('Failed to save settings: ' + error.message);
+      }
+    };
+  } catch (error) {
+    showError('Failed to load notification settings: ' + error.message);
+  }
+};
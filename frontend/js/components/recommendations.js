@@ -0,0 +1,41 @@
+// Recommendations Component - personalized games with a "because you liked" note
+import { userAPI, gameAPI } from '../services/api.js';
+import { createGameCard, renderPagedGameGrid } from './gameCard.js';
+import { createPagedListing } from './loadMore.js';
+
+const renderRecommendations = (recommendations, containerId, { append = false } = {}) => {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  if (!append) {
+    container.innerHTML = '';
+  }
+
+  recommendations.forEach(({ game, because }) => {
+    const card = createGameCard(game);
+    const note = document.createElement('p');
+    note.className = 'recommendation-reason';
+    note.textContent = `Because you liked ${because.title}: ${because.reason}`;
+    card.querySelector('.game-info').appendChild(note);
+    container.appendChild(card);
+  });
+};
+
+// Show the user's recommendations; users we know nothing about yet (no
+// favorites or good ratings) see the regular catalog instead
+export const showRecommendations = async (userId, containerId) => {
+  const first = await userAPI.getRecommendations(userId, { limit: 1 });
+
+  if (!first.recommendations?.length) {
+    await renderPagedGameGrid((cursor) => gameAPI.getAll({ cursor }), containerId);
+    return false;
+  }
+
+  await createPagedListing({
+    containerId,
+    fetchPage: (cursor) => userAPI.getRecommendations(userId, { cursor }),
+    itemsKey: 'recommendations',
+    render: renderRecommendations
+  });
+  return true;
+};
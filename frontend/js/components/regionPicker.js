@@ -0,0 +1,29 @@
+// Region Picker Component - which region's release dates to show
+import { getPreferredRegion, setPreferredRegion } from '../services/auth.js';
+import { REGIONS, showError } from '../utils/helpers.js';
+
+// Add the picker to the start of a header's .auth box. Changing it saves
+// the preference (to the profile when signed in) and reloads the page so
+// cards and the calendar show that region's dates.
+export const createRegionPicker = (authElement) => {
+  if (!authElement || authElement.querySelector('.region-picker')) return;
+
+  const select = document.createElement('select');
+  select.className = 'region-picker';
+  select.title = 'Release dates for region';
+  select.innerHTML = Object.entries(REGIONS)
+    .map(([code, name]) => `<option value="${code}">${name}</option>`)
+    .join('');
+  select.value = getPreferredRegion();
+
+  select.addEventListener('change', async () => {
+    try {
+      await setPreferredRegion(select.value);
+      window.location.reload();
+    } catch (error) {
+      showError('Failed to save region: ' + error.message);
+    }
+  });
+
+  authElement.prepend(select);
+};
@@ -1,9 +1,11 @@
 // Review Form Component
 import { reviewAPI } from '../services/api.js';
-import { showMessage, showError } from '../utils/helpers.js';
-import { getCurrentUserData } from '../services/auth.js';
+import { showMessage, showError, escapeHtml } from '../utils/helpers.js';
+import { getCurrentUserData, isAdmin } from '../services/auth.js';
+import { createPagedListing } from './loadMore.js';
 
-export const createReviewForm = (gameId, containerId) => {
+// Opens in edit mode, prefilled, when the user has already reviewed the game
+export const createReviewForm = async (gameId, containerId) => {
   const container = document.getElementById(containerId);
   if (!container) return;
   
@@ -13,9 +15,12 @@ export const createReviewForm = (gameId, containerId) => {
     return;
   }
   
+  const existingReview = await findMyReview(gameId);
+  
   container.innerHTML = `
     <div class="review-form">
-      <h3>Write Your Review</h3>
+      <h3>${existingReview ? 'Edit Your Review' : 'Write Your Review'}</h3>
+      ${existingReview?.hidden ? '<p class="review-hidden-note">Your review is currently hidden by a moderator.</p>' : ''}
       <form id="reviewSubmitForm">
         <div class="rating-input">
           <label>Rating:</label>
@@ -42,18 +47,37 @@ export const createReviewForm = (gameId, containerId) => {
           ></textarea>
         </div>
         
-        <button type="submit" class="btn-primary">Submit Review</button>
+        <button type="submit" class="btn-primary">${existingReview ? 'Update Review' : 'Submit Review'}</button>
       </form>
     </div>
   `;
   
+  if (existingReview) {
+    if (existingReview.rating) {
+      document.getElementById(`star${existingReview.rating}`).checked = true;
+    }
+    document.getElementById('reviewText').value = existingReview.text || '';
+  }
+  
   document.getElementById('reviewSubmitForm').addEventListener('submit', async (e) => {
     e.preventDefault();
-    await submitReview(gameId, userData.userId);
+    await submitReview(gameId, existingReview);
   });
 };
 
-const submitReview = async (gameId, userId) => {
+const findMyReview = async (gameId) => {
+  try {
+    return await reviewAPI.getMine(gameId);
+  } catch (error) {
+    // 404 just means no review yet
+    if (error.status !== 404) {
+      console.error('Failed to load your review:', error);
+    }
+    return null;
+  }
+};
+
+const submitReview = async (gameId, existingReview) => {
   const rating = document.querySelector('input[name="rating"]:checked')?.value;
   const text = document.getElementById('reviewText').value.trim();
   
@@ -63,17 +87,21 @@ const submitReview = async (gameId, userId) => {
   }
   
   try {
-    await reviewAPI.create({
-      userId,
-      gameId,
+    const reviewData = {
       text: text || null,
       rating: rating ? parseInt(rating) : null
-    });
-    
-    showMessage('Review submitted successfully!');
+    };
     
-    // Reset form
-    document.getElementById('reviewSubmitForm').reset();
+    if (existingReview) {
+      await reviewAPI.update(existingReview.reviewId, reviewData);
+      showMessage('Review updated successfully!');
+    } else {
+      await reviewAPI.create({ gameId, ...reviewData });
+      showMessage('Review submitted successfully!');
+      
+      // Reset form
+      document.getElementById('reviewSubmitForm').reset();
+    }
     
     // Reload reviews
     setTimeout(() => {
@@ -84,23 +112,217 @@ const submitReview = async (gameId, userId) => {
   }
 };
 
-export const displayReviews = (reviews, containerId) => {
+const REPORT_REASONS = {
+  spam: 'Spam',
+  offensive: 'Offensive',
+  spoilers: 'Spoilers',
+  'off-topic': 'Off-topic',
+  other: 'Other'
+};
+
+export const displayReviews = (reviews, containerId, { append = false } = {}) => {
   const container = document.getElementById(containerId);
   if (!container) return;
   
+  const currentUser = getCurrentUserData();
+  setupReportButtons(container);
+  setupVoteButtons(container);
+  setupHistoryButtons(container);
+  
   if (reviews.length === 0) {
-    container.innerHTML = '<p class="no-reviews">No reviews yet. Be the first to review!</p>';
+    if (!append) {
+      container.innerHTML = '<p class="no-reviews">No reviews yet. Be the first to review!</p>';
+    }
     return;
   }
   
-  container.innerHTML = reviews.map(review => `
+  const html = reviews.map(review => `
     <div class="review-card">
       <div class="review-header">
         <span class="review-author">User ${review.userId.substring(0, 8)}</span>
         ${review.rating ? `<span class="review-rating">${'⭐'.repeat(review.rating)}</span>` : ''}
         <span class="review-date">${new Date(review.dateTimePosted).toLocaleDateString()}</span>
+        ${renderEdited(review, currentUser)}
       </div>
-      ${review.text ? `<p class="review-text">${review.text}</p>` : ''}
+      ${review.text ? `<p class="review-text">${escapeHtml(review.text)}</p>` : ''}
+      ${renderVotes(review, currentUser)}
+      ${currentUser && currentUser.userId !== review.userId ? `
+        <button class="report-review-btn" data-review-id="${review.reviewId}">Report</button>
+      ` : ''}
     </div>
   `).join('');
-};
\ No newline at end of file
+  
+  if (append) {
+    container.insertAdjacentHTML('beforeend', html);
+  } else {
+    container.innerHTML = html;
+  }
+  
+  if (currentUser) {
+    markMyVotes(container, reviews.filter(review => review.userId !== currentUser.userId));
+  }
+};
+
+// "edited" marker; the author and admins can open the edit history from it
+const renderEdited = (review, currentUser) => {
+  if (!review.revisionCount) return '';
+  
+  const title = `Edited ${new Date(review.editedAt).toLocaleString()}`;
+  if (currentUser && (currentUser.userId === review.userId || isAdmin())) {
+    return `<button class="review-edited history-btn" data-review-id="${review.reviewId}" title="${title}">edited (${review.revisionCount})</button>`;
+  }
+  return `<span class="review-edited" title="${title}">edited</span>`;
+};
+
+// History buttons toggle a list of earlier versions under the review
+const setupHistoryButtons = (container) => {
+  if (container.dataset.historyReady) return;
+  container.dataset.historyReady = 'true';
+  
+  container.addEventListener('click', async (e) => {
+    const historyBtn = e.target.closest('.history-btn');
+    if (!historyBtn) return;
+    
+    const card = historyBtn.closest('.review-card');
+    const open = card.querySelector('.review-history');
+    if (open) {
+      open.remove();
+      return;
+    }
+    
+    try {
+      const history = await reviewAPI.getHistory(historyBtn.dataset.reviewId);
+      const items = history.revisions.map(revision => `
+        <li>
+          <span class="review-date">${new Date(revision.writtenAt).toLocaleString()}</span>
+          ${revision.rating ? `<span class="review-rating">${'⭐'.repeat(revision.rating)}</span>` : ''}
+          ${revision.text ? `<p class="review-text">${escapeHtml(revision.text)}</p>` : ''}
+        </li>
+      `).join('');
+      card.insertAdjacentHTML('beforeend', `
+        <div class="review-history">
+          <h4>Earlier versions</h4>
+          <ul>${items}</ul>
+        </div>
+      `);
+    } catch (error) {
+      showError('Failed to load review history: ' + error.message);
+    }
+  });
+};
+
+// Helpful/unhelpful counts. Other users' reviews get clickable buttons;
+// your own reviews and logged-out visitors only see the counts.
+const renderVotes = (review, currentUser) => {
+  const canVote = currentUser && currentUser.userId !== review.userId;
+  const counts = {
+    helpful: review.helpfulCount || 0,
+    unhelpful: review.unhelpfulCount || 0
+  };
+  
+  const control = (vote, icon) => (canVote
+    ? `<button class="vote-btn" data-review-id="${review.reviewId}" data-vote="${vote}" title="${vote === 'helpful' ? 'Helpful' : 'Not helpful'}">
+        ${icon} <span class="vote-count">${counts[vote]}</span>
+      </button>`
+    : `<span class="vote-tally">${icon} ${counts[vote]}</span>`);
+  
+  return `
+    <div class="review-votes">
+      ${control('helpful', '👍')}
+      ${control('unhelpful', '👎')}
+    </div>
+  `;
+};
+
+const updateVoteButtons = (card, { vote, helpfulCount, unhelpfulCount }) => {
+  const counts = { helpful: helpfulCount, unhelpful: unhelpfulCount };
+  card.querySelectorAll('.vote-btn').forEach(button => {
+    button.classList.toggle('active', button.dataset.vote === vote);
+    button.querySelector('.vote-count').textContent = counts[button.dataset.vote];
+  });
+};
+
+// Highlight the buttons for votes the user has already cast
+const markMyVotes = async (container, reviews) => {
+  if (reviews.length === 0) return;
+  
+  try {
+    const votes = await reviewAPI.getMyVotes(reviews.map(review => review.reviewId));
+    Object.entries(votes).forEach(([reviewId, vote]) => {
+      container.querySelector(`.vote-btn[data-review-id="${reviewId}"][data-vote="${vote}"]`)?.classList.add('active');
+    });
+  } catch (error) {
+    console.error('Failed to load your votes:', error);
+  }
+};
+
+// Clicking a vote casts it; clicking the active vote again takes it back
+const setupVoteButtons = (container) => {
+  if (container.dataset.votesReady) return;
+  container.dataset.votesReady = 'true';
+  
+  container.addEventListener('click', async (e) => {
+    const voteBtn = e.target.closest('.vote-btn');
+    if (!voteBtn) return;
+    
+    const { reviewId, vote } = voteBtn.dataset;
+    const card = voteBtn.closest('.review-card');
+    
+    try {
+      const result = voteBtn.classList.contains('active')
+        ? await reviewAPI.removeVote(reviewId)
+        : await reviewAPI.vote(reviewId, vote);
+      updateVoteButtons(card, result);
+    } catch (error) {
+      showError('Failed to record vote: ' + error.message);
+    }
+  });
+};
+
+// Report buttons open a small inline form under the review. The click
+// handler is attached once per container and serves every page of reviews.
+const setupReportButtons = (container) => {
+  if (container.dataset.reportsReady) return;
+  container.dataset.reportsReady = 'true';
+  
+  container.addEventListener('click', (e) => {
+    const reportBtn = e.target.closest('.report-review-btn');
+    if (!reportBtn) return;
+    
+    const card = reportBtn.closest('.review-card');
+    if (card.querySelector('.report-form')) return;
+    
+    card.insertAdjacentHTML('beforeend', `
+      <form class="report-form" data-review-id="${reportBtn.dataset.reviewId}">
+        <select name="reason" class="filter-select" required>
+          ${Object.entries(REPORT_REASONS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+        </select>
+        <input type="text" name="details" class="search-input" maxlength="500" placeholder="Anything else? (optional)">
+        <button type="submit" class="btn-secondary">Send Report</button>
+      </form>
+    `);
+  });
+  
+  container.addEventListener('submit', async (e) => {
+    const form = e.target.closest('.report-form');
+    if (!form) return;
+    e.preventDefault();
+    
+    try {
+      await reviewAPI.report(form.dataset.reviewId, form.reason.value, form.details.value.trim() || null);
+      showMessage('Review reported. Thank you!');
+      form.closest('.review-card').querySelector('.report-review-btn')?.remove();
+      form.remove();
+    } catch (error) {
+      showError('Failed to report review: ' + error.message);
+    }
+  });
+};
+
+// Display a cursor-paged review listing with a "Load More" button
+export const displayPagedReviews = (fetchPage, containerId) => createPagedListing({
+  containerId,
+  fetchPage,
+  itemsKey: 'reviews',
+  render: displayReviews
+});
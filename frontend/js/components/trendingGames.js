@@ -0,0 +1,47 @@
+// Trending Games Component - games with the most recent community activity
+import { gameAPI } from '../services/api.js';
+import { renderPagedGameGrid } from './gameCard.js';
+import { showError } from '../utils/helpers.js';
+
+const WINDOWS = {
+  '24h': 'Today',
+  '7d': 'This Week',
+  '30d': 'This Month'
+};
+
+const TRENDING_PAGE_SIZE = 8;
+
+export const createTrendingSection = (containerId, defaultWindow = '7d') => {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  const gridId = `${containerId}-grid`;
+  container.innerHTML = `
+    <div class="trending-windows">
+      ${Object.entries(WINDOWS).map(([window, label]) => `
+        <button class="btn-secondary ${window === defaultWindow ? 'active' : ''}" data-window="${window}">${label}</button>
+      `).join('')}
+    </div>
+    <div class="game-grid" id="${gridId}"></div>
+  `;
+
+  container.querySelector('.trending-windows').addEventListener('click', (e) => {
+    const button = e.target.closest('[data-window]');
+    if (!button) return;
+    container.querySelectorAll('[data-window]').forEach(btn => btn.classList.toggle('active', btn === button));
+    loadTrending(gridId, button.dataset.window);
+  });
+
+  loadTrending(gridId, defaultWindow);
+};
+
+const loadTrending = async (gridId, window) => {
+  try {
+    await renderPagedGameGrid(
+      (cursor) => gameAPI.getTrending({ window, limit: TRENDING_PAGE_SIZE, cursor }),
+      gridId
+    );
+  } catch (error) {
+    showError('Failed to load trending games: ' + error.message);
+  }
+};
@@ -2,9 +2,19 @@
 import { initAuth, login, register, logout, getUserRole, getCurrentUserData } from './services/auth.js';
 import { gameAPI, reviewAPI } from './services/api.js';
 import { createFilterBar } from './components/filterBar.js';
-import { renderGameGrid } from './components/gameCard.js';
+import { renderPagedGameGrid } from './components/gameCard.js';
 import { initCalendar } from './components/calendar.js';
-import { displayReviews } from './components/reviewForm.js';
+import { displayPagedReviews } from './components/reviewForm.js';
+import { createAuditLogViewer } from './components/auditLog.js';
+import { createCatalogImport } from './components/catalogImport.js';
+import { createModerationQueue } from './components/moderationQueue.js';
+import { createTrendingSection } from './components/trendingGames.js';
+import { showRecommendations } from './components/recommendations.js';
+import { createCollectionsManager } from './components/collections.js';
+import { createNotificationBell } from './components/notificationBell.js';
+import { createRegionPicker } from './components/regionPicker.js';
+import { createCalendarSubscribe } from './components/calendarSubscribe.js';
+import { addFeedLinks, PAGE_FEEDS } from './components/feedLinks.js';
 import { showMessage, showError, showLoading } from './utils/helpers.js';
 
 // Initialize application
@@ -17,15 +27,27 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Update welcome message with username
   updateWelcomeMessage();
   
+  // Region for release dates, and the notification bell for signed-in users
+  createRegionPicker(document.querySelector('header .auth'));
+  if (getCurrentUserData()) {
+    createNotificationBell(document.querySelector('header .auth'));
+  }
+  
   // Check current page and initialize
   const currentPage = window.location.pathname.split('/').pop();
   
-  if (currentPage.includes('index') || currentPage === '' || currentPage === 'index.html') {
-    initHomePage();
+  if (currentPage.includes('admin_index')) {
+    initAdminHomePage();
+  } else if (currentPage.includes('my-favorites')) {
+    initFavoritesPage();
   } else if (currentPage.includes('user_index')) {
     initUserHomePage();
+  } else if (currentPage.includes('index') || currentPage === '' || currentPage === 'index.html') {
+    initHomePage();
   } else if (currentPage.includes('calendar')) {
     initCalendarPage();
+  } else if (currentPage.includes('admin_reviews')) {
+    initModerationPage();
   } else if (currentPage.includes('reviews')) {
     initReviewsPage();
   }
@@ -46,15 +68,26 @@ function updateWelcomeMessage() {
   }
 }
 
+// Featured games are the top rated ones; until anything has been rated
+// the whole catalog is shown instead
+const renderFeaturedGames = async () => {
+  const top = await gameAPI.getTop({ limit: 1 });
+  const fetchPage = top.games?.length
+    ? (cursor) => gameAPI.getTop({ cursor })
+    : (cursor) => gameAPI.getAll({ cursor });
+  await renderPagedGameGrid(fetchPage, 'games-container');
+};
+
 // Initialize guest home page
 const initHomePage = async () => {
   createFilterBar('filter-container');
+  createTrendingSection('trending-container');
+  addFeedLinks([PAGE_FEEDS.newGames, PAGE_FEEDS.upcoming], 'feed-links');
   
   // Load featured games by default
   try {
     showLoading(true);
-    const games = await gameAPI.getAll();
-    renderGameGrid(games, 'games-container');
+    await renderFeaturedGames();
   } catch (error) {
     showError('Failed to load games: ' + error.message);
   } finally {
@@ -70,8 +103,7 @@ const initHomePage = async () => {
     document.getElementById('section-title').textContent = 'Featured Games';
     try {
       showLoading(true);
-      const games = await gameAPI.getAll();
-      renderGameGrid(games, 'games-container');
+      await renderFeaturedGames();
     } catch (error) {
       showError('Failed to load games');
     } finally {
@@ -87,8 +119,10 @@ const initHomePage = async () => {
     document.getElementById('section-title').textContent = 'Anticipated Games';
     try {
       showLoading(true);
-      const games = await gameAPI.filter({ status: 'upcoming' });
-      renderGameGrid(games, 'games-container');
+      await renderPagedGameGrid(
+        (cursor) => gameAPI.filter({ status: 'upcoming', sort: 'releaseDate', cursor }),
+        'games-container'
+      );
     } catch (error) {
       showError('Failed to load anticipated games');
     } finally {
@@ -99,10 +133,21 @@ const initHomePage = async () => {
 
 // Initialize user home page
 const initUserHomePage = async () => {
+  createTrendingSection('trending-container');
+  addFeedLinks([PAGE_FEEDS.newGames, PAGE_FEEDS.upcoming], 'feed-links');
+  
   try {
     showLoading(true);
-    const games = await gameAPI.getAll();
-    renderGameGrid(games, 'games-container');
+    const userData = getCurrentUserData();
+    const personalized = userData
+      ? await showRecommendations(userData.userId, 'games-container')
+      : false;
+    if (!personalized) {
+      document.getElementById('section-title').textContent = 'Discover Games';
+      if (!userData) {
+        await renderPagedGameGrid((cursor) => gameAPI.getAll({ cursor }), 'games-container');
+      }
+    }
   } catch (error) {
     showError('Failed to load games: ' + error.message);
   } finally {
@@ -110,10 +155,17 @@ const initUserHomePage = async () => {
   }
 };
 
+// Initialize admin dashboard
+const initAdminHomePage = () => {
+  createCatalogImport('catalog-import-container');
+  createAuditLogViewer('audit-log-container');
+};
+
 // Initialize calendar page
 const initCalendarPage = async () => {
   console.log('📅 Calendar page initialized');
   try {
+    createCalendarSubscribe('calendar-subscribe');
     await initCalendar();
   } catch (error) {
     console.error('Failed to initialize calendar:', error);
@@ -123,10 +175,10 @@ const initCalendarPage = async () => {
 // Initialize reviews page
 const initReviewsPage = async () => {
   console.log('⭐ Reviews page initialized');
+  addFeedLinks([PAGE_FEEDS.reviews], 'feed-links');
   try {
     showLoading(true);
-    const reviews = await reviewAPI.getAll();
-    displayReviews(reviews, 'all-reviews-container');
+    await displayPagedReviews((cursor) => reviewAPI.getAll({ cursor }), 'all-reviews-container');
   } catch (error) {
     showError('Failed to load reviews: ' + error.message);
   } finally {
@@ -134,6 +186,21 @@ const initReviewsPage = async () => {
   }
 };
 
+// Initialize favorites, backlog and lists page
+const initFavoritesPage = () => {
+  const userData = getCurrentUserData();
+  if (!userData) {
+    window.location.href = 'index.html';
+    return;
+  }
+  createCollectionsManager('collections-container', userData.userId);
+};
+
+// Initialize admin review moderation page
+const initModerationPage = () => {
+  createModerationQueue('moderation-queue');
+};
+
 // Setup navigation buttons
 const setupNavigationButtons = () => {
   // My Favorites button
@@ -22,23 +22,63 @@ const authFetch = async (url, options = {}) => {
   
   if (!response.ok) {
     const error = await response.json();
-    throw new Error(error.error || 'Request failed');
+    // Validation failures list the problem with each field
+    const details = error.fields
+      ? ': ' + Object.entries(error.fields).map(([field, message]) => `${field} ${message}`).join(', ')
+      : '';
+    const requestError = new Error((error.error || 'Request failed') + details);
+    requestError.fields = error.fields || null;
+    requestError.status = response.status;
+    throw requestError;
   }
   
   return response.json();
 };
 
+// Helper to build a query string, skipping empty params
+const toQueryString = (params = {}) => {
+  const cleanParams = Object.fromEntries(
+    Object.entries(params).filter(([_, v]) => v !== undefined && v !== null && v !== '')
+  );
+  return new URLSearchParams(cleanParams).toString();
+};
+
+// Listing endpoints return { games | reviews, page } where page carries
+// limit, sort, order, hasMore and nextCursor. Pass page.nextCursor back as
+// params.cursor to fetch the following page.
+
 // GAME API
 export const gameAPI = {
-  getAll: () => fetch(`${API_URL}/games`).then(r => r.json()),
+  getAll: (params = {}) => fetch(`${API_URL}/games?${toQueryString(params)}`).then(r => r.json()),
   
   getById: (gameId) => fetch(`${API_URL}/games/${gameId}`).then(r => r.json()),
   
-  search: (title) => fetch(`${API_URL}/games/search?title=${encodeURIComponent(title)}`).then(r => r.json()),
+  search: (title, params = {}) => fetch(`${API_URL}/games/search?${toQueryString({ ...params, title })}`).then(r => r.json()),
+  
+  filter: (params) => fetch(`${API_URL}/games/filter?${toQueryString(params)}`).then(r => r.json()),
+  
+  // Top rated by weighted rating. params: minVotes, prior,
+  // window (month | quarter | year | all), platform, genre, cursor
+  getTop: (params = {}) => fetch(`${API_URL}/games/top?${toQueryString(params)}`).then(r => r.json()),
+  
+  // Most recent activity with time decay. params: window (24h | 7d | 30d),
+  // platform, genre, cursor
+  getTrending: (params = {}) => fetch(`${API_URL}/games/trending?${toQueryString(params)}`).then(r => r.json()),
+  
+  // { gameId, releaseDate, originalReleaseDate, delayCount,
+  //   changes: [{ from, to, note, changedAt, delayed, shiftDays }] } oldest first
+  getReleaseHistory: (gameId) => fetch(`${API_URL}/games/${gameId}/release-history`).then(r => r.json()),
   
-  filter: (params) => {
-    const queryString = new URLSearchParams(params).toString();
-    return fetch(`${API_URL}/games/filter?${queryString}`).then(r => r.json());
+  // Follow cursors until every matching game is loaded (used by the calendar)
+  filterAll: async (params) => {
+    const games = [];
+    let cursor = null;
+    do {
+      const data = await gameAPI.filter({ ...params, limit: 100, cursor });
+      games.push(...(data.games || []));
+      cursor = data.page?.nextCursor || null;
+    } while (cursor);
+    return games;
   },
   
   create: (gameData) => authFetch(`${API_URL}/games`, {
@@ -46,8 +86,10 @@ export const gameAPI = {
     body: JSON.stringify(gameData)
   }),
   
+  // Partial update - only the fields passed are changed. A new releaseDate
+  // can carry a releaseDateNote for the release timeline.
   update: (gameId, gameData) => authFetch(`${API_URL}/games/${gameId}`, {
-    method: 'PUT',
+    method: 'PATCH',
     body: JSON.stringify(gameData)
   }),
   
@@ -56,15 +98,48 @@ export const gameAPI = {
   })
 };
 
+// Platform and genre terms share the same endpoints shape
+const taxonomyAPI = (resource) => ({
+  getAll: () => fetch(`${API_URL}/${resource}`).then(r => r.json()),
+  
+  getById: (termId) => fetch(`${API_URL}/${resource}/${termId}`).then(r => r.json()),
+  
+  create: (termData) => authFetch(`${API_URL}/${resource}`, {
+    method: 'POST',
+    body: JSON.stringify(termData)
+  }),
+  
+  update: (termId, termData) => authFetch(`${API_URL}/${resource}/${termId}`, {
+    method: 'PUT',
+    body: JSON.stringify(termData)
+  }),
+  
+  delete: (termId) => authFetch(`${API_URL}/${resource}/${termId}`, {
+    method: 'DELETE'
+  })
+});
+
+// PLATFORM API
+export const platformAPI = taxonomyAPI('platforms');
+
+// GENRE API
+export const genreAPI = taxonomyAPI('genres');
+
 // REVIEW API
 export const reviewAPI = {
-  getAll: () => fetch(`${API_URL}/reviews`).then(r => r.json()),
+  getAll: (params = {}) => fetch(`${API_URL}/reviews?${toQueryString(params)}`).then(r => r.json()),
   
-  getByGame: (gameId) => fetch(`${API_URL}/reviews/game/${gameId}`).then(r => r.json()),
+  // params: sort (newest | rating | helpful)
+  getByGame: (gameId, params = {}) => fetch(`${API_URL}/reviews/game/${gameId}?${toQueryString(params)}`).then(r => r.json()),
   
   getByUser: (userId) => authFetch(`${API_URL}/reviews/user/${userId}`),
   
-  create: (reviewData) => authFetch(`${API_URL}/reviews`, {
+  // The signed-in user's review of a game (404 if they haven't written one)
+  getMine: (gameId) => authFetch(`${API_URL}/reviews/game/${gameId}/mine`),
+  
+  // One review per user per game: a second create fails with 409 unless
+  // upsert is set, in which case the existing review is updated
+  create: (reviewData, { upsert = false } = {}) => authFetch(`${API_URL}/reviews?${toQueryString({ upsert: upsert || undefined })}`, {
     method: 'POST',
     body: JSON.stringify(reviewData)
   }),
@@ -74,9 +149,46 @@ export const reviewAPI = {
     body: JSON.stringify(reviewData)
   }),
   
-  delete: (reviewId, userId, isAdmin) => authFetch(`${API_URL}/reviews/${reviewId}`, {
-    method: 'DELETE',
-    body: JSON.stringify({ userId, isAdmin })
+  // The server works out who is deleting (and whether they're an admin)
+  // from the auth token
+  delete: (reviewId) => authFetch(`${API_URL}/reviews/${reviewId}`, {
+    method: 'DELETE'
+  }),
+  
+  // Earlier versions of an edited review (author or admin)
+  getHistory: (reviewId) => authFetch(`${API_URL}/reviews/${reviewId}/history`),
+  
+  // reason: spam | offensive | spoilers | off-topic | other
+  report: (reviewId, reason, details) => authFetch(`${API_URL}/reviews/${reviewId}/report`, {
+    method: 'POST',
+    body: JSON.stringify({ reason, details })
+  }),
+  
+  // vote: helpful | unhelpful
+  vote: (reviewId, vote) => authFetch(`${API_URL}/reviews/${reviewId}/vote`, {
+    method: 'PUT',
+    body: JSON.stringify({ vote })
+  }),
+  
+  removeVote: (reviewId) => authFetch(`${API_URL}/reviews/${reviewId}/vote`, {
+    method: 'DELETE'
+  }),
+  
+  // The signed-in user's votes as { reviewId: vote }
+  getMyVotes: (reviewIds) => authFetch(`${API_URL}/reviews/votes/mine?${toQueryString({ reviewIds: reviewIds.join(',') })}`)
+};
+
+// MODERATION API (admin)
+export const moderationAPI = {
+  // params: status (pending | hidden | dismissed | restored | deleted | all), sort, cursor
+  getQueue: (params = {}) => authFetch(`${API_URL}/moderation?${toQueryString(params)}`),
+  
+  getCase: (reviewId) => authFetch(`${API_URL}/moderation/${reviewId}`),
+  
+  // action: dismiss | hide | restore | delete | warn
+  act: (reviewId, action, { note, message } = {}) => authFetch(`${API_URL}/moderation/${reviewId}/${action}`, {
+    method: 'POST',
+    body: JSON.stringify({ note, message })
   })
 };
 
@@ -93,7 +205,60 @@ export const favoriteAPI = {
     method: 'DELETE'
   }),
   
-  check: (userId, gameId) => authFetch(`${API_URL}/favorites/check/${userId}/${gameId}`)
+  check: (userId, gameId) => authFetch(`${API_URL}/favorites/check/${userId}/${gameId}`),
+  
+  // Backlog statuses: wishlist | playing | completed | dropped
+  // Returns { statuses: [{ gameId, status, note, updatedAt, game }], counts }
+  getStatuses: (userId, status) => authFetch(`${API_URL}/favorites/status/user/${userId}?${toQueryString({ status })}`),
+  
+  setStatus: (gameId, status, note = '') => authFetch(`${API_URL}/favorites/status/${gameId}`, {
+    method: 'PUT',
+    body: JSON.stringify({ status, note })
+  }),
+  
+  removeStatus: (gameId) => authFetch(`${API_URL}/favorites/status/${gameId}`, {
+    method: 'DELETE'
+  }),
+  
+  // Custom lists. Other users only see public lists.
+  getLists: (userId) => authFetch(`${API_URL}/favorites/lists/user/${userId}`),
+  
+  getList: (listId) => authFetch(`${API_URL}/favorites/lists/${listId}`),
+  
+  // listData: { name, description, visibility: private | public }
+  createList: (listData) => authFetch(`${API_URL}/favorites/lists`, {
+    method: 'POST',
+    body: JSON.stringify(listData)
+  }),
+  
+  updateList: (listId, listData) => authFetch(`${API_URL}/favorites/lists/${listId}`, {
+    method: 'PATCH',
+    body: JSON.stringify(listData)
+  }),
+  
+  deleteList: (listId) => authFetch(`${API_URL}/favorites/lists/${listId}`, {
+    method: 'DELETE'
+  }),
+  
+  addToList: (listId, gameId, note = '') => authFetch(`${API_URL}/favorites/lists/${listId}/items`, {
+    method: 'POST',
+    body: JSON.stringify({ gameId, note })
+  }),
+  
+  updateListItem: (listId, gameId, note) => authFetch(`${API_URL}/favorites/lists/${listId}/items/${gameId}`, {
+    method: 'PATCH',
+    body: JSON.stringify({ note })
+  }),
+  
+  removeFromList: (listId, gameId) => authFetch(`${API_URL}/favorites/lists/${listId}/items/${gameId}`, {
+    method: 'DELETE'
+  }),
+  
+  // gameIds: every game in the list, in the new order
+  reorderList: (listId, gameIds) => authFetch(`${API_URL}/favorites/lists/${listId}/order`, {
+    method: 'PUT',
+    body: JSON.stringify({ gameIds })
+  })
 };
 
 // AUTH API
@@ -112,4 +277,115 @@ export const authAPI = {
   }),
   
   verifyAdmin: (userId) => authFetch(`${API_URL}/auth/verify-admin/${userId}`)
+};
+
+// USER API
+export const userAPI = {
+  // { recommendations: [{ game, score, because: { gameId, title, reason } }], page }
+  getRecommendations: (userId, params = {}) => authFetch(`${API_URL}/users/${userId}/recommendations?${toQueryString(params)}`)
+};
+
+// NOTIFICATION API (always the signed-in user's own)
+export const notificationAPI = {
+  // { notifications: [{ notificationId, type, gameId, gameTitle, message, read, createdAt }], unreadCount, page }
+  getAll: (params = {}) => authFetch(`${API_URL}/notifications?${toQueryString(params)}`),
+  
+  getUnreadCount: () => authFetch(`${API_URL}/notifications/unread-count`),
+  
+  markRead: (notificationId, read = true) => authFetch(`${API_URL}/notifications/${notificationId}`, {
+    method: 'PATCH',
+    body: JSON.stringify({ read })
+  }),
+  
+  markAllRead: () => authFetch(`${API_URL}/notifications/read-all`, {
+    method: 'POST'
+  }),
+  
+  delete: (notificationId) => authFetch(`${API_URL}/notifications/${notificationId}`, {
+    method: 'DELETE'
+  }),
+  
+  // { releaseReminders, leadTimeDays, releases, dateChanges }
+  getPreferences: () => authFetch(`${API_URL}/notifications/preferences`),
+  
+  updatePreferences: (preferences) => authFetch(`${API_URL}/notifications/preferences`, {
+    method: 'PUT',
+    body: JSON.stringify(preferences)
+  })
+};
+
+// CALENDAR API - .ics feeds for calendar apps. The feeds are plain URLs
+// (calendar apps fetch them without signing in); the favorites feed URL
+// carries a secret token instead.
+export const calendarAPI = {
+  // Every release; params: platform, genre, status, region
+  releasesUrl: (params = {}) => {
+    const query = toQueryString(params);
+    return `${API_URL}/calendar/releases.ics${query ? `?${query}` : ''}`;
+  },
+  
+  gameUrl: (gameId) => `${API_URL}/calendar/games/${gameId}.ics`,
+  
+  // { token, feedPath }, created the first time it's asked for
+  getFavoritesFeed: (userId) => authFetch(`${API_URL}/users/${userId}/calendar-token`),
+  
+  // New token; the old favorites feed URL stops working
+  resetFavoritesFeed: (userId) => authFetch(`${API_URL}/users/${userId}/calendar-token`, {
+    method: 'POST'
+  }),
+  
+  feedUrl: (feedPath) => `${API_URL}${feedPath}`,
+  
+  // webcal:// opens the feed as a subscription in calendar apps
+  toWebcal: (url) => url.replace(/^https?:/, 'webcal:')
+};
+
+// FEED API - Atom/RSS feed URLs for feed readers (format: atom | rss)
+export const feedAPI = {
+  newGamesUrl: (format = 'atom') => `${API_URL}/feeds/games/new.${format}`,
+  
+  upcomingUrl: (format = 'atom') => `${API_URL}/feeds/games/upcoming.${format}`,
+  
+  reviewsUrl: (format = 'atom') => `${API_URL}/feeds/reviews.${format}`,
+  
+  gameReviewsUrl: (gameId, format = 'atom') => `${API_URL}/feeds/games/${gameId}/reviews.${format}`
+};
+
+// ADMIN API
+export const adminAPI = {
+  promote: (userId, reason) => authFetch(`${API_URL}/admin/users/${userId}/promote`, {
+    method: 'POST',
+    body: JSON.stringify({ reason })
+  }),
+  
+  demote: (userId, reason) => authFetch(`${API_URL}/admin/users/${userId}/demote`, {
+    method: 'POST',
+    body: JSON.stringify({ reason })
+  }),
+  
+  getRoleChanges: (params = {}) => authFetch(`${API_URL}/admin/role-changes?${toQueryString(params)}`),
+  
+  // Filters: actor, targetType, targetId, action, from, to, cursor
+  getAuditLog: (params = {}) => authFetch(`${API_URL}/admin/audit?${toQueryString(params)}`),
+  
+  // Catalog file as a Blob to download; params: format (csv | json),
+  // images (true to embed cover images)
+  exportGames: async (params = {}) => {
+    const response = await fetch(`${API_URL}/admin/games/export?${toQueryString(params)}`, {
+      headers: { 'Authorization': `Bearer ${getAuthToken()}` }
+    });
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Export failed');
+    }
+    return response.blob();
+  },
+  
+  // payload: { format: 'csv' | 'json', data, images: { fileName: dataUrl } }
+  // params: dryRun, allowDuplicateTitles
+  // -> { dryRun, summary, rows: [{ row, gameId, action, changes, errors }] }
+  importGames: (payload, params = {}) => authFetch(`${API_URL}/admin/games/import?${toQueryString(params)}`, {
+    method: 'POST',
+    body: JSON.stringify(payload)
+  })
 };
\ No newline at end of file
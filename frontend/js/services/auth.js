@@ -23,6 +23,7 @@ export const initAuth = () => {
         try {
           currentUserData = await authAPI.getUser(user.uid);
           localStorage.setItem('userRole', currentUserData.administrator ? 'admin' : 'user');
+          if (currentUserData.region) localStorage.setItem('region', currentUserData.region);
           console.log('✅ User data loaded:', currentUserData);
         } catch (error) {
           console.error('❌ Failed to get user data:', error);
@@ -43,7 +44,8 @@ export const initAuth = () => {
 };
 
 // Register new user
-export const register = async (email, password, username, isAdmin = false) => {
+// New accounts are always regular users; admins are promoted by other admins
+export const register = async (email, password, username) => {
   try {
     console.log('📝 Registering user:', email);
     
@@ -62,8 +64,7 @@ export const register = async (email, password, username, isAdmin = false) => {
       const response = await authAPI.register({
         email,
         password,
-        username,
-        isAdmin
+        username
       });
       console.log('✅ User registered in backend:', response);
     } catch (backendError) {
@@ -72,7 +73,7 @@ export const register = async (email, password, username, isAdmin = false) => {
     }
     
     // Step 4: Set user role
-    localStorage.setItem('userRole', isAdmin ? 'admin' : 'user');
+    localStorage.setItem('userRole', 'user');
     
     return { success: true, userId: user.uid, username };
   } catch (error) {
@@ -99,6 +100,7 @@ export const login = async (email, password) => {
     try {
       currentUserData = await authAPI.getUser(user.uid);
       localStorage.setItem('userRole', currentUserData.administrator ? 'admin' : 'user');
+      if (currentUserData.region) localStorage.setItem('region', currentUserData.region);
       console.log('✅ User data loaded:', currentUserData);
       
       return { success: true, userId: user.uid, userData: currentUserData };
@@ -150,6 +152,17 @@ export const getUserRole = () => {
   return localStorage.getItem('userRole') || 'guest';
 };
 
+// Region whose release dates are shown (guests keep it in this browser only)
+export const getPreferredRegion = () => localStorage.getItem('region') || 'ww';
+
+export const setPreferredRegion = async (region) => {
+  localStorage.setItem('region', region);
+  if (currentUser) {
+    await authAPI.updateUser(currentUser.uid, { region });
+    currentUserData = { ...currentUserData, region };
+  }
+};
+
 // Redirect based on role
 export const redirectBasedOnRole = (page = 'index') => {
   const role = getUserRole();
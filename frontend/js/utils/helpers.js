@@ -1,6 +1,30 @@
 // Utility helper functions
+
+// Release dates come at different precisions: 2027-05-14, 2027-05,
+// 2027-Q3, 2027-spring, 2027 or TBA. Timestamps format as their day.
 export const formatDate = (dateString) => {
-  const date = new Date(dateString);
+  const value = String(dateString || '');
+  
+  if (!value || value === 'TBA') return 'TBA';
+  if (/^\d{4}$/.test(value)) return value;
+  
+  const quarter = value.match(/^(\d{4})-(Q[1-4])$/);
+  if (quarter) return `${quarter[2]} ${quarter[1]}`;
+  
+  const season = value.match(/^(\d{4})-(spring|summer|fall|winter)$/);
+  if (season) return `${season[2].charAt(0).toUpperCase()}${season[2].slice(1)} ${season[1]}`;
+  
+  const month = value.match(/^(\d{4})-(\d{2})$/);
+  if (month) {
+    return new Date(Number(month[1]), Number(month[2]) - 1, 1)
+      .toLocaleDateString('en-US', { year: 'numeric', month: 'long' });
+  }
+  
+  // Plain days are read as local dates so they don't shift by a timezone
+  const day = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = day
+    ? new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3]))
+    : new Date(value);
   return date.toLocaleDateString('en-US', { 
     year: 'numeric', 
     month: 'long', 
@@ -8,6 +32,28 @@ export const formatDate = (dateString) => {
   });
 };
 
+// Release regions, matching the backend's utils/releaseEntries.js
+export const REGIONS = {
+  ww: 'Worldwide',
+  na: 'North America',
+  eu: 'Europe',
+  jp: 'Japan',
+  asia: 'Asia',
+  oce: 'Oceania'
+};
+
+// The date a game launches in a region: its earliest release entry there
+// (falling back to worldwide entries), else the headline releaseDate.
+// Returns { date, region } where region is null for the headline date.
+export const releaseForRegion = (game, region = 'ww') => {
+  const entries = Array.isArray(game.releases) ? game.releases : [];
+  const entry = entries.find(release => release.region === region)
+    || entries.find(release => release.region === 'ww');
+  return entry
+    ? { date: entry.date, region: entry.region }
+    : { date: game.releaseDate, region: null };
+};
+
 export const showMessage = (message, type = 'success') => {
   const messageDiv = document.createElement('div');
   messageDiv.className = `message message-${type}`;
@@ -80,6 +126,30 @@ export const createStarRating = (rating) => {
   return stars || '☆☆☆☆☆';
 };
 
+// Escape user-supplied text before it goes into HTML (element content or
+// a quoted attribute value)
+export const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Normalize a word the same way the backend search index does
+const normalizeWord = (word) => word
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+// Wrap words found in `terms` (search.matchedTerms from the API) in <mark>
+export const highlightTerms = (text, terms = []) => {
+  if (!text || terms.length === 0) return text || '';
+  
+  const termSet = new Set(terms);
+  return String(text).replace(/[\p{L}\p{N}]+/gu, (word) => (
+    termSet.has(normalizeWord(word)) ? `<mark>${word}</mark>` : word
+  ));
+};
+
 export const debounce = (func, wait) => {
   let timeout;
   return function executedFunction(...args) {